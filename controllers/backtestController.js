@@ -0,0 +1,27 @@
+// backend/controllers/backtestController.js
+const { StudyAccessError } = require('../services/studyService');
+const { BacktestError, prepareBacktest, runBacktest } = require('../services/stage4Backtest');
+
+/**
+ * Backtest one study over a date range
+ * Body: { study, symbols, from, to, interval, signal, entry, horizons, direction, warmupDays, includeSignals }
+ *   signal: filter over the study's statuses, e.g. "study1.RSI below" (default: first thresholded plot within)
+ *   entry: 'cross' (bar where the signal turns on, default) or 'every' bar it holds
+ *   horizons: bars after the entry to measure returns over (default [1, 5, 10])
+ */
+const backtestStudy = async (req, res) => {
+  try {
+    const plan = await prepareBacktest(req.body, req.user);
+    console.log(`🧪 Backtest ${plan.study.name} on ${plan.symbols.join(', ')} (${plan.interval}, signal: ${plan.signalText})`);
+    const result = await runBacktest(plan);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    if (err instanceof BacktestError || err instanceof StudyAccessError) {
+      return res.status(err.status).json({ success: false, error: err.message, ...err.details });
+    }
+    console.error('❌ backtestStudy error:', err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+module.exports = { backtestStudy };
@@ -1,23 +1,38 @@
-const { getIntradayData } = require("../services/intradayService");
+const { HistoryRequestError, parseHistorySpec, getHistory, normalizeCandles, groupByTradingDay } = require("../services/intradayService");
 
 // GET /api/intraday/:symbol
+// Query: interval (15, 5m, day, week, month) or frequencyType + frequency, periodType, period,
+// startDate, endDate (dates or epoch ms) and extendedHours; defaults to today's 15-minute bars
 const fetchIntradayData = async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { interval = 15 } = req.query;
 
     if (!symbol) {
       return res.status(400).json({ success: false, error: "Symbol is required" });
     }
 
-    const rawData = await getIntradayData(symbol, interval);
+    let history;
+    try {
+      history = parseHistorySpec(req.query);
+    } catch (err) {
+      if (!(err instanceof HistoryRequestError)) throw err;
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+
+    const rawData = await getHistory(symbol, history);
 
     if (!rawData || !rawData.candles) {
       return res.status(500).json({ success: false, error: "No intraday data available" });
     }
 
-    const data = rawData.candles.map((candle) => ({
+    // data[].time keeps the format existing clients parse; the full timestamps and session sit next to it
+    const candles = normalizeCandles(rawData);
+    const data = candles.map((candle) => ({
       time: new Date(candle.datetime).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
+      timestamp: candle.time,
+      exchangeTime: candle.exchangeTime,
+      tradingDay: candle.tradingDay,
+      session: candle.session,
       open: candle.open,
       high: candle.high,
       low: candle.low,
@@ -25,7 +40,18 @@ const fetchIntradayData = async (req, res) => {
       volume: candle.volume,
     }));
 
-    res.json({ success: true, symbol, interval, data });
+    const interval = history.frequencyType === "minute" ? history.frequency : history.frequencyType;
+    res.json({
+      success: true,
+      symbol,
+      interval,
+      timezone: "America/New_York",
+      history,
+      data,
+      candles,
+      // Intraday bars by trading day, for multi-day charts and per-session studies
+      ...(history.frequencyType === "minute" ? { days: groupByTradingDay(candles) } : {}),
+    });
   } catch (err) {
     res.status(500).json({
       success: false,
@@ -34,4 +60,4 @@ const fetchIntradayData = async (req, res) => {
   }
 };
 
-module.exports = { fetchIntradayData };
\ No newline at end of file
+module.exports = { fetchIntradayData };
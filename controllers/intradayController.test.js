@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const intradayService = require('../services/intradayService');
+const { mockResponse } = require('../utils/testHelpers');
+
+// 9:30 ET on 2024-01-08, plus a bar Schwab sent without a datetime
+const OPEN = Date.UTC(2024, 0, 8, 14, 30);
+intradayService.getHistory = async () => ({
+  candles: [
+    { datetime: OPEN, open: 1, high: 2, low: 0.5, close: 1.5, volume: 100 },
+    { open: 1, high: 2, low: 0.5, close: 1.5, volume: 100 }
+  ]
+});
+
+const { fetchIntradayData } = require('./intradayController');
+
+test('data keeps its legacy time next to the full timestamps and skips bars without a datetime', async () => {
+  const res = mockResponse();
+  await fetchIntradayData({ params: { symbol: 'SPY' }, query: {} }, res);
+
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.data.length, 1);
+  assert.equal(res.body.candles.length, 1);
+  const [row] = res.body.data;
+  assert.equal(row.time, new Date(OPEN).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+  assert.equal(row.timestamp, '2024-01-08T14:30:00.000Z');
+  assert.equal(row.exchangeTime, '2024-01-08T09:30:00-05:00');
+  assert.equal(row.tradingDay, '2024-01-08');
+  assert.equal(row.session, 'regular');
+  assert.equal(row.close, 1.5);
+});
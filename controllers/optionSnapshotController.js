@@ -0,0 +1,41 @@
+// backend/controllers/optionSnapshotController.js
+const { recorderStatus, loadOptionBars } = require('../services/optionSnapshotService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether the option snapshot recorder is running, with the last poll per symbol
+ */
+const getSnapshotStatus = (req, res) => res.json({ success: true, ...recorderStatus() });
+
+/**
+ * Recorded bars for one contract: GET /snapshots/:symbol?interval=15&from=...&to=...
+ * Defaults to the last day of bars
+ */
+const getContractBars = async (req, res) => {
+  try {
+    const symbol = req.params.symbol;
+    const interval = parseInt(req.query.interval) || 15;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DAY);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ success: false, error: 'from and to must be dates' });
+    }
+
+    const bars = (await loadOptionBars([symbol], interval, from, to))[symbol] || [];
+    return res.json({
+      success: true,
+      symbol,
+      interval,
+      bars: bars.map(({ _id, __v, symbol: _s, interval: _i, ...bar }) => bar)
+    });
+  } catch (err) {
+    console.error('❌ getContractBars error:', err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+module.exports = {
+  getSnapshotStatus,
+  getContractBars
+};
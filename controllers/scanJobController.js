@@ -0,0 +1,69 @@
+// backend/controllers/scanJobController.js
+const { StudyAccessError } = require('../services/studyService');
+const { ScanRequestError, MAX_PAGE_SIZE, prepareScan } = require('../services/stage4Scan');
+const { ScanJobError, createJob, getJob, cancelJob, summarizeJob, jobResults } = require('../services/scanJobs');
+
+const sendError = (res, err, label) => {
+  if (err instanceof ScanJobError || err instanceof ScanRequestError || err instanceof StudyAccessError) {
+    return res.status(err.status).json({ success: false, error: err.message, ...err.details });
+  }
+  console.error(`❌ ${label} error:`, err);
+  return res.status(500).json({ success: false, error: err.message });
+};
+
+/**
+ * Start a background scan; same body as POST /scan
+ * The request is checked and its studies compiled before the job is queued, so bad
+ * requests fail here with the same errors /scan gives; 429/503 when too many jobs are held
+ */
+const createScanJob = async (req, res) => {
+  try {
+    const plan = await prepareScan(req.body, req.user);
+    const job = createJob(plan, req.user?.id, req.ip);
+    return res.status(202).json({ success: true, jobId: job.id, job: summarizeJob(job) });
+  } catch (err) {
+    return sendError(res, err, 'createScanJob');
+  }
+};
+
+/**
+ * Status and progress: rows done, underlyings fetched, errors so far
+ */
+const getScanJob = (req, res) => {
+  try {
+    const job = getJob(req.params.id, req.user?.id);
+    return res.json({ success: true, job: summarizeJob(job) });
+  } catch (err) {
+    return sendError(res, err, 'getScanJob');
+  }
+};
+
+const cancelScanJob = (req, res) => {
+  try {
+    const job = cancelJob(getJob(req.params.id, req.user?.id));
+    return res.json({ success: true, job: summarizeJob(job) });
+  } catch (err) {
+    return sendError(res, err, 'cancelScanJob');
+  }
+};
+
+/**
+ * Rows of a completed job, paginated: ?page=1&limit=100
+ */
+const getScanJobResults = (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 100));
+    const job = getJob(req.params.id, req.user?.id);
+    return res.json({ success: true, jobId: job.id, ...jobResults(job, page, limit) });
+  } catch (err) {
+    return sendError(res, err, 'getScanJobResults');
+  }
+};
+
+module.exports = {
+  createScanJob,
+  getScanJob,
+  cancelScanJob,
+  getScanJobResults
+};
@@ -0,0 +1,78 @@
+// backend/controllers/scanRunController.js
+const ScanRun = require('../models/ScanRun');
+const { MAX_PAGE_SIZE, paginateRows } = require('../services/stage4Scan');
+const { ScanRunError, findRun, previousRun, runSummary, diffRuns } = require('../services/scanRunService');
+
+const sendError = (res, err, label) => {
+  if (err instanceof ScanRunError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`❌ ${label} error:`, err);
+  return res.status(500).json({ success: false, error: err.message });
+};
+
+/**
+ * The current user's saved runs, newest first: ?scanName=...&limit=50
+ */
+const listScanRuns = async (req, res) => {
+  try {
+    const query = { owner: req.user.id };
+    if (req.query.scanName !== undefined) query.scanName = req.query.scanName || null;
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const runs = await ScanRun.find(query)
+      .select('-rows -studies -columns -scoring')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    return res.json({ success: true, runs: runs.map(runSummary) });
+  } catch (err) {
+    return sendError(res, err, 'listScanRuns');
+  }
+};
+
+/**
+ * One run with its studies and a page of its rows: ?page=1&limit=100
+ */
+const getScanRun = async (req, res) => {
+  try {
+    const run = await findRun(req.params.id, req.user.id);
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 100));
+    return res.json({
+      success: true,
+      run: {
+        ...runSummary(run),
+        studies: run.studies,
+        scoring: run.scoring,
+        columns: run.columns,
+        ...paginateRows(run.rows, page, limit)
+      }
+    });
+  } catch (err) {
+    return sendError(res, err, 'getScanRun');
+  }
+};
+
+/**
+ * Compare a run with ?against=<runId> of the same scan, or with the previous run of the scan
+ * The earlier of the two runs is always the "from" side
+ */
+const diffScanRun = async (req, res) => {
+  try {
+    const run = await findRun(req.params.id, req.user.id);
+    const other = req.query.against ? await findRun(req.query.against, req.user.id) : await previousRun(run);
+    if ((other.scanName || null) !== (run.scanName || null)) {
+      throw new ScanRunError(`Run ${other._id} is from a different scan ('${other.scanName || 'unnamed'}', not '${run.scanName || 'unnamed'}')`, 400);
+    }
+    const [from, to] = other.createdAt <= run.createdAt ? [other, run] : [run, other];
+    return res.json({ success: true, ...diffRuns(from, to) });
+  } catch (err) {
+    return sendError(res, err, 'diffScanRun');
+  }
+};
+
+module.exports = {
+  listScanRuns,
+  getScanRun,
+  diffScanRun
+};
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ScanRun = require('../models/ScanRun');
+const { mockResponse } = require('../utils/testHelpers');
+const { diffScanRun } = require('./scanRunController');
+
+const owner = new mongoose.Types.ObjectId();
+const run = (scanName, createdAt) => ({
+  _id: new mongoose.Types.ObjectId(),
+  owner,
+  scanName,
+  createdAt: new Date(createdAt),
+  rows: [{ symbol: 'SPY 240119C00470000', statuses: { a: 'within' }, values: { a: 1 } }]
+});
+
+test('diff against a run of another scan is a 400', async (t) => {
+  const runs = [run('Momentum', '2024-01-02'), run('Reversal', '2024-01-01')];
+  t.mock.method(ScanRun, 'findById', async (id) => runs.find(r => String(r._id) === String(id)) || null);
+
+  const res = mockResponse();
+  await diffScanRun({ params: { id: String(runs[0]._id) }, query: { against: String(runs[1]._id) }, user: { id: String(owner) } }, res);
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /different scan/);
+});
+
+test('diff against an earlier run of the same scan', async (t) => {
+  const runs = [run('Momentum', '2024-01-02'), run('Momentum', '2024-01-01')];
+  t.mock.method(ScanRun, 'findById', async (id) => runs.find(r => String(r._id) === String(id)) || null);
+
+  const res = mockResponse();
+  await diffScanRun({ params: { id: String(runs[0]._id) }, query: { against: String(runs[1]._id) }, user: { id: String(owner) } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.unchanged, 1);
+  assert.equal(String(res.body.from.id), String(runs[1]._id));
+});
@@ -0,0 +1,150 @@
+// backend/controllers/scheduleController.js
+const mongoose = require('mongoose');
+const ScheduledScan = require('../models/ScheduledScan');
+const { StudyAccessError } = require('../services/studyService');
+const { ScanRequestError } = require('../services/stage4Scan');
+const { ScheduleError, parseSchedule, parseChainFilters, validateScanFields, nextRunAt } = require('../services/scanScheduler');
+
+const EDITABLE = ['name', 'symbols', 'chainFilters', 'studies', 'interval', 'history', 'filter', 'scoring', 'sort', 'schedule', 'enabled'];
+
+const summarize = (s) => ({
+  id: s._id,
+  name: s.name,
+  symbols: s.symbols,
+  chainFilters: s.chainFilters,
+  studies: s.studies,
+  interval: s.interval,
+  history: s.history,
+  filter: s.filter,
+  scoring: s.scoring,
+  sort: s.sort,
+  schedule: { type: s.schedule.type, minutes: s.schedule.minutes },
+  enabled: s.enabled,
+  nextRunAt: s.enabled ? nextRunAt(s.schedule) : null,
+  lastSlot: s.lastSlot,
+  lastRunAt: s.lastRunAt,
+  lastRunId: s.lastRunId,
+  lastResultCount: s.lastResultCount,
+  lastError: s.lastError,
+  missedSlots: s.missedSlots || [],
+  createdAt: s.createdAt,
+  updatedAt: s.updatedAt
+});
+
+const sendError = (res, err, label) => {
+  if (err instanceof ScheduleError || err instanceof ScanRequestError || err instanceof StudyAccessError) {
+    return res.status(err.status).json({ success: false, error: err.message, ...err.details });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ success: false, error: 'You already have a scheduled scan with that name' });
+  }
+  console.error(`❌ ${label} error:`, err);
+  return res.status(500).json({ success: false, error: err.message });
+};
+
+const findSchedule = async (id, userId) => {
+  const schedule = mongoose.Types.ObjectId.isValid(id) ? await ScheduledScan.findById(id) : null;
+  if (!schedule || String(schedule.owner) !== String(userId)) throw new ScheduleError('Scheduled scan not found', 404);
+  return schedule;
+};
+
+/**
+ * Check a whole definition (after merging an update onto the saved one)
+ */
+const readDefinition = async (fields, user) => {
+  if (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.length > 100) {
+    throw new ScheduleError('name must be a non-empty string of at most 100 characters');
+  }
+  if (!Array.isArray(fields.symbols) || fields.symbols.length === 0 ||
+      fields.symbols.some(s => typeof s !== 'string' || !s.trim())) {
+    throw new ScheduleError('symbols must be a non-empty array of underlying symbols');
+  }
+  if (!fields.studies || typeof fields.studies !== 'object' || Object.keys(fields.studies).length === 0) {
+    throw new ScheduleError('studies required');
+  }
+
+  const definition = {
+    name: fields.name.trim(),
+    symbols: [...new Set(fields.symbols.map(s => s.trim().toUpperCase()))],
+    chainFilters: parseChainFilters(fields.chainFilters),
+    studies: fields.studies,
+    interval: parseInt(fields.interval) || 15,
+    history: fields.history || null,
+    filter: fields.filter || null,
+    scoring: fields.scoring || null,
+    sort: fields.sort || null,
+    schedule: parseSchedule(fields.schedule),
+    enabled: fields.enabled !== false
+  };
+  await validateScanFields(definition, user);
+  return definition;
+};
+
+/**
+ * Body: { name, symbols, chainFilters, studies, interval, history, filter, scoring, sort, schedule, enabled }
+ * schedule: { type: 'every', minutes: 15 } | { type: 'open' } | { type: 'close' }
+ */
+const createSchedule = async (req, res) => {
+  try {
+    const definition = await readDefinition(req.body || {}, req.user);
+    const schedule = await ScheduledScan.create({ owner: req.user.id, ...definition });
+    return res.status(201).json({ success: true, schedule: summarize(schedule) });
+  } catch (err) {
+    return sendError(res, err, 'createSchedule');
+  }
+};
+
+const listSchedules = async (req, res) => {
+  try {
+    const schedules = await ScheduledScan.find({ owner: req.user.id }).sort({ name: 1 });
+    return res.json({ success: true, schedules: schedules.map(summarize) });
+  } catch (err) {
+    return sendError(res, err, 'listSchedules');
+  }
+};
+
+const getSchedule = async (req, res) => {
+  try {
+    return res.json({ success: true, schedule: summarize(await findSchedule(req.params.id, req.user.id)) });
+  } catch (err) {
+    return sendError(res, err, 'getSchedule');
+  }
+};
+
+/**
+ * Change any of the create fields; the rest stay as saved
+ */
+const updateSchedule = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req.params.id, req.user.id);
+    const body = req.body || {};
+    const merged = {};
+    EDITABLE.forEach(field => { merged[field] = body[field] !== undefined ? body[field] : schedule[field]; });
+    merged.schedule = body.schedule !== undefined ? body.schedule : { type: schedule.schedule.type, minutes: schedule.schedule.minutes };
+
+    schedule.set(await readDefinition(merged, req.user));
+    schedule.updatedAt = Date.now();
+    await schedule.save();
+    return res.json({ success: true, schedule: summarize(schedule) });
+  } catch (err) {
+    return sendError(res, err, 'updateSchedule');
+  }
+};
+
+const deleteSchedule = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req.params.id, req.user.id);
+    await schedule.deleteOne();
+    return res.json({ success: true, id: schedule._id });
+  } catch (err) {
+    return sendError(res, err, 'deleteSchedule');
+  }
+};
+
+module.exports = {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule
+};
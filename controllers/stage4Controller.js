@@ -1,272 +1,163 @@
 // backend/controllers/stage4Controller.js
-const { evaluateFormulasOnCandles, extractPlotExpressions } = require('../services/stage4Engine');
-const { getIntradayData, getMultipleIntradayData } = require('../services/intradayService');
+const { compileStudy, needsDailyHistory, prepareCandles, evaluateStudy, validateScript } = require('../services/stage4Engine');
+const { getIntradayData, getDailyHistory, toCandles } = require('../services/intradayService');
+const { StudyAccessError, resolveStudyConfigs } = require('../services/studyService');
+const { ScanRequestError, paginateRows, prepareScan, executeScan } = require('../services/stage4Scan');
+const { recordScanRun } = require('../services/scanRunService');
 
-/**
- * Save formulas + thresholds
- * ✅ DEPRECATED - kept for API compatibility but returns error
- */
+// Kept for clients that still call it: studies are saved in the study library now
 const saveConfig = async (req, res) => {
-  return res.status(501).json({ 
-    success: false, 
-    error: 'saveConfig endpoint deprecated - configuration now passed per-request' 
+  return res.status(501).json({
+    success: false,
+    error: 'saveConfig endpoint deprecated - save studies with POST /api/stage4/studies and scan them by studyId',
+    studies: '/api/stage4/studies'
   });
 };
 
 /**
- * Get intraday candles + evaluated labels for one underlying (used for chart previews)
+ * Studies for a chart preview: { studies } shaped like /scan, or a single script
+ * from the body or ?script=...&inputs={json} (or ?studyId=...&version=...)
  */
-const getLabelsForUnderlying = async (req, res) => {
-  try {
-    const { symbol } = req.params;
-    const interval = Number(req.query.interval || 15);
-    if (!symbol) return res.status(400).json({ success: false, error: 'Symbol required' });
+const readPreviewStudies = (body, query) => {
+  if (body.studies && typeof body.studies === 'object') return body.studies;
 
-    const raw = await getIntradayData(symbol, interval);
-    const candles = (raw?.candles || []).map(c => ({
-      time: c.datetime || c.time,
-      open: c.open,
-      high: c.high,
-      low: c.low,
-      close: c.close,
-      volume: c.volume,
-      oi: c.oi,
-      delta: c.delta,
-      gamma: c.gamma,
-      theo: c.theo
-    }));
+  const studyId = body.studyId ?? query.studyId;
+  if (studyId) return { study1: { studyId, version: body.version ?? query.version, inputs: body.inputs } };
 
-    // Simple evaluation without thresholds for preview
-    const { labels } = evaluateFormulasOnCandles(candles);
-    return res.json({ success: true, symbol, interval, candles, labels });
-  } catch (err) {
-    console.error('getLabelsForUnderlying error', err);
-    return res.status(500).json({ success: false, error: err.message });
+  const script = body.script ?? query.script;
+  if (!script) return {};
+
+  let inputs = body.inputs || {};
+  if (!body.script && query.inputs) {
+    try {
+      inputs = JSON.parse(query.inputs);
+    } catch (err) {
+      throw new Error('inputs must be valid JSON');
+    }
   }
+  return { study1: { formula: script, inputs } };
 };
 
 /**
- * MAIN: Stage 4 Scan
- * Accepts Stage 3 rows (each row representing an option)
- * Runs all 5 study formulas against each underlying's intraday data
- * 
- * ✅ FIXED: Now evaluates formulas separately for each option's data
+ * Get intraday candles + evaluated labels for one underlying (used for chart previews)
+ * Every study also returns its plot and def series, one point per candle, for overlays
  */
-const scanStage3Rows = async (req, res) => {
+const getLabelsForUnderlying = async (req, res) => {
   try {
-    const { rows = [], interval = 15, studies = {} } = req.body || {};
-    
-    console.log('🔥 Stage 4 Scan Request:', {
-      rowCount: rows.length,
-      interval,
-      studyKeys: Object.keys(studies)
-    });
+    const { symbol } = req.params;
+    const body = req.body || {};
+    const interval = Number(body.interval || req.query.interval || 15);
+    if (!symbol) return res.status(400).json({ success: false, error: 'Symbol required' });
 
-    if (!Array.isArray(rows) || rows.length === 0) {
-      return res.status(400).json({ success: false, error: 'rows required' });
+    let studies;
+    try {
+      studies = readPreviewStudies(body, req.query);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
     }
 
-    // 📹 Group rows by underlying symbol
-    const byUnderlying = {};
-    rows.forEach(r => {
-      // Extract underlying symbol from option symbol
-      const u =
-        r.sourceSymbol ||
-        r.underlying ||
-        r.symbol?.slice(0, r.symbol.length - 15) ||
-        r.ticker ||
-        r.baseSymbol;
-      const key = (u || 'UNKNOWN').toUpperCase();
-      if (!byUnderlying[key]) byUnderlying[key] = [];
-      byUnderlying[key].push(r);
-    });
-
-    const underlyings = Object.keys(byUnderlying);
-    if (underlyings.length === 0) {
-      return res.status(400).json({ success: false, error: 'No valid underlyings found' });
+    try {
+      studies = await resolveStudyConfigs(studies, req.user);
+    } catch (err) {
+      if (!(err instanceof StudyAccessError)) throw err;
+      return res.status(err.status).json({ success: false, error: err.message });
     }
 
-    console.log('📊 Grouped by underlyings:', underlyings);
-
-    // 📹 Fetch intraday data for all underlyings
-    const multi = await getMultipleIntradayData(underlyings, interval);
-    
-    // Store candles by underlying for reuse
-    const candlesByUnderlying = {};
-    
-    for (const item of multi) {
-      const u = item.symbol.toUpperCase();
-      
-      if (item.error) {
-        console.error(`❌ Failed to fetch intraday data for ${u}:`, item.error);
-        continue;
+    const programs = {};
+    Object.keys(studies).forEach(studyKey => {
+      const cfg = studies[studyKey] || {};
+      if (!cfg.formula || !String(cfg.formula).trim()) return;
+      try {
+        programs[studyKey] = { program: compileStudy(cfg.formula, cfg.inputs || {}) };
+      } catch (err) {
+        programs[studyKey] = { error: err };
       }
+    });
 
-      const rawData = item.data;
-      const candles = (rawData?.candles || []).map(c => ({
-        time: c.datetime || c.time,
-        open: c.open,
-        high: c.high,
-        low: c.low,
-        close: c.close,
-        volume: c.volume,
-        oi: c.oi,
-        delta: c.delta,
-        gamma: c.gamma,
-        theo: c.theo
-      }));
-
-      if (candles.length > 0) {
-        candlesByUnderlying[u] = candles;
-        console.log(`✅ Loaded ${candles.length} candles for ${u}`);
+    const raw = await getIntradayData(symbol, interval);
+    const candles = toCandles(raw);
+
+    let history = [];
+    if (Object.values(programs).some(p => p.program && needsDailyHistory(p.program))) {
+      try {
+        history = toCandles(await getDailyHistory(symbol));
+      } catch (err) {
+        console.warn(`⚠️  No daily history for ${symbol}, day periods use intraday candles only`);
       }
     }
 
-    const resultRows = [];
-    const errors = [];
-
-    // ✅ CRITICAL FIX: Process each row individually instead of grouping
-    for (const row of rows) {
-      const u = (
-        row.sourceSymbol ||
-        row.underlying ||
-        row.symbol?.slice(0, row.symbol.length - 15) ||
-        row.ticker ||
-        row.baseSymbol ||
-        'UNKNOWN'
-      ).toUpperCase();
-      
-      const candles = candlesByUnderlying[u];
-      
-      if (!candles || candles.length === 0) {
-        console.warn(`⚠️  No candles available for ${row.symbol} (underlying: ${u})`);
-        errors.push({ symbol: row.symbol, error: 'No intraday data available' });
-        
-        // Still add the row but with null study values
-        const emptyLabels = {};
-        for (let i = 1; i <= 25; i++) {
-          emptyLabels[`study${i}`] = null;
-        }
-        resultRows.push({ ...row, ...emptyLabels, underlying: u });
-        continue;
+    const prepared = prepareCandles(candles, history);
+    const labels = [];
+    const studyResults = {};
+    Object.keys(programs).forEach(studyKey => {
+      try {
+        const { program, error } = programs[studyKey];
+        if (error) throw error;
+        const result = evaluateStudy(program, prepared, {}, { includeSeries: true });
+        labels.push(...result.labels);
+        studyResults[studyKey] = { labels: result.labels, plots: result.series.plots, defs: result.series.defs };
+      } catch (err) {
+        console.error(`❌ Error evaluating ${studyKey} for ${symbol}:`, err.message);
+        studyResults[studyKey] = { error: err.message, line: err.line, column: err.column };
       }
+    });
 
-      console.log(`\n🎯 Processing ${row.symbol} (${u}): ${candles.length} candles`);
-
-      // 📹 Evaluate all 5 studies for THIS specific row
-      const studyLabels = {};
-      
-      for (let i = 1; i <= 5; i++) {
-        const studyKey = `study${i}`;
-        const cfg = studies[studyKey] || {};
-        const formula = cfg.formula || '';
-        const thresholds = Array.isArray(cfg.thresholds) ? cfg.thresholds : [];
-        const inputs = cfg.inputs || {};
-
-        if (!formula || formula.trim() === '') {
-          // No formula provided, skip this study
-          studyLabels[studyKey] = Array(5).fill(null).map(() => ({ 
-            value: null, 
-            status: 'empty' 
-          }));
-          continue;
-        }
-
-        try {
-          // Extract plot expressions and defs from TOS script
-          const { plots, defs } = extractPlotExpressions(formula, inputs);
-          const plotFormulas = plots.map(p => p.exprRaw);
-
-          // ✅ CRITICAL: Evaluate formulas for THIS row's candles with option-specific data
-          const optionData = {
-            strikePrice: row.strikePrice || row.strike || 0,
-            mark: row.mark || 0,
-            bid: row.bid || 0,
-            ask: row.ask || 0,
-            delta: row.delta || 0,
-            gamma: row.gamma || 0,
-            theta: row.theta || 0,
-            vega: row.vega || 0,
-            impliedVolatility: row.impliedVolatility || row.volatility || 0
-          };
-          
-          const { labels } = evaluateFormulasOnCandles(candles, plotFormulas, defs, optionData);
-
-          console.log(`  📊 Study ${i} for ${row.symbol}:`, labels.slice(0, 5).map(v => 
-            v === null ? 'null' : (Math.abs(v) < 0.01 ? v.toExponential(3) : v.toFixed(4))
-          ));
-
-          // Create label objects with threshold evaluation
-          const labelObjects = labels.slice(0, 5).map((v, j) => {
-            const thr = thresholds[j] || { min: null, max: null };
-            let status = 'unknown';
-            
-            if (v === null || v === undefined) {
-              status = 'unknown';
-            } else {
-              const hasMin = thr.min !== null && thr.min !== undefined;
-              const hasMax = thr.max !== null && thr.max !== undefined;
-              
-              if (hasMin && v < thr.min) status = 'below';
-              else if (hasMax && v > thr.max) status = 'above';
-              else if (hasMin || hasMax) status = 'within';
-              else status = 'noFilter';
-            }
-            
-            return { value: v, min: thr.min, max: thr.max, status };
-          });
-
-          // Pad to 5 labels if needed
-          while (labelObjects.length < 5) {
-            labelObjects.push({ value: null, status: 'empty' });
-          }
-
-          studyLabels[studyKey] = labelObjects;
+    return res.json({ success: true, symbol, interval, candles, labels, studies: studyResults });
+  } catch (err) {
+    console.error('getLabelsForUnderlying error', err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+};
 
-        } catch (err) {
-          console.error(`❌ Error evaluating study ${i} for ${row.symbol}:`, err.message);
-          studyLabels[studyKey] = Array(5).fill(null).map(() => ({ 
-            value: null, 
-            status: 'error' 
-          }));
-        }
-      }
+/**
+ * Validate one study script before scanning
+ * Body: { script, inputs } - returns syntax errors, unknown names, unresolved defs, plots and inputs
+ */
+const validateStudy = async (req, res) => {
+  try {
+    const { script, formula, inputs = {} } = req.body || {};
+    const source = script ?? formula;
 
-      // 📹 Flatten study labels into study1-study25 fields for THIS row
-      const flattenedLabels = {};
-      let labelIndex = 1;
-      
-      for (let s = 1; s <= 5; s++) {
-        const studyKey = `study${s}`;
-        const studyData = studyLabels[studyKey] || [];
-        
-        for (let l = 0; l < 5; l++) {
-          const labelData = studyData[l] || { value: null, status: 'unknown' };
-          const fieldKey = `study${labelIndex}`;
-          flattenedLabels[fieldKey] = (labelData.value === null ? null : Number(labelData.value));
-          labelIndex++;
-        }
-      }
-      
-      resultRows.push({ 
-        ...row, 
-        ...flattenedLabels, // study1, study2, ..., study25 - unique per row!
-        studyLabels, // Also keep nested structure for debugging
-        underlying: u 
-      });
+    if (typeof source !== 'string') {
+      return res.status(400).json({ success: false, error: 'script required' });
+    }
+    if (inputs === null || typeof inputs !== 'object' || Array.isArray(inputs)) {
+      return res.status(400).json({ success: false, error: 'inputs must be an object' });
     }
 
-    console.log(`✅ Stage 4 scan complete: ${resultRows.length} rows processed`);
+    const result = validateScript(source, inputs);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('❌ validateStudy error:', err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+};
 
-    if (errors.length > 0) {
-      console.warn('⚠️  Some symbols had errors:', errors);
+/**
+ * MAIN: Stage 4 Scan
+ * Accepts Stage 3 rows (each row representing an option)
+ * Runs every study formula against each underlying's intraday data; each plot becomes a
+ * named result column (RSIStudy.Signal), with the old study1-study25 fields kept as aliases
+ *
+ * Studies are compiled once per scan and price series built once per underlying;
+ * studies that never read option fields are evaluated once per underlying and shared
+ */
+const scanStage3Rows = async (req, res) => {
+  try {
+    let plan;
+    try {
+      plan = await prepareScan(req.body, req.user);
+    } catch (err) {
+      if (!(err instanceof ScanRequestError) && !(err instanceof StudyAccessError)) throw err;
+      return res.status(err.status).json({ success: false, error: err.message, ...err.details });
     }
 
-    return res.json({ 
-      success: true, 
-      rows: resultRows,
-      errors: errors.length > 0 ? errors : undefined
-    });
+    const result = await executeScan(plan);
+    const runId = recordScanRun(plan, result, req.user?.id);
+    if (plan.page) {
+      return res.json({ success: true, runId, ...result, ...paginateRows(result.rows, plan.page.page, plan.page.limit) });
+    }
+    return res.json({ success: true, runId, ...result });
 
   } catch (err) {
     console.error('❌ scanStage3Rows error:', err);
@@ -281,5 +172,6 @@ const scanStage3Rows = async (req, res) => {
 module.exports = {
   saveConfig,
   getLabelsForUnderlying,
+  validateStudy,
   scanStage3Rows
 };
\ No newline at end of file
@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockResponse } = require('../utils/testHelpers');
+const { saveConfig } = require('./stage4Controller');
+
+test('POST /config answers 501 and points at the study library', async () => {
+  const res = mockResponse();
+  await saveConfig({ body: {} }, res);
+  assert.equal(res.statusCode, 501);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.studies, '/api/stage4/studies');
+});
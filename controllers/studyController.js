@@ -0,0 +1,244 @@
+// backend/controllers/studyController.js
+const mongoose = require('mongoose');
+const Study = require('../models/Study');
+const User = require('../models/User');
+const { validateScript } = require('../services/stage4Engine');
+const { StudyAccessError, isOwner, findStudy, findVersion } = require('../services/studyService');
+
+const summarize = (study, userId) => ({
+  id: study._id,
+  name: study.name,
+  description: study.description,
+  owner: study.owner,
+  isOwner: isOwner(study, userId),
+  latestVersion: study.latestVersion,
+  sharedWith: isOwner(study, userId) ? study.sharedWith : undefined,
+  createdAt: study.createdAt,
+  updatedAt: study.updatedAt
+});
+
+const serializeVersion = (v) => ({
+  version: v.version,
+  script: v.script,
+  inputs: v.inputs || {},
+  thresholds: v.thresholds.map(t => ({ min: t.min, max: t.max })),
+  note: v.note,
+  createdAt: v.createdAt
+});
+
+const sendError = (res, err, label) => {
+  if (err instanceof StudyAccessError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  if (err instanceof mongoose.Error.VersionError) {
+    return res.status(409).json({ success: false, error: 'The study was changed by another request; reload it and try again' });
+  }
+  console.error(`❌ ${label} error:`, err);
+  return res.status(500).json({ success: false, error: err.message });
+};
+
+/**
+ * Script, inputs, thresholds and note for a new version; returns an error message when malformed
+ */
+const readVersionFields = (body) => {
+  const { script, inputs, thresholds, note } = body;
+  if (script !== undefined && (typeof script !== 'string' || !script.trim())) return { error: 'script must be a non-empty string' };
+  if (inputs !== undefined && (inputs === null || typeof inputs !== 'object' || Array.isArray(inputs))) {
+    return { error: 'inputs must be an object' };
+  }
+  if (thresholds !== undefined && !Array.isArray(thresholds)) return { error: 'thresholds must be an array of { min, max }' };
+  return {
+    fields: {
+      script,
+      inputs,
+      thresholds: thresholds && thresholds.map(t => ({ min: t?.min ?? null, max: t?.max ?? null })),
+      note
+    }
+  };
+};
+
+/**
+ * Create a study owned by the current user; the script becomes version 1
+ * Body: { name, description, script, inputs, thresholds, note }
+ */
+const createStudy = async (req, res) => {
+  try {
+    const { name, description } = req.body || {};
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ success: false, error: 'name required' });
+    }
+    const { fields, error } = readVersionFields(req.body || {});
+    if (error) return res.status(400).json({ success: false, error });
+    if (!fields.script) return res.status(400).json({ success: false, error: 'script required' });
+
+    const study = new Study({
+      owner: req.user.id,
+      name,
+      description,
+      latestVersion: 1,
+      versions: [{ version: 1, script: fields.script, inputs: fields.inputs || {}, thresholds: fields.thresholds || [], note: fields.note }]
+    });
+    await study.save();
+
+    return res.status(201).json({
+      success: true,
+      study: { ...summarize(study, req.user.id), latest: serializeVersion(study.versions[0]) },
+      validation: validateScript(fields.script, fields.inputs || {})
+    });
+  } catch (err) {
+    return sendError(res, err, 'createStudy');
+  }
+};
+
+/**
+ * Studies the current user owns or has been shared, newest first (without version history)
+ */
+const listStudies = async (req, res) => {
+  try {
+    const studies = await Study.find({ $or: [{ owner: req.user.id }, { sharedWith: req.user.id }] })
+      .select('-versions')
+      .sort({ updatedAt: -1 });
+    return res.json({ success: true, studies: studies.map(s => summarize(s, req.user.id)) });
+  } catch (err) {
+    return sendError(res, err, 'listStudies');
+  }
+};
+
+/**
+ * One study with its latest version and the list of versions
+ */
+const getStudy = async (req, res) => {
+  try {
+    const study = await findStudy(req.params.id, req.user.id);
+    return res.json({
+      success: true,
+      study: {
+        ...summarize(study, req.user.id),
+        latest: serializeVersion(findVersion(study)),
+        versions: study.versions.map(v => ({ version: v.version, note: v.note, createdAt: v.createdAt }))
+      }
+    });
+  } catch (err) {
+    return sendError(res, err, 'getStudy');
+  }
+};
+
+const getStudyVersion = async (req, res) => {
+  try {
+    const study = await findStudy(req.params.id, req.user.id);
+    return res.json({ success: true, id: study._id, name: study.name, ...serializeVersion(findVersion(study, req.params.version)) });
+  } catch (err) {
+    return sendError(res, err, 'getStudyVersion');
+  }
+};
+
+/**
+ * Rename/describe a study, and save a new version when script, inputs or thresholds change
+ * Fields left out of a new version are carried over from the latest one; 409 when another
+ * update saved first
+ */
+const updateStudy = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { fields, error } = readVersionFields(body);
+    if (error) return res.status(400).json({ success: false, error });
+    if (body.name !== undefined && (typeof body.name !== 'string' || !body.name.trim())) {
+      return res.status(400).json({ success: false, error: 'name must be a non-empty string' });
+    }
+
+    const study = await findStudy(req.params.id, req.user.id, { write: true });
+    if (body.name !== undefined) study.name = body.name;
+    if (body.description !== undefined) study.description = body.description;
+
+    let validation;
+    if (fields.script !== undefined || fields.inputs !== undefined || fields.thresholds !== undefined) {
+      const latest = findVersion(study);
+      const next = {
+        version: study.latestVersion + 1,
+        script: fields.script ?? latest.script,
+        inputs: fields.inputs ?? latest.inputs ?? {},
+        thresholds: fields.thresholds ?? latest.thresholds.map(t => ({ min: t.min, max: t.max })),
+        note: fields.note
+      };
+      study.versions.push(next);
+      study.latestVersion = next.version;
+      validation = validateScript(next.script, next.inputs);
+    }
+
+    study.updatedAt = Date.now();
+    await study.save();
+
+    return res.json({
+      success: true,
+      study: { ...summarize(study, req.user.id), latest: serializeVersion(findVersion(study)) },
+      ...(validation ? { validation } : {})
+    });
+  } catch (err) {
+    return sendError(res, err, 'updateStudy');
+  }
+};
+
+const deleteStudy = async (req, res) => {
+  try {
+    const study = await findStudy(req.params.id, req.user.id, { write: true });
+    await study.deleteOne();
+    return res.json({ success: true, id: study._id });
+  } catch (err) {
+    return sendError(res, err, 'deleteStudy');
+  }
+};
+
+/**
+ * Share a study with other users by email. Body: { emails: [] }
+ * Shared users can read and scan the study; only the owner can change it
+ */
+const shareStudy = async (req, res) => {
+  try {
+    const { emails } = req.body || {};
+    if (!Array.isArray(emails) || emails.length === 0) {
+      return res.status(400).json({ success: false, error: 'emails required' });
+    }
+
+    const study = await findStudy(req.params.id, req.user.id, { write: true });
+    const users = await User.find({ email: { $in: emails } }).select('_id email');
+    users.forEach(u => {
+      if (!isOwner(study, u._id) && !study.sharedWith.some(id => String(id) === String(u._id))) {
+        study.sharedWith.push(u._id);
+      }
+    });
+    study.updatedAt = Date.now();
+    await study.save();
+
+    const found = users.map(u => u.email);
+    return res.json({
+      success: true,
+      study: summarize(study, req.user.id),
+      notFound: emails.filter(e => !found.includes(e))
+    });
+  } catch (err) {
+    return sendError(res, err, 'shareStudy');
+  }
+};
+
+const unshareStudy = async (req, res) => {
+  try {
+    const study = await findStudy(req.params.id, req.user.id, { write: true });
+    study.sharedWith = study.sharedWith.filter(id => String(id) !== String(req.params.userId));
+    study.updatedAt = Date.now();
+    await study.save();
+    return res.json({ success: true, study: summarize(study, req.user.id) });
+  } catch (err) {
+    return sendError(res, err, 'unshareStudy');
+  }
+};
+
+module.exports = {
+  createStudy,
+  listStudies,
+  getStudy,
+  getStudyVersion,
+  updateStudy,
+  deleteStudy,
+  shareStudy,
+  unshareStudy
+};
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Study = require('../models/Study');
+const { mockResponse } = require('../utils/testHelpers');
+const { updateStudy } = require('./studyController');
+
+const owner = new mongoose.Types.ObjectId();
+const study = () => new Study({
+  owner,
+  name: 'Breakout',
+  latestVersion: 1,
+  versions: [{ version: 1, script: 'plot p = close;', thresholds: [{ min: 1 }] }]
+});
+
+test('study saves are checked against the version they were read at', () => {
+  assert.equal(Study.schema.options.optimisticConcurrency, true);
+});
+
+test('updateStudy answers 409 when another update saved first', async (t) => {
+  const doc = study();
+  t.mock.method(Study, 'findById', async () => doc);
+  t.mock.method(doc, 'save', async () => {
+    throw new mongoose.Error.VersionError(doc, 0, ['versions', 'latestVersion']);
+  });
+
+  const req = { params: { id: String(doc._id) }, user: { id: String(owner) }, body: { script: 'plot p = open;' } };
+  const res = mockResponse();
+  await updateStudy(req, res);
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.success, false);
+  assert.match(res.body.error, /changed by another request/);
+});
+
+test('updateStudy appends the next version when the save goes through', async (t) => {
+  const doc = study();
+  t.mock.method(Study, 'findById', async () => doc);
+  t.mock.method(doc, 'save', async () => doc);
+
+  const req = { params: { id: String(doc._id) }, user: { id: String(owner) }, body: { script: 'plot p = open;', note: 'open' } };
+  const res = mockResponse();
+  await updateStudy(req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.study.latestVersion, 2);
+  assert.equal(res.body.study.latest.script, 'plot p = open;');
+  assert.deepEqual(res.body.study.latest.thresholds, [{ min: 1, max: null }]);
+});
@@ -0,0 +1,24 @@
+const { withCacheContext, summarizeLookups } = require('../services/marketDataCache');
+
+// Market-data cache options per request: `Cache-Control: no-cache` or `X-Cache-Bypass: 1` fetches
+// fresh data, and JSON responses say what the lookups did in X-Cache (HIT, MISS, SHARED, BYPASS
+// or MIXED) and X-Cache-Lookups (e.g. "hit=3, miss=1")
+const cacheStatus = (req, res, next) => {
+  const bypass = /no-cache|no-store/i.test(req.header('Cache-Control') || '') ||
+    ['1', 'true'].includes((req.header('X-Cache-Bypass') || '').toLowerCase());
+  const lookups = [];
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const summary = summarizeLookups(lookups);
+    if (summary && !res.headersSent) {
+      res.set('X-Cache', summary.status);
+      res.set('X-Cache-Lookups', summary.detail);
+    }
+    return json(body);
+  };
+
+  withCacheContext({ bypass, lookups }, next);
+};
+
+module.exports = cacheStatus;
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.MARKET_DATA_CACHE = 'on';
+process.env.MARKET_DATA_CACHE_STORE = 'memory';
+const { cached, clearCache } = require('../services/marketDataCache');
+const { mockResponse } = require('../utils/testHelpers');
+const cacheStatus = require('./cacheStatus');
+
+const mockRequest = (headers = {}) => ({
+  header: (name) => headers[Object.keys(headers).find(h => h.toLowerCase() === name.toLowerCase())]
+});
+
+// Pass a request through the middleware to a handler making the given lookups
+const handle = (req, lookups) => new Promise((resolve, reject) => {
+  const res = mockResponse();
+  cacheStatus(req, res, async () => {
+    try {
+      for (const [kind, key] of lookups) await cached(kind, key, async () => ({ key }));
+      res.json({ success: true });
+      resolve(res);
+    } catch (err) {
+      reject(err);
+    }
+  });
+});
+
+test('X-Cache reports MISS, then HIT for the same lookups', async () => {
+  await clearCache();
+  const first = await handle(mockRequest(), [['quotes', 'SPY']]);
+  assert.deepEqual(first.headers, { 'X-Cache': 'MISS', 'X-Cache-Lookups': 'miss=1' });
+
+  const second = await handle(mockRequest(), [['quotes', 'SPY']]);
+  assert.deepEqual(second.headers, { 'X-Cache': 'HIT', 'X-Cache-Lookups': 'hit=1' });
+});
+
+test('X-Cache is MIXED when lookups disagree, and counts each status', async () => {
+  await clearCache();
+  await handle(mockRequest(), [['chains', 'SPY']]);
+  const res = await handle(mockRequest(), [['chains', 'SPY'], ['chains', 'QQQ'], ['chains', 'SPY']]);
+  assert.deepEqual(res.headers, { 'X-Cache': 'MIXED', 'X-Cache-Lookups': 'hit=2, miss=1' });
+});
+
+test('Cache-Control: no-cache and X-Cache-Bypass fetch fresh data', async () => {
+  await clearCache();
+  await handle(mockRequest(), [['quotes', 'SPY']]);
+  const noCache = await handle(mockRequest({ 'Cache-Control': 'no-cache' }), [['quotes', 'SPY']]);
+  assert.equal(noCache.headers['X-Cache'], 'BYPASS');
+  const bypass = await handle(mockRequest({ 'x-cache-bypass': 'true' }), [['quotes', 'SPY']]);
+  assert.equal(bypass.headers['X-Cache'], 'BYPASS');
+});
+
+test('responses without market-data lookups get no X-Cache header', async () => {
+  const res = await handle(mockRequest(), []);
+  assert.deepEqual(res.headers, {});
+  assert.deepEqual(res.body, { success: true });
+});
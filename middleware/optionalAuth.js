@@ -0,0 +1,18 @@
+const jwt = require('jsonwebtoken');
+
+// Like auth, but lets anonymous requests through; req.user is only set for a valid token
+const optionalAuth = (req, res, next) => {
+  const token = req.header('Authorization');
+
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    req.user = decoded;
+    next();
+  } catch (err) {
+    res.status(401).json({ msg: 'Invalid token' });
+  }
+};
+
+module.exports = optionalAuth;
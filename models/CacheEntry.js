@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// One cached market-data response for the Mongo cache store (MARKET_DATA_CACHE_STORE=mongo)
+const CacheEntrySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: { type: String, required: true },              // JSON; symbols like $SPX aren't safe as field names
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Mongo drops entries once they expire
+CacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', CacheEntrySchema);
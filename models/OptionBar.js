@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One bar of an option contract's quotes, built from chain snapshots taken during the bar
+const OptionBarSchema = new mongoose.Schema({
+  symbol: { type: String, required: true },              // contract, e.g. "SPY   250117C00500000"
+  underlying: { type: String, required: true, index: true },
+  interval: { type: Number, required: true },            // bar size in minutes
+  time: {                                                // bar start; bars expire this long after it
+    type: Date,
+    required: true,
+    expires: (Number(process.env.OPTION_SNAPSHOT_RETENTION_DAYS) || 30) * 24 * 60 * 60,
+  },
+  open: { type: Number },                                // mark OHLC over the bar
+  high: { type: Number },
+  low: { type: Number },
+  close: { type: Number },
+  mark: { type: Number },                                // last snapshot in the bar
+  bid: { type: Number },
+  ask: { type: Number },
+  last: { type: Number },
+  volume: { type: Number },                              // day volume as of the last snapshot
+  oi: { type: Number },
+  delta: { type: Number },
+  gamma: { type: Number },
+  theta: { type: Number },
+  vega: { type: Number },
+  iv: { type: Number },
+  theo: { type: Number },
+  samples: { type: Number, default: 0 },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+OptionBarSchema.index({ symbol: 1, interval: 1, time: 1 }, { unique: true });
+
+module.exports = mongoose.model('OptionBar', OptionBarSchema);
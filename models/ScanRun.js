@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One contract in a run's result set: its column values and threshold statuses
+const ScanRunRowSchema = new mongoose.Schema({
+  symbol: { type: String, required: true },
+  underlying: { type: String },
+  values: { type: mongoose.Schema.Types.Mixed, default: {} },    // column key -> value
+  statuses: { type: mongoose.Schema.Types.Mixed, default: {} },  // column key -> within/above/below...
+  score: { type: Number },
+  rank: { type: Number }
+}, { _id: false });
+
+// A finished Stage 4 scan, kept so later runs of the same scan can be compared with it
+const ScanRunSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  scanName: {
+    type: String,
+    default: null,
+    trim: true,
+  },
+  interval: { type: Number },  // bar minutes; null for daily or longer bars
+  history: { type: mongoose.Schema.Types.Mixed, default: null },  // price-history spec the scan ran on
+  studies: { type: mongoose.Schema.Types.Mixed, default: {} },  // study key -> { name, studyId, version, formula, inputs, thresholds }
+  filter: { type: String, default: null },
+  scoring: { type: mongoose.Schema.Types.Mixed, default: null },
+  columns: { type: mongoose.Schema.Types.Mixed, default: [] },
+  rowCount: { type: Number },     // rows scanned
+  resultCount: { type: Number },  // rows that passed the filter, kept below
+  rows: [ScanRunRowSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: (Number(process.env.STAGE4_RUN_TTL_DAYS) || 30) * 24 * 60 * 60,
+  },
+});
+
+ScanRunSchema.index({ owner: 1, scanName: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ScanRun', ScanRunSchema);
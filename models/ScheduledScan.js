@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A scan the server runs by itself during regular hours: chains for some underlyings,
+// narrowed by chain filters, scanned with the usual Stage 4 studies
+const ScheduledScanSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },  // also the scanName of its saved runs
+  symbols: [{ type: String, uppercase: true, trim: true }],  // underlyings whose chains are scanned
+  chainFilters: { type: mongoose.Schema.Types.Mixed, default: {} },  // optionType, DTE, delta, volume, OI...
+  studies: { type: mongoose.Schema.Types.Mixed, default: {} },
+  interval: { type: Number, default: 15 },
+  history: { type: mongoose.Schema.Types.Mixed, default: null },  // price-history spec; replaces interval when set
+  filter: { type: String, default: null },
+  scoring: { type: mongoose.Schema.Types.Mixed, default: null },
+  sort: { type: mongoose.Schema.Types.Mixed, default: null },
+  schedule: {
+    type: { type: String, enum: ['every', 'open', 'close'], required: true },
+    minutes: { type: Number },  // 'every' only
+  },
+  enabled: { type: Boolean, default: true },
+  // Exchange-time slot ("2024-03-15T09:45") most recently claimed; a slot is claimed at most once
+  lastSlot: { type: String, default: null },
+  lastRunAt: { type: Date, default: null },
+  lastRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScanRun', default: null },
+  lastResultCount: { type: Number, default: null },
+  lastError: { type: String, default: null },
+  // Slots that never ran (server down or busy, previous run still going), most recent last
+  missedSlots: [{
+    _id: false,
+    slot: String,
+    reason: String,
+    at: Date,
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ScheduledScanSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ScheduledScan', ScheduledScanSchema);
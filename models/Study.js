@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One saved revision of a study; versions are append-only so scans can pin one
+const StudyVersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  script: { type: String, required: true },
+  inputs: { type: mongoose.Schema.Types.Mixed, default: {} },
+  thresholds: [{
+    min: { type: Number, default: null },
+    max: { type: Number, default: null },
+    _id: false
+  }],
+  note: { type: String },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const StudySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+  },
+  latestVersion: {
+    type: Number,
+    default: 1,
+  },
+  versions: [StudyVersionSchema],
+  sharedWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true,
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  // Saves check the document's version, so two edits made from the same read can't both
+  // append the same version number
+  optimisticConcurrency: true,
+});
+
+module.exports = mongoose.model('Study', StudySchema);
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const axios = require('axios');
 const qs = require('qs');
-const { saveToken, getToken, getQuote, getOptionsChain, getAccessToken } = require('../utils/schwab'); // ✅ Correct import
+const { saveToken, getToken, getAccessToken, getRateLimitMetrics } = require('../utils/schwab'); // ✅ Correct import
+const { checkReady, getQuote, getOptionsChain } = require('../services/marketData');
 
 const {
   SCHWAB_CLIENT_ID,
@@ -149,6 +150,15 @@ router.get('/verify-token', async (req, res) => {
   }
 });
 
+// 🚦 GET /api/schwab/rate-limit - shared limiter state: tokens, queue depth by priority, waits, backoffs
+router.get('/rate-limit', (req, res) => {
+  res.json({
+    success: true,
+    rateLimit: getRateLimitMetrics(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // ✅ GET /api/schwab/data?symbol=TSLA
 router.get('/data', async (req, res) => {
   try {
@@ -238,18 +248,14 @@ router.get(['/options', '/options/:symbol'], async (req, res) => {
     try {
       console.log(`🔍 Backend: Fetching options for symbol: ${symbol}`);
       
-      // Verify token first
-      const token = await getToken();
-      if (!token || !token.access_token) {
-        console.error(`❌ No valid Schwab token for ${symbol}`);
-        failedSymbols.push({ symbol, error: 'No valid token' });
+      // Verify the market-data provider first (a Schwab token, or the fixture directory)
+      const { ready, error } = await checkReady();
+      if (!ready) {
+        console.error(`❌ Market data not available for ${symbol}: ${error}`);
+        failedSymbols.push({ symbol, error });
         continue;
       }
       
-      const now = Math.floor(Date.now() / 1000);
-      const isExpired = token.expires_at < now;
-      console.log(`🔑 Token status for ${symbol}: expires_at=${token.expires_at}, current=${now}, is_expired=${isExpired}`);
-      
       // ✅ ADDED: Pre-flight check for ETF symbols
       if (['SPY', 'QQQ', 'IWM', 'DIA', 'VTI', 'VOO'].includes(symbol)) {
         console.log(`📊 Processing ETF symbol: ${symbol}`);
@@ -1,10 +1,68 @@
 // backend/routes/stage4.js
 const express = require('express');
 const router = express.Router();
-const { saveConfig, getLabelsForUnderlying, scanStage3Rows } = require('../controllers/stage4Controller');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { saveConfig, getLabelsForUnderlying, validateStudy, scanStage3Rows } = require('../controllers/stage4Controller');
+const {
+  createStudy,
+  listStudies,
+  getStudy,
+  getStudyVersion,
+  updateStudy,
+  deleteStudy,
+  shareStudy,
+  unshareStudy
+} = require('../controllers/studyController');
+const { getSnapshotStatus, getContractBars } = require('../controllers/optionSnapshotController');
+const { backtestStudy } = require('../controllers/backtestController');
+const { createScanJob, getScanJob, cancelScanJob, getScanJobResults } = require('../controllers/scanJobController');
+const { listScanRuns, getScanRun, diffScanRun } = require('../controllers/scanRunController');
+const {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule
+} = require('../controllers/scheduleController');
 
 router.post('/config', saveConfig);
-router.get('/labels/:symbol', getLabelsForUnderlying);
-router.post('/scan', scanStage3Rows);
+router.get('/labels/:symbol', optionalAuth, getLabelsForUnderlying);
+router.post('/labels/:symbol', optionalAuth, getLabelsForUnderlying);
+router.post('/validate', validateStudy);
+router.post('/scan', optionalAuth, scanStage3Rows);
+router.post('/backtest', optionalAuth, backtestStudy);
+
+// Background scans for large row sets: start, poll, cancel, then page through results
+router.post('/jobs', optionalAuth, createScanJob);
+router.get('/jobs/:id', optionalAuth, getScanJob);
+router.post('/jobs/:id/cancel', optionalAuth, cancelScanJob);
+router.get('/jobs/:id/results', optionalAuth, getScanJobResults);
+
+// Saved scan runs and what changed between them
+router.get('/runs', auth, listScanRuns);
+router.get('/runs/:id', auth, getScanRun);
+router.get('/runs/:id/diff', auth, diffScanRun);
+
+// Scans the server runs on a schedule during regular hours; each run is saved under the schedule's name
+router.get('/schedules', auth, listSchedules);
+router.post('/schedules', auth, createSchedule);
+router.get('/schedules/:id', auth, getSchedule);
+router.put('/schedules/:id', auth, updateSchedule);
+router.delete('/schedules/:id', auth, deleteSchedule);
+
+// Saved study library (replaces POST /config, which now answers 501 with a pointer here)
+router.get('/studies', auth, listStudies);
+router.post('/studies', auth, createStudy);
+router.get('/studies/:id', auth, getStudy);
+router.put('/studies/:id', auth, updateStudy);
+router.delete('/studies/:id', auth, deleteStudy);
+router.get('/studies/:id/versions/:version', auth, getStudyVersion);
+router.post('/studies/:id/share', auth, shareStudy);
+router.delete('/studies/:id/share/:userId', auth, unshareStudy);
+
+// Option-chain snapshot recorder
+router.get('/snapshots/status', auth, getSnapshotStatus);
+router.get('/snapshots/:symbol', auth, getContractBars);
 
 module.exports = router;
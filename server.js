@@ -7,17 +7,34 @@ const cors = require('cors');
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Cache', 'X-Cache-Lookups'] }));
 app.use(express.json());
+app.use(require('./middleware/cacheStatus')); // market-data cache bypass + status headers
 
 // Connect to DB
 connectDB();
 
+// Recorded market data has to be on disk before serving from it
+const marketData = require('./services/marketData');
+if (marketData.getProvider().name === 'fixture') {
+  marketData.checkReady().then(({ ready, error }) => {
+    if (ready) return;
+    console.error(`❌ MARKET_DATA_PROVIDER=fixture: ${error}`);
+    process.exit(1);
+  });
+}
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/schwab', require('./routes/schwab'));
 app.use('/api/intraday', require('./routes/intraday')); // ✅ added intraday route
 app.use('/api/stage4', require('./routes/stage4'));// stage 4 routes
 
+// Option-chain snapshots for per-contract study series (OPTION_SNAPSHOT_SYMBOLS)
+require('./services/optionSnapshotService').startRecorder();
+
+// Scheduled Stage 4 scans (STAGE4_SCHEDULER=off disables them on this server)
+require('./services/scanScheduler').startScheduler();
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`✅ Server running on port ${PORT}`));
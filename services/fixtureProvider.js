@@ -0,0 +1,118 @@
+// backend/services/fixtureProvider.js
+// Market data from recorded Schwab responses on disk, for running without Schwab credentials.
+// Layout under MARKET_DATA_FIXTURES_DIR (default ./fixtures):
+//   quotes/SPY.json          { "SPY": { ...quote } }           as /marketdata/v1/quotes returns it
+//   chains/SPY.json          { callExpDateMap, putExpDateMap }  as /marketdata/v1/chains returns it
+//   pricehistory/SPY.15m.json, SPY.daily.json  { candles: [] }  one file per frequency
+// The repo's fixtures/ holds a small SPY set (mid-March 2024); set MARKET_DATA_RECORD_DIR while
+// running against Schwab to capture more
+const fs = require('fs');
+const path = require('path');
+const { exchangeClock, isRegularSession } = require('./stage4Timeframes');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const fixturesDir = () => path.resolve(process.env.MARKET_DATA_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures'));
+
+/**
+ * A missing fixture, shaped like an axios 404 so callers treat it like Schwab's "not found"
+ */
+class FixtureNotFoundError extends Error {
+  constructor(file) {
+    super(`No fixture at ${file}`);
+    this.name = 'FixtureNotFoundError';
+    this.response = { status: 404, statusText: 'Not Found', data: { error: this.message } };
+  }
+}
+
+// SPY.15m for 15-minute candles, SPY.daily / SPY.weekly / SPY.monthly otherwise
+const historyName = (symbol, { frequencyType = 'minute', frequency = 1 }) =>
+  `${symbol.toUpperCase()}.${frequencyType === 'minute' ? `${frequency}m` : frequencyType}`;
+
+const fixtureFile = (dir, kind, name) => path.join(dir, kind, `${name.replace(/[^A-Za-z0-9_.$-]/g, '_')}.json`);
+
+function readFixture(kind, name) {
+  const file = fixtureFile(fixturesDir(), kind, name);
+  if (!fs.existsSync(file)) throw new FixtureNotFoundError(file);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Save a live response in the fixture layout; recorded candles are merged with the file's
+ * earlier ones, so a few days of recording build up a longer history
+ */
+function writeFixture(dir, kind, name, data) {
+  const file = fixtureFile(dir, kind, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  let out = data;
+  if (kind === 'pricehistory' && fs.existsSync(file)) {
+    const byTime = new Map();
+    [...(JSON.parse(fs.readFileSync(file, 'utf8')).candles || []), ...(data.candles || [])]
+      .forEach(c => byTime.set(c.datetime, c));
+    const candles = [...byTime.values()].sort((a, b) => a.datetime - b.datetime);
+    out = { ...data, candles, empty: candles.length === 0 };
+  }
+  fs.writeFileSync(file, JSON.stringify(out));
+}
+
+const ready = async () => (fs.existsSync(fixturesDir())
+  ? { ready: true }
+  : { ready: false, error: `Fixture directory ${fixturesDir()} not found: set MARKET_DATA_FIXTURES_DIR or record fixtures with MARKET_DATA_RECORD_DIR` });
+
+const getQuote = async (symbols) => {
+  const quotes = {};
+  String(symbols).split(',').map(s => s.trim()).filter(Boolean).forEach(symbol => {
+    Object.assign(quotes, readFixture('quotes', symbol.toUpperCase()));
+  });
+  return quotes;
+};
+
+const getChain = async (symbol) => readFixture('chains', symbol.toUpperCase());
+
+// Start of the window a period request covers, counted back from the last recorded candle
+const periodStart = (candles, { periodType = 'day', period }) => {
+  const last = candles[candles.length - 1].datetime;
+  if (periodType === 'day') {
+    const days = [...new Set(candles.map(c => exchangeClock(c.datetime).day))];
+    const first = days[Math.max(0, days.length - (period || 10))];
+    return candles.find(c => exchangeClock(c.datetime).day === first).datetime;
+  }
+  if (periodType === 'ytd') return Date.UTC(new Date(last).getUTCFullYear(), 0, 1);
+
+  const date = new Date(last);
+  if (periodType === 'month') date.setUTCMonth(date.getUTCMonth() - (period || 1));
+  else date.setUTCFullYear(date.getUTCFullYear() - (period || 1));
+  return date.getTime() + DAY;
+};
+
+/**
+ * Recorded candles narrowed the way Schwab would: startDate/endDate, else the last `period`
+ * days/months/years, and regular-session bars only unless needExtendedHoursData
+ */
+const getPriceHistory = async (params) => {
+  const symbol = params.symbol.toUpperCase();
+  const recorded = readFixture('pricehistory', historyName(symbol, params));
+  let candles = [...(recorded.candles || [])].sort((a, b) => a.datetime - b.datetime);
+
+  if (params.frequencyType === 'minute' && !params.needExtendedHoursData) {
+    candles = candles.filter(c => isRegularSession(c.datetime));
+  }
+  if (candles.length > 0) {
+    const from = params.startDate !== undefined ? Number(params.startDate) : params.endDate !== undefined ? -Infinity : periodStart(candles, params);
+    const to = params.endDate !== undefined ? Number(params.endDate) : Infinity;
+    candles = candles.filter(c => c.datetime >= from && c.datetime <= to);
+  }
+
+  return { symbol, empty: candles.length === 0, candles };
+};
+
+module.exports = {
+  FixtureNotFoundError,
+  historyName,
+  writeFixture,
+  ready,
+  getQuote,
+  getChain,
+  getPriceHistory
+};
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { FixtureNotFoundError, ready, getQuote, getChain, getPriceHistory } = require('./fixtureProvider');
+const { normalizeChain } = require('../utils/optionChain');
+const { exchangeClock } = require('./stage4Timeframes');
+
+const fifteen = { symbol: 'spy', frequencyType: 'minute', frequency: 15, periodType: 'day' };
+const days = (candles) => [...new Set(candles.map(c => exchangeClock(c.datetime).day))];
+
+test('the committed fixtures are ready to serve', async () => {
+  assert.deepEqual(await ready(), { ready: true });
+});
+
+test('a missing fixture directory is reported with its path', async (t) => {
+  const dir = process.env.MARKET_DATA_FIXTURES_DIR;
+  t.after(() => {
+    if (dir === undefined) delete process.env.MARKET_DATA_FIXTURES_DIR;
+    else process.env.MARKET_DATA_FIXTURES_DIR = dir;
+  });
+  process.env.MARKET_DATA_FIXTURES_DIR = path.join(__dirname, 'no-such-fixtures');
+  const status = await ready();
+  assert.equal(status.ready, false);
+  assert.match(status.error, /no-such-fixtures/);
+});
+
+test('getQuote returns quotes keyed by symbol', async () => {
+  const quotes = await getQuote('spy');
+  assert.equal(quotes.SPY.symbol, 'SPY');
+  assert.equal(typeof quotes.SPY.quote.lastPrice, 'number');
+});
+
+test('getChain returns a Schwab chain that normalizes to one row per contract', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const chain = await getChain('SPY');
+  const rows = normalizeChain(chain, 'SPY');
+  assert.equal(rows.length, chain.numberOfContracts);
+  assert.ok(rows.some(r => r.optionType === 'CALL') && rows.some(r => r.optionType === 'PUT'));
+  assert.ok(rows.every(r => r.underlying === 'SPY' && /^\d{4}-\d{2}-\d{2}$/.test(r.expiration)));
+});
+
+test('unknown symbols fail like a Schwab 404', async () => {
+  await assert.rejects(getChain('NOPE'), (err) => err instanceof FixtureNotFoundError && err.response.status === 404);
+});
+
+test('intraday history keeps the last days of the regular session unless extended hours are asked for', async () => {
+  const lastDay = await getPriceHistory({ ...fifteen, period: 1 });
+  assert.deepEqual(days(lastDay.candles), ['2024-03-14']);
+  assert.equal(lastDay.candles.length, 26);
+  assert.equal(lastDay.candles[0].datetime, Date.UTC(2024, 2, 14, 13, 30));
+
+  const extended = await getPriceHistory({ ...fifteen, period: 1, needExtendedHoursData: true });
+  assert.ok(extended.candles.length > lastDay.candles.length);
+
+  const twoDays = await getPriceHistory({ ...fifteen, period: 2 });
+  assert.deepEqual(days(twoDays.candles), ['2024-03-13', '2024-03-14']);
+});
+
+test('startDate and endDate narrow the recorded candles', async () => {
+  const startDate = Date.UTC(2024, 2, 13, 14, 0);
+  const endDate = Date.UTC(2024, 2, 13, 15, 0);
+  const { candles, empty } = await getPriceHistory({ ...fifteen, startDate, endDate });
+  assert.equal(empty, false);
+  assert.deepEqual(candles.map(c => c.datetime), [0, 15, 30, 45, 60].map(m => startDate + m * 60000));
+});
+
+test('daily history covers the requested months back from the last bar', async () => {
+  const { candles } = await getPriceHistory({ symbol: 'SPY', frequencyType: 'daily', frequency: 1, periodType: 'month', period: 1 });
+  const [first] = days(candles);
+  assert.equal(first, '2024-02-15');
+  assert.equal(days(candles).pop(), '2024-03-14');
+});
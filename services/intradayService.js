@@ -1,31 +1,245 @@
-const axios = require("axios");
-const { getAccessToken } = require("../utils/schwab");
+const { getPriceHistory } = require("./marketData");
+const { exchangeClock, exchangeTimestamp, sessionOf } = require("./stage4Timeframes");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Bar sizes and, per period type, the bar types and periods Schwab's pricehistory accepts
+const FREQUENCIES = { minute: [1, 5, 10, 15, 30], daily: [1], weekly: [1], monthly: [1] };
+const PERIODS = {
+  day: { frequencyTypes: ["minute"], periods: [1, 2, 3, 4, 5, 10] },
+  month: { frequencyTypes: ["daily", "weekly"], periods: [1, 2, 3, 6] },
+  year: { frequencyTypes: ["daily", "weekly", "monthly"], periods: [1, 2, 3, 5, 10, 15, 20] },
+  ytd: { frequencyTypes: ["daily", "weekly"], periods: [1] },
+};
+const DEFAULT_PERIOD_TYPE = { minute: "day", daily: "year", weekly: "year", monthly: "year" };
+const INTERVAL_NAMES = {
+  d: "daily", "1d": "daily", day: "daily", daily: "daily",
+  w: "weekly", "1w": "weekly", week: "weekly", weekly: "weekly",
+  mo: "monthly", "1mo": "monthly", month: "monthly", monthly: "monthly",
+};
+
+/**
+ * A price-history request that can't be made as given
+ */
+class HistoryRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "HistoryRequestError";
+    this.status = status;
+  }
+}
+
+const given = (v) => v !== undefined && v !== null && v !== "";
+
+// Epoch milliseconds or a date string; a bare YYYY-MM-DD endDate covers the whole day
+const readDate = (value, field, endOfDay = false) => {
+  if (!given(value)) return null;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+  if (isNaN(time)) throw new HistoryRequestError(`${field} must be a date or epoch milliseconds`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? time + DAY - 1 : time;
+};
+
+// "15", "15m", 15 -> 15-minute bars; "day", "week", "month" -> daily, weekly, monthly bars
+const readInterval = (value) => {
+  const text = String(value).trim().toLowerCase();
+  if (INTERVAL_NAMES[text]) return { frequencyType: INTERVAL_NAMES[text], frequency: 1 };
+  if (/^\d+m?$/.test(text)) return { frequencyType: "minute", frequency: parseInt(text) };
+  throw new HistoryRequestError(`interval must be minutes (${FREQUENCIES.minute.join(", ")}) or day, week or month`);
+};
+
+/**
+ * Check a price-history spec (query parameters or a scan's history) and fill in defaults
+ * Spec: { interval } or { frequencyType, frequency }, plus periodType, period, startDate, endDate, extendedHours
+ * The default is the last day of 15-minute regular-session bars
+ */
+function parseHistorySpec(input = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) throw new HistoryRequestError("history must be an object");
+
+  let { frequencyType, frequency } = input;
+  if (given(input.interval)) {
+    if (given(frequencyType) || given(frequency)) throw new HistoryRequestError("Give interval or frequencyType/frequency, not both");
+    ({ frequencyType, frequency } = readInterval(input.interval));
+  }
+
+  frequencyType = given(frequencyType) ? String(frequencyType).toLowerCase() : "minute";
+  if (!FREQUENCIES[frequencyType]) {
+    throw new HistoryRequestError(`frequencyType must be one of ${Object.keys(FREQUENCIES).join(", ")}`);
+  }
+  frequency = given(frequency) ? Number(frequency) : frequencyType === "minute" ? 15 : 1;
+  if (!FREQUENCIES[frequencyType].includes(frequency)) {
+    throw new HistoryRequestError(`frequency for ${frequencyType} bars must be one of ${FREQUENCIES[frequencyType].join(", ")}`);
+  }
+
+  const periodType = given(input.periodType) ? String(input.periodType).toLowerCase() : DEFAULT_PERIOD_TYPE[frequencyType];
+  if (!PERIODS[periodType]) throw new HistoryRequestError(`periodType must be one of ${Object.keys(PERIODS).join(", ")}`);
+  if (!PERIODS[periodType].frequencyTypes.includes(frequencyType)) {
+    throw new HistoryRequestError(`periodType ${periodType} takes ${PERIODS[periodType].frequencyTypes.join(" or ")} bars`);
+  }
+  const period = given(input.period) ? Number(input.period) : 1;
+  if (!PERIODS[periodType].periods.includes(period)) {
+    throw new HistoryRequestError(`period for periodType ${periodType} must be one of ${PERIODS[periodType].periods.join(", ")}`);
+  }
+
+  const startDate = readDate(input.startDate, "startDate");
+  const endDate = readDate(input.endDate, "endDate", true);
+  if (startDate !== null && endDate !== null && startDate >= endDate) {
+    throw new HistoryRequestError("startDate must be before endDate");
+  }
+
+  const extended = given(input.extendedHours) ? String(input.extendedHours).toLowerCase() : "false";
+  if (!["true", "false", "1", "0"].includes(extended)) throw new HistoryRequestError("extendedHours must be true or false");
+  const extendedHours = extended === "true" || extended === "1";
+  if (extendedHours && frequencyType !== "minute") throw new HistoryRequestError("extendedHours only applies to minute bars");
+
+  return { frequencyType, frequency, periodType, period, startDate, endDate, extendedHours };
+}
+
+// Schwab pricehistory params for a parsed spec
+const historyParams = (symbol, spec) => ({
+  symbol,
+  periodType: spec.periodType,
+  period: spec.period,
+  frequencyType: spec.frequencyType,
+  frequency: spec.frequency,
+  ...(spec.startDate !== null ? { startDate: spec.startDate } : {}),
+  ...(spec.endDate !== null ? { endDate: spec.endDate } : {}),
+  needExtendedHoursData: spec.extendedHours,
+});
+
+/**
+ * Normalize Schwab pricehistory candles for the engine
+ */
+const toCandles = (raw) => (raw?.candles || []).map(c => ({
+  time: c.datetime || c.time,
+  open: c.open,
+  high: c.high,
+  low: c.low,
+  close: c.close,
+  volume: c.volume,
+  oi: c.oi,
+  delta: c.delta,
+  gamma: c.gamma,
+  theo: c.theo
+}));
+
+/**
+ * Candles as API responses return them: UTC and exchange-local (America/New_York) ISO times,
+ * epoch datetime, the trading day and, for intraday bars, the session (pre, regular or post)
+ * Candles without a usable datetime are left out: they have no place on a chart or in a day
+ */
+const normalizeCandles = (raw) => (raw?.candles || []).filter(c => exchangeClock(c?.datetime)).map(c => ({
+  time: new Date(c.datetime).toISOString(),
+  exchangeTime: exchangeTimestamp(c.datetime),
+  datetime: c.datetime,
+  tradingDay: exchangeClock(c.datetime).day,
+  session: sessionOf(c.datetime),
+  open: c.open,
+  high: c.high,
+  low: c.low,
+  close: c.close,
+  volume: c.volume,
+}));
+
+/**
+ * Normalized candles grouped by trading day: { date, start, end, sessions } per day, where
+ * candles.slice(start, end) are the day's bars and sessions counts them by session
+ */
+const groupByTradingDay = (candles) => {
+  const days = [];
+  candles.forEach((c, i) => {
+    let day = days[days.length - 1];
+    if (!day || day.date !== c.tradingDay) {
+      day = { date: c.tradingDay, start: i, end: i, sessions: { pre: 0, regular: 0, post: 0 } };
+      days.push(day);
+    }
+    day.end = i + 1;
+    if (c.session) day.sessions[c.session]++;
+  });
+  return days;
+};
+
+/**
+ * Raw price history for a spec from parseHistorySpec
+ */
+const getHistory = async (symbol, spec = parseHistorySpec()) => {
+  try {
+    return await getPriceHistory(historyParams(symbol, spec));
+  } catch (err) {
+    console.error("❌ Price History Fetch Error:", err.response?.data || err.message);
+    throw err;
+  }
+};
 
 const getIntradayData = async (symbol, interval = "15m") => {
   try {
-    const accessToken = await getAccessToken();
-
-    const res = await axios.get(`https://api.schwabapi.com/marketdata/v1/pricehistory`, {
-      headers: { Authorization: `Bearer ${accessToken}` },
-      params: {
-        symbol: symbol.toUpperCase(),
-        periodType: "day",
-        period: 1,
-        frequencyType: "minute",
-        frequency: parseInt(interval) || 15,
-        needExtendedHoursData: false,
-      },
+    return await getPriceHistory({
+      symbol,
+      periodType: "day",
+      period: 1,
+      frequencyType: "minute",
+      frequency: parseInt(interval) || 15,
+      needExtendedHoursData: false,
     });
-
-    return res.data;
   } catch (err) {
     console.error("❌ Intraday Data Fetch Error:", err.response?.data || err.message);
     throw err;
   }
 };
 
-const getMultipleIntradayData = async (symbols, interval = "15m") => {
-  const promises = symbols.map((symbol) => getIntradayData(symbol, interval));
+// Daily candles for studies that read day/week/month periods (intraday fetches cover one day)
+const getDailyHistory = async (symbol, years = 1) => {
+  try {
+    return await getPriceHistory({
+      symbol,
+      periodType: "year",
+      period: years,
+      frequencyType: "daily",
+      frequency: 1,
+    });
+  } catch (err) {
+    console.error("❌ Daily History Fetch Error:", err.response?.data || err.message);
+    throw err;
+  }
+};
+
+/**
+ * Candles between two dates for backtests: interval is minutes (1, 5, 10, 15, 30) or "day"
+ * startDate and endDate are Dates or epoch milliseconds
+ */
+const getPriceHistoryRange = async (symbol, interval, startDate, endDate) => {
+  try {
+    const daily = interval === "day";
+
+    return await getPriceHistory({
+      symbol,
+      periodType: daily ? "year" : "day",
+      frequencyType: daily ? "daily" : "minute",
+      frequency: daily ? 1 : interval,
+      startDate: new Date(startDate).getTime(),
+      endDate: new Date(endDate).getTime(),
+      needExtendedHoursData: false,
+    });
+  } catch (err) {
+    console.error("❌ Price History Fetch Error:", err.response?.data || err.message);
+    throw err;
+  }
+};
+
+// onSettled(symbol) is called as each fetch finishes, for progress reporting
+const getMultipleHistory = async (symbols, spec = parseHistorySpec(), onSettled) => {
+  const promises = symbols.map((symbol) =>
+    getHistory(symbol, spec).finally(() => onSettled && onSettled(symbol))
+  );
+  const results = await Promise.allSettled(promises);
+  return results.map((result, index) => ({
+    symbol: symbols[index],
+    data: result.status === "fulfilled" ? result.value : null,
+    error: result.status === "rejected" ? result.reason.message : null,
+  }));
+};
+
+const getMultipleDailyHistory = async (symbols, years = 1) => {
+  const promises = symbols.map((symbol) => getDailyHistory(symbol, years));
   const results = await Promise.allSettled(promises);
   return results.map((result, index) => ({
     symbol: symbols[index],
@@ -34,4 +248,17 @@ const getMultipleIntradayData = async (symbols, interval = "15m") => {
   }));
 };
 
-module.exports = { getIntradayData, getMultipleIntradayData };
\ No newline at end of file
+module.exports = {
+  HistoryRequestError,
+  parseHistorySpec,
+  historyParams,
+  getHistory,
+  getIntradayData,
+  getMultipleHistory,
+  getDailyHistory,
+  getMultipleDailyHistory,
+  getPriceHistoryRange,
+  toCandles,
+  normalizeCandles,
+  groupByTradingDay
+};
\ No newline at end of file
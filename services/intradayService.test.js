@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCandles, groupByTradingDay } = require('./intradayService');
+
+// 9:15 and 9:30 ET on 2024-01-08 (EST, so 14:15 and 14:30 UTC)
+const PRE = Date.UTC(2024, 0, 8, 14, 15);
+const OPEN = Date.UTC(2024, 0, 8, 14, 30);
+const bar = (datetime) => ({ datetime, open: 1, high: 2, low: 0.5, close: 1.5, volume: 100 });
+
+test('normalizeCandles gives UTC and exchange times, the trading day and the session', () => {
+  const [candle] = normalizeCandles({ candles: [bar(OPEN)] });
+  assert.equal(candle.time, '2024-01-08T14:30:00.000Z');
+  assert.equal(candle.exchangeTime, '2024-01-08T09:30:00-05:00');
+  assert.equal(candle.tradingDay, '2024-01-08');
+  assert.equal(candle.session, 'regular');
+});
+
+test('normalizeCandles skips candles with a missing or invalid datetime', () => {
+  const candles = normalizeCandles({ candles: [bar(PRE), bar(undefined), bar(null), bar('not a date'), bar(NaN), bar(OPEN)] });
+  assert.deepEqual(candles.map(c => c.datetime), [PRE, OPEN]);
+  assert.deepEqual(normalizeCandles(null), []);
+});
+
+test('groupByTradingDay counts each day\'s bars by session', () => {
+  const days = groupByTradingDay(normalizeCandles({ candles: [bar(PRE), bar(OPEN), bar(OPEN + 24 * 60 * 60 * 1000)] }));
+  assert.deepEqual(days, [
+    { date: '2024-01-08', start: 0, end: 2, sessions: { pre: 1, regular: 1, post: 0 } },
+    { date: '2024-01-09', start: 2, end: 3, sessions: { pre: 0, regular: 1, post: 0 } }
+  ]);
+});
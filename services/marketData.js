@@ -0,0 +1,109 @@
+// backend/services/marketData.js
+// Quotes, option chains and price history from the configured provider:
+//   MARKET_DATA_PROVIDER=schwab   (default) the Schwab API, needs a stored OAuth token
+//   MARKET_DATA_PROVIDER=fixture  recorded responses on disk (see fixtureProvider)
+// Both return Schwab-shaped payloads, so everything downstream works the same on either.
+// Responses go through the TTL cache in marketDataCache
+const schwab = require('../utils/schwab');
+const fixture = require('./fixtureProvider');
+const { cached } = require('./marketDataCache');
+const { normalizeChain } = require('../utils/optionChain');
+
+/**
+ * Provider interface: ready() -> { ready, error }, getQuote(symbols), getChain(symbol),
+ * getPriceHistory(params) with Schwab's pricehistory params
+ */
+const PROVIDERS = {
+  schwab: {
+    name: 'schwab',
+    ready: schwab.checkReady,
+    getQuote: schwab.getQuote,
+    getChain: schwab.getChain,
+    getPriceHistory: schwab.getPriceHistory
+  },
+  fixture: {
+    name: 'fixture',
+    ready: fixture.ready,
+    getQuote: fixture.getQuote,
+    getChain: fixture.getChain,
+    getPriceHistory: fixture.getPriceHistory
+  }
+};
+
+function getProvider() {
+  const name = (process.env.MARKET_DATA_PROVIDER || 'schwab').toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown MARKET_DATA_PROVIDER '${name}' (${Object.keys(PROVIDERS).join(', ')})`);
+  return provider;
+}
+
+// MARKET_DATA_RECORD_DIR saves live responses as fixtures; a failed write never fails the request
+const record = (kind, name, data) => {
+  const dir = process.env.MARKET_DATA_RECORD_DIR;
+  if (!dir || getProvider().name === 'fixture' || !data) return;
+  try {
+    fixture.writeFixture(dir, kind, name, data);
+  } catch (err) {
+    console.warn(`⚠️  Could not record ${kind} fixture ${name}:`, err.message);
+  }
+};
+
+const getQuote = async (symbol = 'AAPL') => cached('quotes', String(symbol).toUpperCase(), async () => {
+  const data = await getProvider().getQuote(symbol);
+  Object.keys(data || {}).forEach(key => record('quotes', key, { [key]: data[key] }));
+  return data;
+});
+
+/**
+ * Every contract in an underlying's chain, one row each with its OCC fields parsed
+ * Returns [] when the provider has no chain for the symbol
+ */
+const getOptionsChain = async (symbol) => {
+  console.log(`🔍 [${symbol}] Starting options chain request`);
+
+  try {
+    return await cached('chains', symbol.toUpperCase(), async () => {
+      const data = await getProvider().getChain(symbol);
+      record('chains', symbol.toUpperCase(), data);
+      return normalizeChain(data, symbol);
+    });
+  } catch (error) {
+    console.error(`🛑 [${symbol}] Options Chain Error:`, {
+      message: error.message,
+      status: error.response?.status,
+      statusText: error.response?.statusText
+    });
+
+    if (error.response?.status === 404) {
+      console.error(`🔍 [${symbol}] Symbol not found or no options available`);
+      return []; // Return empty array instead of throwing
+    } else if (error.response?.status === 429) {
+      console.error(`⏳ [${symbol}] Rate limit exceeded`);
+      throw new Error(`Rate limit exceeded for ${symbol}`);
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Raw price history ({ symbol, empty, candles }) for Schwab's pricehistory params
+ */
+const getPriceHistory = async (params) => {
+  const key = JSON.stringify(Object.keys(params).sort().map(k => [k, k === 'symbol' ? params[k].toUpperCase() : params[k]]));
+  return cached('pricehistory', key, async () => {
+    const data = await getProvider().getPriceHistory(params);
+    record('pricehistory', fixture.historyName(params.symbol, params), data);
+    return data;
+  });
+};
+
+const checkReady = () => getProvider().ready();
+
+module.exports = {
+  getProvider,
+  checkReady,
+  getQuote,
+  getOptionsChain,
+  getPriceHistory
+};
@@ -0,0 +1,177 @@
+// backend/services/marketDataCache.js
+// TTL cache in front of the market-data provider, so users scanning the same underlyings
+// share one /chains or /pricehistory call. Concurrent identical requests collapse into one fetch.
+//   MARKET_DATA_CACHE=off                 disables it
+//   MARKET_DATA_CACHE_STORE=memory|mongo  memory (default, per server) or Mongo (shared by replicas)
+// Cached values are shared between callers: treat them as read-only
+const { AsyncLocalStorage } = require('async_hooks');
+const CacheEntry = require('../models/CacheEntry');
+const { isRegularSession } = require('./stage4Timeframes');
+
+const SECOND = 1000;
+const MAX_MEMORY_ENTRIES = Number(process.env.MARKET_DATA_CACHE_MAX_ENTRIES) || 500;
+
+// Seconds each kind of response stays fresh; chains move faster while the market is open
+const TTL = {
+  quotes: () => Number(process.env.MARKET_DATA_CACHE_QUOTE_TTL) || 5,
+  chains: (now) => (isRegularSession(now)
+    ? Number(process.env.MARKET_DATA_CACHE_CHAIN_TTL) || 60
+    : Number(process.env.MARKET_DATA_CACHE_CHAIN_CLOSED_TTL) || 15 * 60),
+  pricehistory: () => Number(process.env.MARKET_DATA_CACHE_HISTORY_TTL) || 60
+};
+
+const STATUSES = ['HIT', 'MISS', 'SHARED', 'BYPASS'];
+
+// Per-request options and the statuses of its lookups, set by the cacheStatus middleware
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with its market-data lookups using these options: { bypass, lookups }
+ * bypass fetches fresh data (still storing it); lookups collects each lookup's status
+ */
+const withCacheContext = (context, fn) => requestContext.run(context, fn);
+
+// For work that needs fresh data every time (e.g. the option snapshot recorder)
+const withoutCache = (fn) => requestContext.run({ bypass: true, lookups: [] }, fn);
+
+const memoryStore = {
+  entries: new Map(),
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  },
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    // Maps iterate in insertion order, so the first keys are the oldest writes
+    while (this.entries.size > MAX_MEMORY_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  },
+
+  async clear() {
+    this.entries.clear();
+  }
+};
+
+const mongoStore = {
+  async get(key) {
+    const entry = await CacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return entry ? JSON.parse(entry.value) : undefined;
+  },
+
+  async set(key, value, ttlMs) {
+    await CacheEntry.updateOne(
+      { key },
+      { $set: { value: JSON.stringify(value), expiresAt: new Date(Date.now() + ttlMs), createdAt: new Date() } },
+      { upsert: true }
+    );
+  },
+
+  async clear() {
+    await CacheEntry.deleteMany({});
+  }
+};
+
+const STORES = { memory: memoryStore, mongo: mongoStore };
+
+const enabled = () => (process.env.MARKET_DATA_CACHE || 'on').toLowerCase() !== 'off';
+
+function getStore() {
+  const name = (process.env.MARKET_DATA_CACHE_STORE || 'memory').toLowerCase();
+  const store = STORES[name];
+  if (!store) throw new Error(`Unknown MARKET_DATA_CACHE_STORE '${name}' (${Object.keys(STORES).join(', ')})`);
+  return store;
+}
+
+const inFlight = new Map();
+
+// The store is an optimisation: if it fails, fetch as if it were empty
+async function storeGet(store, key) {
+  try {
+    return await store.get(key);
+  } catch (err) {
+    console.warn(`⚠️  Market data cache read failed for ${key}:`, err.message);
+    return undefined;
+  }
+}
+
+async function storeSet(store, key, value, ttlMs) {
+  try {
+    await store.set(key, value, ttlMs);
+  } catch (err) {
+    console.warn(`⚠️  Market data cache write failed for ${key}:`, err.message);
+  }
+}
+
+/**
+ * Cached value for kind ('quotes', 'chains', 'pricehistory') and key, else fetch() stored for
+ * the kind's TTL; callers asking for the same key while a fetch is running share its result.
+ * Errors are never cached
+ */
+async function cached(kind, key, fetch) {
+  if (!enabled()) return fetch();
+
+  const context = requestContext.getStore() || {};
+  const note = (status) => { if (context.lookups) context.lookups.push(status); };
+  const store = getStore();
+  const fullKey = `${process.env.MARKET_DATA_PROVIDER || 'schwab'}:${kind}:${key}`;
+
+  if (!context.bypass) {
+    const value = await storeGet(store, fullKey);
+    if (value !== undefined) {
+      note('HIT');
+      return value;
+    }
+  }
+
+  if (inFlight.has(fullKey)) {
+    note(context.bypass ? 'BYPASS' : 'SHARED');
+    return inFlight.get(fullKey);
+  }
+
+  note(context.bypass ? 'BYPASS' : 'MISS');
+  const pending = (async () => {
+    const value = await fetch();
+    await storeSet(store, fullKey, value, TTL[kind](Date.now()) * SECOND);
+    return value;
+  })();
+  inFlight.set(fullKey, pending);
+  try {
+    return await pending;
+  } finally {
+    inFlight.delete(fullKey);
+  }
+}
+
+/**
+ * X-Cache value for a request's lookups: the status when they all agree, else MIXED
+ */
+function summarizeLookups(lookups) {
+  if (lookups.length === 0) return null;
+  const counts = STATUSES
+    .map(status => [status, lookups.filter(s => s === status).length])
+    .filter(([, n]) => n > 0);
+  return {
+    status: counts.length === 1 ? counts[0][0] : 'MIXED',
+    detail: counts.map(([status, n]) => `${status.toLowerCase()}=${n}`).join(', ')
+  };
+}
+
+const clearCache = () => getStore().clear();
+
+module.exports = {
+  TTL,
+  withCacheContext,
+  withoutCache,
+  cached,
+  summarizeLookups,
+  clearCache
+};
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.MARKET_DATA_CACHE = 'on';
+process.env.MARKET_DATA_CACHE_STORE = 'memory';
+const { TTL, withCacheContext, cached, clearCache } = require('./marketDataCache');
+
+// Thursday 2024-03-14 (EDT): 10:00 ET is 14:00 UTC
+const OPEN = Date.UTC(2024, 2, 14, 14, 0);
+
+// Run fn collecting the status of every lookup it makes
+const lookupsOf = async (fn, bypass = false) => {
+  const lookups = [];
+  const value = await withCacheContext({ bypass, lookups }, fn);
+  return { value, lookups };
+};
+
+const counter = (value) => {
+  const fetch = async () => {
+    fetch.calls++;
+    await new Promise(resolve => setImmediate(resolve));
+    return value;
+  };
+  fetch.calls = 0;
+  return fetch;
+};
+
+test('chains stay fresh for a minute during the session and fifteen outside it', () => {
+  assert.equal(TTL.chains(OPEN), 60);
+  assert.equal(TTL.chains(OPEN + 7 * 60 * 60 * 1000), 15 * 60);
+  // Saturday, and Thanksgiving at 10:00 ET
+  assert.equal(TTL.chains(Date.UTC(2024, 2, 16, 14, 0)), 15 * 60);
+  assert.equal(TTL.chains(Date.UTC(2024, 10, 28, 15, 0)), 15 * 60);
+  assert.equal(TTL.quotes(), 5);
+  assert.equal(TTL.pricehistory(), 60);
+});
+
+test('TTLs can be set through the environment', (t) => {
+  t.after(() => {
+    delete process.env.MARKET_DATA_CACHE_CHAIN_TTL;
+    delete process.env.MARKET_DATA_CACHE_QUOTE_TTL;
+  });
+  process.env.MARKET_DATA_CACHE_CHAIN_TTL = '30';
+  process.env.MARKET_DATA_CACHE_QUOTE_TTL = '2';
+  assert.equal(TTL.chains(OPEN), 30);
+  assert.equal(TTL.quotes(), 2);
+});
+
+test('a cached value is served until its kind\'s TTL runs out', async (t) => {
+  await clearCache();
+  let now = OPEN;
+  t.mock.method(Date, 'now', () => now);
+  const fetch = counter({ SPY: 500 });
+
+  assert.deepEqual((await lookupsOf(() => cached('quotes', 'SPY', fetch))).lookups, ['MISS']);
+  now += 4 * 1000;
+  assert.deepEqual((await lookupsOf(() => cached('quotes', 'SPY', fetch))).lookups, ['HIT']);
+  now += 2 * 1000;
+  assert.deepEqual((await lookupsOf(() => cached('quotes', 'SPY', fetch))).lookups, ['MISS']);
+  assert.equal(fetch.calls, 2);
+});
+
+test('identical requests made at the same time share one fetch', async () => {
+  await clearCache();
+  const fetch = counter([{ symbol: 'SPY' }]);
+
+  const { value, lookups } = await lookupsOf(() => Promise.all([
+    cached('chains', 'SPY', fetch),
+    cached('chains', 'SPY', fetch),
+    cached('chains', 'QQQ', fetch)
+  ]));
+  assert.equal(fetch.calls, 2);
+  assert.equal(value[0], value[1]);
+  assert.deepEqual(lookups, ['MISS', 'SHARED', 'MISS']);
+
+  // Bypass fetches again even though the value is cached
+  assert.deepEqual((await lookupsOf(() => cached('chains', 'SPY', fetch), true)).lookups, ['BYPASS']);
+  assert.equal(fetch.calls, 3);
+});
+
+test('a failed fetch is shared by its waiters but never cached', async () => {
+  await clearCache();
+  let calls = 0;
+  const failing = async () => {
+    calls++;
+    await new Promise(resolve => setImmediate(resolve));
+    throw new Error('Schwab is down');
+  };
+
+  const results = await Promise.allSettled([cached('chains', 'SPY', failing), cached('chains', 'SPY', failing)]);
+  assert.deepEqual(results.map(r => r.status), ['rejected', 'rejected']);
+  assert.equal(calls, 1);
+
+  const fetch = counter(['fresh']);
+  assert.deepEqual(await cached('chains', 'SPY', fetch), ['fresh']);
+  assert.equal(fetch.calls, 1);
+});
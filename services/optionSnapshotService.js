@@ -0,0 +1,208 @@
+// backend/services/optionSnapshotService.js
+// Polls option chains during the session and keeps per-contract bars (mark, bid/ask, greeks, OI),
+// so Stage 4 formulas can read an option's own history instead of zeros
+const OptionBar = require('../models/OptionBar');
+const { getOptionsChain } = require('./marketData');
+const { isRegularSession } = require('./stage4Timeframes');
+const { withPriority } = require('../utils/rateLimiter');
+const { withoutCache } = require('./marketDataCache');
+
+const MINUTE = 60 * 1000;
+
+// Study series filled from recorded bars; the names match the bar fields
+const OPTION_BAR_SERIES = ['mark', 'bid', 'ask', 'delta', 'gamma', 'theo', 'oi'];
+
+const list = (value, fallback) => String(value || fallback)
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+
+/**
+ * Recorder settings from the environment:
+ * OPTION_SNAPSHOT_SYMBOLS=SPY,QQQ  OPTION_SNAPSHOT_POLL_SECONDS=60  OPTION_SNAPSHOT_BAR_MINUTES=5,15
+ * OPTION_SNAPSHOT_ALL_HOURS=true also polls outside the regular session
+ * OPTION_SNAPSHOT_RETENTION_DAYS=30 keeps recorded bars that long (read by the OptionBar model)
+ */
+const readConfig = () => ({
+  symbols: list(process.env.OPTION_SNAPSHOT_SYMBOLS, '').map(s => s.toUpperCase()),
+  pollSeconds: Number(process.env.OPTION_SNAPSHOT_POLL_SECONDS) || 60,
+  barMinutes: list(process.env.OPTION_SNAPSHOT_BAR_MINUTES, '5,15').map(Number).filter(n => n > 0),
+  marketHoursOnly: process.env.OPTION_SNAPSHOT_ALL_HOURS !== 'true'
+});
+
+// Bars start on multiples of their size, which lines them up with the price-history candles
+const barStart = (time, minutes) => new Date(Math.floor(time / (minutes * MINUTE)) * minutes * MINUTE);
+
+// Schwab reports missing greeks as -999
+const quoteValue = (v) => (typeof v === 'number' && isFinite(v) && v !== -999 ? v : null);
+
+/**
+ * Upsert that folds one contract snapshot into its bar: mark OHLC across the bar,
+ * everything else as of the latest snapshot
+ */
+function barUpdate(contract, underlying, minutes, now) {
+  const mark = quoteValue(contract.mark);
+  if (!contract.symbol || mark === null) return null;
+
+  return {
+    updateOne: {
+      filter: { symbol: contract.symbol, interval: minutes, time: barStart(now, minutes) },
+      update: {
+        $setOnInsert: { underlying, open: mark },
+        $max: { high: mark },
+        $min: { low: mark },
+        $set: {
+          close: mark,
+          mark,
+          bid: quoteValue(contract.bid),
+          ask: quoteValue(contract.ask),
+          last: quoteValue(contract.last),
+          volume: quoteValue(contract.totalVolume),
+          oi: quoteValue(contract.openInterest),
+          delta: quoteValue(contract.delta),
+          gamma: quoteValue(contract.gamma),
+          theta: quoteValue(contract.theta),
+          vega: quoteValue(contract.vega),
+          iv: quoteValue(contract.volatility),
+          theo: quoteValue(contract.theoreticalOptionValue),
+          updatedAt: new Date(now)
+        },
+        $inc: { samples: 1 }
+      },
+      upsert: true
+    }
+  };
+}
+
+/**
+ * Take one chain snapshot for an underlying and fold it into every configured bar size
+ * Returns the number of bar upserts written
+ */
+async function recordSnapshot(symbol, barMinutes, now = Date.now()) {
+  const contracts = await getOptionsChain(symbol);
+  const ops = [];
+  (contracts || []).forEach(contract => {
+    barMinutes.forEach(minutes => {
+      const op = barUpdate(contract, symbol.toUpperCase(), minutes, now);
+      if (op) ops.push(op);
+    });
+  });
+
+  if (ops.length > 0) await OptionBar.bulkWrite(ops, { ordered: false });
+  return ops.length;
+}
+
+const recorder = {
+  config: null,
+  timer: null,
+  polling: false,
+  polls: 0,
+  lastPollAt: null,
+  lastResults: {}
+};
+
+async function poll() {
+  // A slow chain fetch must not stack up polls behind it
+  if (recorder.polling) return;
+  const { symbols, barMinutes, marketHoursOnly } = recorder.config;
+  if (marketHoursOnly && !isRegularSession()) return;
+
+  recorder.polling = true;
+  try {
+    for (const symbol of symbols) {
+      try {
+        // Queued behind interactive requests in the Schwab rate limiter, and never from the cache
+        const bars = await withPriority('background', () => withoutCache(() => recordSnapshot(symbol, barMinutes)));
+        recorder.lastResults[symbol] = { at: new Date(), bars, error: null };
+      } catch (err) {
+        console.error(`❌ Option snapshot failed for ${symbol}:`, err.message);
+        recorder.lastResults[symbol] = { at: new Date(), bars: 0, error: err.message };
+      }
+    }
+    recorder.polls++;
+    recorder.lastPollAt = new Date();
+  } finally {
+    recorder.polling = false;
+  }
+}
+
+/**
+ * Start polling the configured symbols; does nothing when no symbols are configured
+ */
+function startRecorder(config = readConfig()) {
+  stopRecorder();
+  if (config.symbols.length === 0 || config.barMinutes.length === 0) return false;
+
+  recorder.config = config;
+  recorder.timer = setInterval(poll, config.pollSeconds * 1000);
+  poll();
+  console.log(`📸 Recording option snapshots for ${config.symbols.join(', ')} every ${config.pollSeconds}s (${config.barMinutes.join('/')} min bars)`);
+  return true;
+}
+
+function stopRecorder() {
+  if (recorder.timer) clearInterval(recorder.timer);
+  recorder.timer = null;
+}
+
+function recorderStatus() {
+  return {
+    running: Boolean(recorder.timer),
+    marketOpen: isRegularSession(),
+    config: recorder.config,
+    polls: recorder.polls,
+    lastPollAt: recorder.lastPollAt,
+    symbols: recorder.lastResults
+  };
+}
+
+/**
+ * Recorded bars of one size for a set of contracts between two times, grouped by contract
+ */
+async function loadOptionBars(symbols, minutes, from, to) {
+  const bars = await OptionBar.find({
+    symbol: { $in: symbols },
+    interval: minutes,
+    time: { $gte: new Date(from), $lte: new Date(to) }
+  })
+    .sort({ time: 1 })
+    .lean();
+
+  const bySymbol = {};
+  bars.forEach(bar => {
+    if (!bySymbol[bar.symbol]) bySymbol[bar.symbol] = [];
+    bySymbol[bar.symbol].push(bar);
+  });
+  return bySymbol;
+}
+
+/**
+ * Line a contract's bars up with the underlying's candle times: each candle takes the latest
+ * bar that started at or before it, so it never sees later quotes. Candles before the first
+ * recorded bar are NaN
+ */
+function alignOptionBars(times, bars = []) {
+  const series = {};
+  OPTION_BAR_SERIES.forEach(name => { series[name] = []; });
+
+  let b = -1;
+  times.forEach(time => {
+    const t = new Date(time).getTime();
+    while (b + 1 < bars.length && new Date(bars[b + 1].time).getTime() <= t) b++;
+    OPTION_BAR_SERIES.forEach(name => {
+      const value = b >= 0 ? bars[b][name] : null;
+      series[name].push(typeof value === 'number' ? value : NaN);
+    });
+  });
+  return series;
+}
+
+module.exports = {
+  OPTION_BAR_SERIES,
+  recordSnapshot,
+  startRecorder,
+  stopRecorder,
+  recorderStatus,
+  loadOptionBars,
+  alignOptionBars
+};
@@ -0,0 +1,183 @@
+// backend/services/scanFilter.js
+// Pass/fail filter expressions over scan labels:
+//   study1.plot2 within AND (study3.plot1 above OR study4.RSI within)
+const { tokenize, ThinkScriptSyntaxError } = require('./thinkscriptLexer');
+
+// Label statuses a condition can test; "outside" matches above or below
+const FILTER_STATUSES = ['within', 'above', 'below', 'outside', 'noFilter', 'unknown', 'empty', 'error', 'limit', 'timeout'];
+
+const STATUS_BY_WORD = {};
+FILTER_STATUSES.forEach(s => { STATUS_BY_WORD[s.toLowerCase()] = s; });
+
+class FilterParser {
+  constructor(text) {
+    this.tokens = tokenize(text);
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.pos++;
+    return token;
+  }
+
+  isWord(word, symbol) {
+    const token = this.peek();
+    return (token.type === 'keyword' && token.value === word) || (token.type === 'operator' && token.value === symbol);
+  }
+
+  error(message, token = this.peek()) {
+    return new ThinkScriptSyntaxError(message, token.line, token.column);
+  }
+
+  parse() {
+    const expr = this.parseOr();
+    if (this.peek().type !== 'eof') throw this.error(`Unexpected ${describe(this.peek())} in filter`);
+    return expr;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isWord('or', '||')) {
+      this.next();
+      left = { type: 'Or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isWord('and', '&&')) {
+      this.next();
+      left = { type: 'And', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isWord('not', '!')) {
+      this.next();
+      return { type: 'Not', argument: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  // condition := studyN '.' (plotN | plotName) status
+  parsePrimary() {
+    const token = this.peek();
+    if (token.type === 'punct' && token.value === '(') {
+      this.next();
+      const expr = this.parseOr();
+      const close = this.next();
+      if (close.type !== 'punct' || close.value !== ')') throw this.error(`Expected ')' but found ${describe(close)}`, close);
+      return expr;
+    }
+
+    const study = this.next();
+    if (study.type !== 'identifier') throw this.error(`Expected a study reference like study1.plot1 but found ${describe(study)}`, study);
+    const dot = this.next();
+    if (dot.type !== 'punct' || dot.value !== '.') throw this.error(`Expected '.' after ${study.value}`, dot);
+    const plot = this.next();
+    if (plot.type !== 'identifier') throw this.error(`Expected a plot name after '${study.value}.'`, plot);
+
+    const word = this.next();
+    const status = word.type === 'identifier' ? STATUS_BY_WORD[word.value.toLowerCase()] : undefined;
+    if (!status) {
+      throw this.error(`Expected a status (${FILTER_STATUSES.join(', ')}) but found ${describe(word)}`, word);
+    }
+
+    const index = /^plot(\d+)$/i.exec(plot.value);
+    return {
+      type: 'Condition',
+      study: study.value,
+      plot: index ? { index: Number(index[1]) } : { name: plot.value },
+      status,
+      text: `${study.value}.${plot.value} ${status}`,
+      line: study.line,
+      column: study.column
+    };
+  }
+}
+
+const describe = (token) => (token.type === 'eof' ? 'end of filter' : `'${token.value}'`);
+
+/**
+ * Parse a filter expression; throws ThinkScriptSyntaxError with line/column on bad input
+ */
+function parseFilter(text) {
+  if (typeof text !== 'string' || !text.trim()) throw new ThinkScriptSyntaxError('Filter is empty', 1, 1);
+  return new FilterParser(text).parse();
+}
+
+/**
+ * Every condition in a filter, left to right
+ */
+function filterConditions(node, out = []) {
+  if (node.type === 'Condition') out.push(node);
+  else if (node.type === 'Not') filterConditions(node.argument, out);
+  else {
+    filterConditions(node.left, out);
+    filterConditions(node.right, out);
+  }
+  return out;
+}
+
+/**
+ * Label object a condition points at: plotN is 1-based, otherwise the plot is matched by name
+ */
+function findLabel(condition, studyLabels) {
+  const labels = studyLabels?.[condition.study] || studyLabels?.[condition.study.toLowerCase()];
+  if (!Array.isArray(labels)) return null;
+  if (condition.plot.index !== undefined) return labels[condition.plot.index - 1] || null;
+  const name = condition.plot.name.toLowerCase();
+  return labels.find(l => l.name && l.name.toLowerCase() === name) || null;
+}
+
+const matches = (status, wanted) =>
+  wanted === 'outside' ? status === 'above' || status === 'below' : status === wanted;
+
+/**
+ * Evaluate a parsed filter against one row's study labels
+ * Every condition is checked (no short-circuit) so the row can report all of them
+ */
+function evaluateFilter(node, studyLabels) {
+  const conditions = [];
+
+  const visit = (n) => {
+    switch (n.type) {
+      case 'Condition': {
+        const label = findLabel(n, studyLabels);
+        const actual = label ? label.status : 'unknown';
+        const passed = matches(actual, n.status);
+        conditions.push({ condition: n.text, actual, value: label ? label.value : null, passed });
+        return passed;
+      }
+      case 'Not':
+        return !visit(n.argument);
+      case 'And': {
+        const left = visit(n.left);
+        const right = visit(n.right);
+        return left && right;
+      }
+      default: {
+        const left = visit(n.left);
+        const right = visit(n.right);
+        return left || right;
+      }
+    }
+  };
+
+  const passed = visit(node);
+  return { passed, conditions };
+}
+
+module.exports = {
+  FILTER_STATUSES,
+  parseFilter,
+  filterConditions,
+  evaluateFilter
+};
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFilter, filterConditions, evaluateFilter } = require('./scanFilter');
+const { ThinkScriptSyntaxError } = require('./thinkscriptLexer');
+
+// Condition texts arranged as the tree nests them
+const shape = (node) => {
+  if (node.type === 'Condition') return node.text;
+  if (node.type === 'Not') return ['Not', shape(node.argument)];
+  return [node.type, shape(node.left), shape(node.right)];
+};
+
+const labels = (...statuses) => statuses.map((status, i) => ({ name: `p${i + 1}`, status, value: i }));
+
+test('AND binds tighter than OR, and NOT tighter than both', () => {
+  assert.deepEqual(shape(parseFilter('study1.plot1 within OR study2.plot1 above AND study3.plot1 below')), [
+    'Or', 'study1.plot1 within', ['And', 'study2.plot1 above', 'study3.plot1 below']
+  ]);
+  assert.deepEqual(shape(parseFilter('not study1.plot1 within and study2.plot1 above')), [
+    'And', ['Not', 'study1.plot1 within'], 'study2.plot1 above'
+  ]);
+  assert.deepEqual(shape(parseFilter('!study1.plot1 within || study2.plot1 above && study3.plot1 below')),
+    shape(parseFilter('not study1.plot1 within or study2.plot1 above and study3.plot1 below')));
+});
+
+test('parentheses override precedence', () => {
+  const node = parseFilter('(study1.plot1 within OR study2.plot1 above) AND NOT (study3.plot1 below)');
+  assert.deepEqual(shape(node), [
+    'And', ['Or', 'study1.plot1 within', 'study2.plot1 above'], ['Not', 'study3.plot1 below']
+  ]);
+  assert.deepEqual(filterConditions(node).map(c => c.study), ['study1', 'study2', 'study3']);
+
+  // study1 within alone passes the ungrouped filter but not the grouped one
+  const studyLabels = { study1: labels('within'), study2: labels('below'), study3: labels('below') };
+  const ungrouped = parseFilter('study1.plot1 within OR study2.plot1 above AND NOT study3.plot1 below');
+  assert.equal(evaluateFilter(ungrouped, studyLabels).passed, true);
+  assert.equal(evaluateFilter(node, studyLabels).passed, false);
+});
+
+test('outside matches above and below but not within', () => {
+  const node = parseFilter('study1.plot1 outside');
+  assert.equal(evaluateFilter(node, { study1: labels('above') }).passed, true);
+  assert.equal(evaluateFilter(node, { study1: labels('below') }).passed, true);
+  assert.equal(evaluateFilter(node, { study1: labels('within') }).passed, false);
+  assert.equal(evaluateFilter(node, { study1: labels('noFilter') }).passed, false);
+});
+
+test('plotN is a 1-based position and any other plot is matched by name', () => {
+  const studyLabels = {
+    study1: [{ name: 'Fast', status: 'below', value: 1 }, { name: 'RSI', status: 'within', value: 55 }]
+  };
+  const byIndex = evaluateFilter(parseFilter('study1.plot2 within'), studyLabels);
+  assert.deepEqual(byIndex.conditions, [{ condition: 'study1.plot2 within', actual: 'within', value: 55, passed: true }]);
+
+  const byName = evaluateFilter(parseFilter('study1.rsi within AND STUDY1.fast below'), studyLabels);
+  assert.equal(byName.passed, true);
+  assert.deepEqual(byName.conditions.map(c => c.value), [55, 1]);
+  // Status words are case-insensitive and come out canonical
+  assert.equal(parseFilter('study1.plot1 NOFILTER').status, 'noFilter');
+});
+
+test('missing studies, positions and names evaluate as unknown, and every condition is reported', () => {
+  const studyLabels = { study1: labels('within') };
+  const result = evaluateFilter(
+    parseFilter('study2.plot1 within OR study1.plot3 within OR study1.missing within OR study1.plot1 within'),
+    studyLabels
+  );
+  assert.equal(result.passed, true);
+  assert.deepEqual(result.conditions.map(c => [c.actual, c.value, c.passed]), [
+    ['unknown', null, false], ['unknown', null, false], ['unknown', null, false], ['within', 0, true]
+  ]);
+  assert.equal(evaluateFilter(parseFilter('study9.plot1 unknown'), {}).passed, true);
+});
+
+test('syntax errors carry the line and column of the offending token', () => {
+  const fails = (text, line, column, reason) => assert.throws(() => parseFilter(text), (err) =>
+    err instanceof ThinkScriptSyntaxError && err.line === line && err.column === column && reason.test(err.reason));
+
+  fails('', 1, 1, /empty/);
+  fails('study1.plot1 sideways', 1, 14, /Expected a status/);
+  fails('study1.plot1 within AND\n  study2 within', 2, 10, /Expected '\.' after study2/);
+  fails('(study1.plot1 within', 1, 21, /Expected '\)' but found end of filter/);
+  fails('study1.plot1 within study2.plot1 above', 1, 21, /Unexpected 'study2'/);
+  fails('study1.plot1 within AND', 1, 24, /found end of filter/);
+});
@@ -0,0 +1,201 @@
+// backend/services/scanJobs.js
+// Background Stage 4 scans: an in-memory queue that runs a few scans at a time
+const crypto = require('crypto');
+const { executeScan, paginateRows, ScanCancelledError } = require('./stage4Scan');
+const { recordScanRun } = require('./scanRunService');
+
+const MAX_RUNNING = Number(process.env.STAGE4_JOB_CONCURRENCY) || 2;
+// Finished jobs (and their results) are kept this long for clients to collect
+const JOB_TTL_MS = Number(process.env.STAGE4_JOB_TTL_MS) || 60 * 60 * 1000;
+// Row errors shown while polling; the full list comes with the results
+const PROGRESS_ERRORS = 20;
+// Jobs held at once (queued, running, and finished ones kept for collection): overall, and per
+// signed-in user or, for anonymous scans, per IP address
+const MAX_JOBS = Number(process.env.STAGE4_MAX_JOBS) || 200;
+const MAX_JOBS_PER_CLIENT = Number(process.env.STAGE4_MAX_JOBS_PER_CLIENT) || 10;
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+/**
+ * A job that can't be read or changed as asked
+ */
+class ScanJobError extends Error {
+  constructor(message, status = 404) {
+    super(message);
+    this.name = 'ScanJobError';
+    this.status = status;
+  }
+}
+
+const pruneJobs = () => {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  jobs.forEach((job, id) => {
+    if (FINISHED.includes(job.status) && job.finishedAt.getTime() < cutoff) jobs.delete(id);
+  });
+};
+
+/**
+ * Make room for one more of these jobs: the oldest finished ones are dropped (results and all),
+ * and when the rest are still queued or running the new job is refused with `error`
+ */
+function makeRoom(held, max, error) {
+  const excess = held.length - max + 1;
+  if (excess <= 0) return;
+
+  const finished = held.filter(j => FINISHED.includes(j.status)).sort((a, b) => a.finishedAt - b.finishedAt);
+  if (finished.length < excess) throw error;
+  finished.slice(0, excess).forEach(j => jobs.delete(j.id));
+}
+
+const finish = (job, status, error = null) => {
+  job.status = status;
+  job.error = error;
+  job.finishedAt = new Date();
+  // Nothing left to run, so let the plan (rows, compiled studies) be collected
+  job.plan = null;
+};
+
+async function run(job) {
+  running++;
+  job.status = 'running';
+  job.startedAt = new Date();
+  console.log(`🚀 Scan job ${job.id} started (${job.progress.rowsTotal} rows)`);
+
+  try {
+    job.result = await executeScan(job.plan, {
+      onProgress: (progress) => {
+        job.progress = { ...progress, errors: progress.errors.length };
+        job.errors = progress.errors;
+      },
+      isCancelled: () => job.cancelRequested
+    });
+    job.runId = recordScanRun(job.plan, job.result, job.owner);
+    finish(job, 'completed');
+    console.log(`✅ Scan job ${job.id} completed: ${job.result.rows.length} rows`);
+  } catch (err) {
+    if (err instanceof ScanCancelledError) {
+      finish(job, 'cancelled');
+      console.log(`🛑 Scan job ${job.id} cancelled`);
+    } else {
+      finish(job, 'failed', err.message);
+      console.error(`❌ Scan job ${job.id} failed:`, err);
+    }
+  } finally {
+    running--;
+    startNext();
+  }
+}
+
+function startNext() {
+  while (running < MAX_RUNNING && queue.length > 0) {
+    run(queue.shift());
+  }
+}
+
+/**
+ * Queue a prepared scan (see prepareScan) and return the job straight away
+ * owner: user id allowed to see the job, or null for anonymous scans (the id is the only key)
+ * ip: the caller's address, which anonymous scans are counted against
+ * Throws ScanJobError 429 when the caller holds too many jobs, 503 when the server does
+ */
+function createJob(plan, owner = null, ip = null) {
+  pruneJobs();
+
+  const client = owner ? `user:${owner}` : `ip:${ip}`;
+  makeRoom([...jobs.values()].filter(j => j.client === client), MAX_JOBS_PER_CLIENT,
+    new ScanJobError(`Too many scan jobs: at most ${MAX_JOBS_PER_CLIENT} queued or running at once`, 429));
+  makeRoom([...jobs.values()], MAX_JOBS, new ScanJobError('The scan queue is full, try again later', 503));
+
+  const job = {
+    id: crypto.randomUUID(),
+    owner: owner ? String(owner) : null,
+    client,
+    status: 'queued',
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+    cancelRequested: false,
+    plan,
+    progress: {
+      phase: 'queued',
+      rowsTotal: plan.rows.length,
+      rowsDone: 0,
+      underlyingsTotal: plan.underlyings.length,
+      underlyingsFetched: 0,
+      errors: 0
+    },
+    errors: [],
+    result: null,
+    runId: null,
+    error: null
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  startNext();
+  return job;
+}
+
+/**
+ * Job by id; other users' jobs are reported as missing
+ */
+function getJob(id, userId) {
+  pruneJobs();
+  const job = jobs.get(id);
+  if (!job || (job.owner && job.owner !== String(userId))) throw new ScanJobError('Scan job not found');
+  return job;
+}
+
+/**
+ * Cancel a queued job at once, or ask a running one to stop at the next row
+ */
+function cancelJob(job) {
+  if (FINISHED.includes(job.status)) throw new ScanJobError(`Scan job is already ${job.status}`, 409);
+
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(job), 1);
+    finish(job, 'cancelled');
+  } else {
+    job.cancelRequested = true;
+  }
+  return job;
+}
+
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    cancelRequested: job.status === 'running' ? job.cancelRequested : undefined,
+    position: job.status === 'queued' ? queue.indexOf(job) + 1 : undefined,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    runId: job.runId || undefined,
+    recentErrors: job.errors.slice(-PROGRESS_ERRORS),
+    error: job.error || undefined
+  };
+}
+
+/**
+ * One page of a completed job's rows with the rest of the scan response
+ */
+function jobResults(job, page = 1, limit = 100) {
+  if (job.status !== 'completed') throw new ScanJobError(`Scan job is ${job.status}; results are available once it completes`, 409);
+
+  const { rows, ...rest } = job.result;
+  return { runId: job.runId || undefined, ...rest, ...paginateRows(rows, page, limit) };
+}
+
+module.exports = {
+  ScanJobError,
+  createJob,
+  getJob,
+  cancelJob,
+  summarizeJob,
+  jobResults
+};
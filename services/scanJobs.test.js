@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Small limits, and scans that run until a test lets them finish; scanJobs reads these on load
+process.env.STAGE4_MAX_JOBS = '6';
+process.env.STAGE4_MAX_JOBS_PER_CLIENT = '2';
+process.env.STAGE4_JOB_CONCURRENCY = '1';
+const stage4Scan = require('./stage4Scan');
+stage4Scan.executeScan = () => new Promise(() => {});
+
+const { ScanJobError, createJob, getJob, cancelJob } = require('./scanJobs');
+const { silenceConsole } = require('../utils/testHelpers');
+
+const plan = () => ({ rows: [{ symbol: 'SPY' }], underlyings: ['SPY'] });
+const refused = (status) => (err) => err instanceof ScanJobError && err.status === status;
+
+test('each client holds a limited number of unfinished jobs', (t) => {
+  silenceConsole(t);
+  createJob(plan(), null, '10.0.0.1');
+  createJob(plan(), null, '10.0.0.1');
+  assert.throws(() => createJob(plan(), null, '10.0.0.1'), refused(429));
+
+  // Other callers, and signed-in users, have limits of their own
+  assert.ok(createJob(plan(), null, '10.0.0.2'));
+  assert.ok(createJob(plan(), 'user-1', '10.0.0.1'));
+});
+
+test('a finished job makes room, oldest first, and its results go with it', (t) => {
+  silenceConsole(t);
+  const first = createJob(plan(), 'user-2');
+  const second = createJob(plan(), 'user-2');
+  cancelJob(first);
+  cancelJob(second);
+
+  createJob(plan(), 'user-2');
+  assert.throws(() => getJob(first.id, 'user-2'), refused(404));
+  assert.equal(getJob(second.id, 'user-2').status, 'cancelled');
+});
+
+test('the server as a whole holds a limited number of unfinished jobs', (t) => {
+  silenceConsole(t);
+  // Six jobs are held by now, one of them finished: it makes way for one more
+  assert.ok(createJob(plan(), 'user-3'));
+  assert.throws(() => createJob(plan(), 'user-4'), refused(503));
+});
@@ -0,0 +1,160 @@
+// backend/services/scanRunService.js
+// Saved scan runs and the differences between two runs of the same scan
+const mongoose = require('mongoose');
+const ScanRun = require('../models/ScanRun');
+const { parseOptionSymbol } = require('../utils/optionSymbol');
+
+/**
+ * A run that doesn't exist or belongs to someone else (reported as 404 either way)
+ */
+class ScanRunError extends Error {
+  constructor(message, status = 404) {
+    super(message);
+    this.name = 'ScanRunError';
+    this.status = status;
+  }
+}
+
+const contractKey = (symbol) => parseOptionSymbol(symbol).symbol;
+
+/**
+ * Compact copy of a result row: column values and statuses, no series or debug labels
+ */
+const runRow = (row, columns) => {
+  const values = {};
+  const statuses = {};
+  columns.forEach(col => {
+    values[col.key] = row[col.key] ?? null;
+    statuses[col.key] = row.studyLabels?.[col.studyKey]?.[col.index - 1]?.status || 'unknown';
+  });
+  return {
+    symbol: contractKey(row.symbol),
+    underlying: row.underlying,
+    values,
+    statuses,
+    score: row.score ?? undefined,
+    rank: row.rank ?? undefined
+  };
+};
+
+/**
+ * Save a finished scan for its owner without waiting for the write; returns the run id, or null
+ * when the run isn't saved. A failed write is only logged: the scan's results don't depend on it
+ */
+function recordScanRun(plan, result, ownerId = null) {
+  if (!plan.save || !ownerId) return null;
+
+  try {
+    const studies = {};
+    plan.studyKeys.forEach(key => {
+      const cfg = plan.studies[key] || {};
+      studies[key] = {
+        name: cfg.name || cfg.studyName || undefined,
+        studyId: cfg.studyId || undefined,
+        version: cfg.version || undefined,
+        formula: cfg.formula,
+        inputs: cfg.inputs || {},
+        thresholds: cfg.thresholds || []
+      };
+    });
+
+    const run = new ScanRun({
+      owner: ownerId,
+      scanName: plan.scanName,
+      interval: plan.interval,
+      history: plan.history,
+      studies,
+      filter: plan.filterText || null,
+      scoring: result.scoring || null,
+      columns: result.columns,
+      rowCount: plan.rows.length,
+      resultCount: result.rows.length,
+      rows: result.rows.map(row => runRow(row, plan.columns))
+    });
+    run.save()
+      .then(() => console.log(`💾 Saved scan run ${run._id}${plan.scanName ? ` (${plan.scanName})` : ''}: ${run.rows.length} rows`))
+      .catch(err => console.warn(`⚠️  Could not save scan run ${run._id}:`, err.message));
+    return run._id;
+  } catch (err) {
+    console.warn('⚠️  Could not save scan run:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Run by id, only for the user who owns it
+ */
+async function findRun(id, userId) {
+  if (!userId || !mongoose.Types.ObjectId.isValid(id)) throw new ScanRunError('Scan run not found');
+  const run = await ScanRun.findById(id);
+  if (!run || !run.owner || String(run.owner) !== String(userId)) throw new ScanRunError('Scan run not found');
+  return run;
+}
+
+/**
+ * The same user's run of the same scan just before this one
+ */
+async function previousRun(run) {
+  const previous = await ScanRun.findOne({
+    owner: run.owner,
+    scanName: run.scanName,
+    createdAt: { $lt: run.createdAt }
+  }).sort({ createdAt: -1 });
+  if (!previous) throw new ScanRunError('No earlier run of this scan to compare with');
+  return previous;
+}
+
+const runSummary = (run) => ({
+  id: run._id,
+  scanName: run.scanName,
+  createdAt: run.createdAt,
+  interval: run.interval,
+  history: run.history,
+  filter: run.filter,
+  rowCount: run.rowCount,
+  resultCount: run.resultCount
+});
+
+/**
+ * What changed from one run to a later one: contracts that entered or left the
+ * result set, and plots (present in both runs) whose threshold status moved
+ */
+function diffRuns(from, to) {
+  const before = new Map(from.rows.map(r => [r.symbol, r]));
+  const after = new Map(to.rows.map(r => [r.symbol, r]));
+  const brief = (r) => ({ symbol: r.symbol, underlying: r.underlying, score: r.score, rank: r.rank });
+
+  const entered = to.rows.filter(r => !before.has(r.symbol)).map(brief);
+  const left = from.rows.filter(r => !after.has(r.symbol)).map(brief);
+
+  const changed = [];
+  let unchanged = 0;
+  to.rows.forEach(row => {
+    const old = before.get(row.symbol);
+    if (!old) return;
+
+    const changes = Object.keys(row.statuses || {})
+      .filter(key => old.statuses?.[key] !== undefined && old.statuses[key] !== row.statuses[key])
+      .map(key => ({
+        column: key,
+        from: old.statuses[key],
+        to: row.statuses[key],
+        previousValue: old.values?.[key] ?? null,
+        value: row.values?.[key] ?? null
+      }));
+
+    if (changes.length > 0) changed.push({ symbol: row.symbol, underlying: row.underlying, changes });
+    else unchanged++;
+  });
+
+  return { from: runSummary(from), to: runSummary(to), entered, left, changed, unchanged };
+}
+
+module.exports = {
+  ScanRunError,
+  recordScanRun,
+  findRun,
+  previousRun,
+  runSummary,
+  diffRuns
+};
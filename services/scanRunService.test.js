@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ScanRun = require('../models/ScanRun');
+const { ScanRunError, recordScanRun, findRun } = require('./scanRunService');
+
+const plan = (overrides = {}) => ({
+  save: true,
+  scanName: 'Momentum',
+  interval: 15,
+  history: { frequencyType: 'minute', frequency: 15 },
+  studyKeys: [],
+  studies: {},
+  filterText: null,
+  rows: [],
+  columns: [],
+  ...overrides
+});
+const result = { rows: [], columns: [], scoring: null };
+const ownerId = new mongoose.Types.ObjectId();
+
+test('recordScanRun returns the run id without waiting for the write', (t) => {
+  t.mock.method(ScanRun.prototype, 'save', () => new Promise(() => {}));
+  const id = recordScanRun(plan(), result, ownerId);
+  assert.ok(mongoose.Types.ObjectId.isValid(id));
+});
+
+test('recordScanRun logs a failed write instead of throwing', async (t) => {
+  t.mock.method(ScanRun.prototype, 'save', () => Promise.reject(new Error('no connection')));
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.ok(recordScanRun(plan(), result, ownerId));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.match(warn.mock.calls[0].arguments[1], /no connection/);
+});
+
+test('recordScanRun saves nothing for anonymous scans or save: false', (t) => {
+  const save = t.mock.method(ScanRun.prototype, 'save', () => Promise.resolve());
+  assert.equal(recordScanRun(plan(), result, null), null);
+  assert.equal(recordScanRun(plan({ save: false }), result, ownerId), null);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('findRun only returns a run to its owner', async (t) => {
+  const mine = { _id: new mongoose.Types.ObjectId(), owner: ownerId };
+  const anonymous = { _id: new mongoose.Types.ObjectId(), owner: null };
+  t.mock.method(ScanRun, 'findById', async (id) => [mine, anonymous].find(r => String(r._id) === String(id)) || null);
+
+  assert.equal(await findRun(String(mine._id), String(ownerId)), mine);
+  const notFound = (err) => err instanceof ScanRunError && err.status === 404;
+  await assert.rejects(findRun(String(mine._id), String(new mongoose.Types.ObjectId())), notFound);
+  await assert.rejects(findRun(String(mine._id), undefined), notFound);
+  await assert.rejects(findRun(String(anonymous._id), String(ownerId)), notFound);
+  await assert.rejects(findRun('not-an-id', String(ownerId)), notFound);
+});
@@ -0,0 +1,354 @@
+// backend/services/scanScheduler.js
+// Runs saved scan definitions during regular hours: every N minutes from the open, at the open,
+// or at the close. Each run pulls fresh chains, narrows them with the chain filters and goes
+// through the normal Stage 4 scan, saving a run under the schedule's name
+const ScheduledScan = require('../models/ScheduledScan');
+const { getOptionsChain } = require('./marketData');
+const { formatOptionSymbol } = require('../utils/optionSymbol');
+const { SESSION_OPEN_MINUTES, SESSION_CLOSE_MINUTES, exchangeClock, sessionHours } = require('./stage4Timeframes');
+const { prepareScan, executeScan } = require('./stage4Scan');
+const { recordScanRun } = require('./scanRunService');
+const { withPriority } = require('../utils/rateLimiter');
+
+const TICK_MS = 30 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+// A slot still runs this long after its time (slow tick, restart); older slots are skipped, not replayed
+const GRACE_MINUTES = Number(process.env.STAGE4_SCHEDULE_GRACE_MINUTES) || 5;
+const MIN_EVERY_MINUTES = 5;
+// Missed slots kept on a schedule, most recent last
+const MAX_MISSED_SLOTS = 50;
+// Contracts kept per underlying when a schedule doesn't say, by highest volume
+const DEFAULT_MAX_CONTRACTS = 200;
+
+const SCHEDULE_TYPES = ['every', 'open', 'close'];
+const CHAIN_FILTER_FIELDS = ['minDte', 'maxDte', 'minDelta', 'maxDelta', 'minVolume', 'minOpenInterest', 'maxContracts'];
+
+/**
+ * A schedule definition that can't be saved as given
+ */
+class ScheduleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.status = status;
+  }
+}
+
+const isNumber = (v) => typeof v === 'number' && isFinite(v);
+
+/**
+ * { type: 'every', minutes: 15 } | { type: 'open' } | { type: 'close' }
+ */
+function parseSchedule(spec) {
+  const type = String(spec?.type || '').toLowerCase();
+  if (!SCHEDULE_TYPES.includes(type)) throw new ScheduleError(`schedule.type must be one of ${SCHEDULE_TYPES.join(', ')}`);
+  if (type !== 'every') return { type };
+
+  const minutes = spec.minutes;
+  if (!Number.isInteger(minutes) || minutes < MIN_EVERY_MINUTES || minutes > SESSION_CLOSE_MINUTES - SESSION_OPEN_MINUTES) {
+    throw new ScheduleError(`schedule.minutes must be a whole number from ${MIN_EVERY_MINUTES} to ${SESSION_CLOSE_MINUTES - SESSION_OPEN_MINUTES}`);
+  }
+  return { type, minutes };
+}
+
+/**
+ * Chain filters: optionType CALL/PUT, minDte/maxDte (calendar days), minDelta/maxDelta (absolute delta),
+ * minVolume, minOpenInterest, maxContracts per underlying
+ */
+function parseChainFilters(spec) {
+  if (spec === undefined || spec === null) return {};
+  if (typeof spec !== 'object' || Array.isArray(spec)) throw new ScheduleError('chainFilters must be an object');
+
+  const unknown = Object.keys(spec).filter(k => k !== 'optionType' && !CHAIN_FILTER_FIELDS.includes(k));
+  if (unknown.length > 0) throw new ScheduleError(`chainFilters: unknown field(s) ${unknown.join(', ')}`);
+
+  const filters = {};
+  if (spec.optionType !== undefined && spec.optionType !== null) {
+    const type = String(spec.optionType).toUpperCase();
+    if (type !== 'CALL' && type !== 'PUT') throw new ScheduleError("chainFilters.optionType must be 'CALL' or 'PUT'");
+    filters.optionType = type;
+  }
+  CHAIN_FILTER_FIELDS.forEach(field => {
+    if (spec[field] === undefined || spec[field] === null) return;
+    if (!isNumber(spec[field]) || spec[field] < 0) throw new ScheduleError(`chainFilters.${field} must be a non-negative number`);
+    filters[field] = spec[field];
+  });
+  if (filters.maxContracts !== undefined && !(Number.isInteger(filters.maxContracts) && filters.maxContracts > 0)) {
+    throw new ScheduleError('chainFilters.maxContracts must be a positive whole number');
+  }
+  return filters;
+}
+
+// Any OCC symbol will do: it only has to get a definition through prepareScan's row checks
+const SAMPLE_ROW = { symbol: formatOptionSymbol({ root: 'SPY', expiration: '2030-01-18', optionType: 'CALL', strike: 500 }) };
+
+/**
+ * Scan request for a schedule; rows come from the chains at run time
+ */
+const scanBody = (schedule, rows) => ({
+  rows,
+  studies: schedule.studies,
+  interval: schedule.interval,
+  history: schedule.history || undefined,
+  filter: schedule.filter,
+  scoring: schedule.scoring,
+  sort: schedule.sort,
+  scanName: schedule.name
+});
+
+/**
+ * Check a definition's studies, filter, scoring and sort the way a scan would
+ * (throws ScanRequestError / StudyAccessError like prepareScan). A study that doesn't compile
+ * is rejected here rather than failing every run
+ */
+async function validateScanFields(schedule, user) {
+  const plan = await prepareScan({ ...scanBody(schedule, [SAMPLE_ROW]), save: false }, user);
+  const broken = plan.studyKeys.find(key => plan.compiled[key]?.error);
+  if (broken) {
+    const err = plan.compiled[broken].error;
+    const where = err.line ? ` (line ${err.line}, column ${err.column})` : '';
+    throw new ScheduleError(`${broken}: ${err.reason || err.message}${where}`);
+  }
+}
+
+// Slot times of a day in exchange minutes: none on weekends and holidays, and early closes
+// end the day at 13:00 ET
+const slotMinutes = (schedule, day) => {
+  const hours = sessionHours(day);
+  if (!hours) return [];
+  if (schedule.type === 'open') return [hours.open];
+  if (schedule.type === 'close') return [hours.close];
+
+  const slots = [];
+  for (let m = hours.open; m < hours.close; m += schedule.minutes) slots.push(m);
+  return slots;
+};
+
+const slotKey = (day, minutes) =>
+  `${day}T${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Slot a schedule should run for at this moment ("2024-03-15T09:45" in exchange time), or null
+ * Keys sort in time order, which is what makes claiming them safe across restarts
+ */
+function dueSlot(schedule, now = Date.now()) {
+  const clock = exchangeClock(now);
+  if (!clock) return null;
+
+  const due = slotMinutes(schedule, clock.day).filter(m => m <= clock.minutes).pop();
+  if (due === undefined || clock.minutes - due > GRACE_MINUTES) return null;
+  return slotKey(clock.day, due);
+}
+
+/**
+ * Slot keys from a week ago up to now, oldest first
+ */
+function pastSlots(schedule, now = Date.now()) {
+  const clock = exchangeClock(now);
+  if (!clock) return [];
+
+  const slots = [];
+  for (let d = 7; d >= 0; d--) {
+    const day = new Date(Date.parse(`${clock.day}T00:00:00Z`) - d * DAY).toISOString().slice(0, 10);
+    slotMinutes(schedule, day).forEach(m => { if (d > 0 || m <= clock.minutes) slots.push(slotKey(day, m)); });
+  }
+  return slots;
+}
+
+/**
+ * Slots that went by without being claimed since the last claimed one (or since the schedule
+ * was created or last edited), other than the one due now: the server was down or busy past
+ * their grace period
+ */
+function missedSlots(schedule, now = Date.now()) {
+  const edited = exchangeClock(Math.max(Number(schedule.createdAt) || 0, Number(schedule.updatedAt) || 0));
+  const editedSlot = edited ? slotKey(edited.day, edited.minutes) : '';
+  const since = schedule.lastSlot && schedule.lastSlot > editedSlot ? schedule.lastSlot : editedSlot;
+  const due = dueSlot(schedule.schedule, now);
+  return pastSlots(schedule.schedule, now).filter(slot => slot > since && slot !== due);
+}
+
+/**
+ * Take a slot for this process, noting the slots missed before it; false when it (or a later
+ * one) was already taken, e.g. by the run before a restart or by another server
+ */
+async function claimSlot(schedule, slot, missed = []) {
+  const update = { $set: { lastSlot: slot } };
+  if (missed.length > 0) update.$push = { missedSlots: { $each: missed, $slice: -MAX_MISSED_SLOTS } };
+  const claimed = await ScheduledScan.findOneAndUpdate(
+    { _id: schedule._id, enabled: true, $or: [{ lastSlot: null }, { lastSlot: { $lt: slot } }] },
+    update,
+    { new: true }
+  );
+  return Boolean(claimed);
+}
+
+/**
+ * Contracts from one underlying's chain that pass the filters, most traded first
+ */
+function filterChain(contracts, filters, today) {
+  const dte = (c) => Math.round((new Date(`${c.expiration}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / DAY);
+  const absDelta = (c) => (isNumber(c.delta) && c.delta !== -999 ? Math.abs(c.delta) : null);
+  const volume = (c) => (isNumber(c.totalVolume) ? c.totalVolume : 0);
+  const openInterest = (c) => (isNumber(c.openInterest) ? c.openInterest : 0);
+
+  return (contracts || [])
+    .filter(c => !filters.optionType || c.optionType === filters.optionType)
+    .filter(c => dte(c) >= (filters.minDte ?? 0) && (filters.maxDte === undefined || dte(c) <= filters.maxDte))
+    .filter(c => (filters.minDelta === undefined && filters.maxDelta === undefined) || (absDelta(c) !== null &&
+      absDelta(c) >= (filters.minDelta ?? 0) && absDelta(c) <= (filters.maxDelta ?? 1)))
+    .filter(c => volume(c) >= (filters.minVolume ?? 0) && openInterest(c) >= (filters.minOpenInterest ?? 0))
+    .sort((a, b) => volume(b) - volume(a))
+    .slice(0, filters.maxContracts || DEFAULT_MAX_CONTRACTS);
+}
+
+/**
+ * Run one schedule now: chains -> filtered rows -> scan -> saved run
+ * Returns { runId, rowCount, resultCount, chainErrors }
+ */
+async function runSchedule(schedule, now = Date.now()) {
+  const today = exchangeClock(now).day;
+  const rows = [];
+  const chainErrors = [];
+  for (const symbol of schedule.symbols) {
+    try {
+      rows.push(...filterChain(await getOptionsChain(symbol), schedule.chainFilters || {}, today));
+    } catch (err) {
+      chainErrors.push({ symbol, error: err.message });
+    }
+  }
+  if (rows.length === 0) {
+    throw new Error(chainErrors.length > 0
+      ? `No chains loaded: ${chainErrors.map(e => `${e.symbol}: ${e.error}`).join('; ')}`
+      : 'No contracts passed the chain filters');
+  }
+
+  const plan = await prepareScan(scanBody(schedule, rows), { id: schedule.owner });
+  const result = await executeScan(plan);
+  const runId = recordScanRun(plan, result, schedule.owner);
+  return { runId, rowCount: rows.length, resultCount: result.rows.length, chainErrors };
+}
+
+const scheduler = {
+  timer: null,
+  ticking: false,
+  lastTickAt: null,
+  // Schedule id -> its run in progress
+  running: new Map()
+};
+
+async function runSlot(schedule, slot, now) {
+  console.log(`⏰ Scheduled scan '${schedule.name}' running for ${slot}`);
+  const update = { lastRunAt: new Date() };
+  try {
+    const { runId, rowCount, resultCount, chainErrors } = await runSchedule(schedule, now);
+    Object.assign(update, {
+      lastRunId: runId,
+      lastResultCount: resultCount,
+      lastError: chainErrors.length > 0 ? chainErrors.map(e => `${e.symbol}: ${e.error}`).join('; ') : null
+    });
+    console.log(`✅ Scheduled scan '${schedule.name}' (${slot}): ${resultCount} of ${rowCount} contracts`);
+  } catch (err) {
+    update.lastError = err.message;
+    console.error(`❌ Scheduled scan '${schedule.name}' (${slot}) failed:`, err.message);
+  }
+  await ScheduledScan.updateOne({ _id: schedule._id }, { $set: update });
+}
+
+// Start a claimed slot's run without waiting for it; Schwab calls still go through the rate limiter
+function startRun(schedule, slot, now) {
+  const id = String(schedule._id);
+  const run = withPriority('background', () => runSlot(schedule, slot, now))
+    .catch(err => console.error(`❌ Scheduled scan '${schedule.name}' (${slot}) could not be recorded:`, err.message))
+    .finally(() => scheduler.running.delete(id));
+  scheduler.running.set(id, run);
+  return run;
+}
+
+/**
+ * Claim every due slot and start its run; slots that went by unclaimed, or came due while the
+ * schedule's previous run was still going, are recorded on the schedule as missed
+ * Resolves once the slots are claimed, with the runs it started
+ */
+async function tick(now = Date.now()) {
+  // Claiming is quick, but a slow database must not start a second pass over the same slots
+  if (scheduler.ticking) return [];
+  scheduler.ticking = true;
+  const runs = [];
+  try {
+    scheduler.lastTickAt = new Date(now);
+    const schedules = await ScheduledScan.find({ enabled: true });
+    for (const schedule of schedules) {
+      const at = new Date(now);
+      const missed = missedSlots(schedule, now)
+        .map(slot => ({ slot, reason: `Not started within ${GRACE_MINUTES} minutes of its time`, at }));
+      let slot = dueSlot(schedule.schedule, now);
+      if (slot && schedule.lastSlot && schedule.lastSlot >= slot) slot = null;
+      if (slot && scheduler.running.has(String(schedule._id))) {
+        missed.push({ slot, reason: 'The previous run was still going', at });
+        slot = null;
+      }
+      if (!slot && missed.length === 0) continue;
+
+      if (!(await claimSlot(schedule, slot || missed[missed.length - 1].slot, missed))) continue;
+      if (missed.length > 0) {
+        console.warn(`⚠️  Scheduled scan '${schedule.name}' missed ${missed.map(m => m.slot).join(', ')}`);
+      }
+      if (slot) runs.push(startRun(schedule, slot, now));
+    }
+  } catch (err) {
+    console.error('❌ Scan scheduler tick failed:', err.message);
+  } finally {
+    scheduler.ticking = false;
+  }
+  return runs;
+}
+
+/**
+ * Start checking schedules; STAGE4_SCHEDULER=off leaves this server out (e.g. all but one replica)
+ */
+function startScheduler() {
+  stopScheduler();
+  if (process.env.STAGE4_SCHEDULER === 'off') return false;
+
+  scheduler.timer = setInterval(() => tick(), TICK_MS);
+  console.log('⏰ Scan scheduler started');
+  return true;
+}
+
+function stopScheduler() {
+  if (scheduler.timer) clearInterval(scheduler.timer);
+  scheduler.timer = null;
+}
+
+/**
+ * When a schedule next runs, as a Date, looking up to a week ahead
+ */
+function nextRunAt(schedule, after = Date.now()) {
+  const clock = exchangeClock(after);
+  if (!clock) return null;
+  // Exchange minutes map back to UTC through the offset at `after` (close enough across a DST switch)
+  const offset = Date.parse(`${clock.day}T00:00:00Z`) + clock.minutes * 60000 - Math.floor(after / 60000) * 60000;
+
+  for (let d = 0; d <= 7; d++) {
+    const day = new Date(Date.parse(`${clock.day}T00:00:00Z`) + d * DAY).toISOString().slice(0, 10);
+    const minutes = slotMinutes(schedule, day).find(m => d > 0 || m > clock.minutes);
+    if (minutes !== undefined) return new Date(Date.parse(`${day}T00:00:00Z`) + minutes * 60000 - offset);
+  }
+  return null;
+}
+
+module.exports = {
+  ScheduleError,
+  parseSchedule,
+  parseChainFilters,
+  validateScanFields,
+  dueSlot,
+  missedSlots,
+  filterChain,
+  runSchedule,
+  tick,
+  startScheduler,
+  stopScheduler,
+  nextRunAt
+};
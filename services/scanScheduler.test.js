@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ScheduledScan = require('../models/ScheduledScan');
+const marketData = require('./marketData');
+const stage4Scan = require('./stage4Scan');
+const scanRunService = require('./scanRunService');
+const { silenceConsole } = require('../utils/testHelpers');
+
+// Chains are held until a test lets them through; scanScheduler reads these on load
+let chainsLoaded;
+let loadChains;
+const holdChains = () => { chainsLoaded = new Promise(resolve => { loadChains = resolve; }); };
+holdChains();
+const chainCalls = [];
+marketData.getOptionsChain = async (symbol) => {
+  chainCalls.push(symbol);
+  await chainsLoaded;
+  return [{ symbol: `${symbol}  240419C00500000`, optionType: 'CALL', expiration: '2024-04-19', totalVolume: 10, openInterest: 10 }];
+};
+stage4Scan.prepareScan = async (body) => ({ rows: body.rows });
+stage4Scan.executeScan = async (plan) => ({ rows: plan.rows });
+scanRunService.recordScanRun = () => new mongoose.Types.ObjectId();
+
+const { tick, missedSlots, dueSlot, nextRunAt } = require('./scanScheduler');
+
+// Thursday 2024-03-14, New York on daylight time: 9:30 ET is 13:30 UTC
+const at = (hours, minutes) => Date.UTC(2024, 2, 14, hours + 4, minutes);
+const schedule = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Every 15',
+  symbols: ['SPY'],
+  schedule: { type: 'every', minutes: 15 },
+  lastSlot: null,
+  createdAt: new Date(Date.UTC(2024, 2, 1)),
+  updatedAt: new Date(Date.UTC(2024, 2, 1)),
+  ...fields
+});
+
+// ScheduledScan backed by an array: claims update lastSlot the way the real query would
+const useSchedules = (t, schedules) => {
+  const claims = [];
+  t.mock.method(ScheduledScan, 'find', async () => schedules);
+  t.mock.method(ScheduledScan, 'findOneAndUpdate', async (filter, update) => {
+    const doc = schedules.find(s => s._id === filter._id);
+    if (doc.lastSlot && doc.lastSlot >= update.$set.lastSlot) return null;
+    doc.lastSlot = update.$set.lastSlot;
+    claims.push({ name: doc.name, slot: update.$set.lastSlot, missed: update.$push?.missedSlots.$each || [] });
+    return doc;
+  });
+  t.mock.method(ScheduledScan, 'updateOne', async () => ({}));
+  return claims;
+};
+
+test('due schedules run side by side, claimed before any of them starts', async (t) => {
+  silenceConsole(t);
+  holdChains();
+  chainCalls.length = 0;
+  const claims = useSchedules(t, [
+    schedule({ name: 'SPY', lastSlot: '2024-03-14T09:30' }),
+    schedule({ name: 'QQQ', symbols: ['QQQ'], lastSlot: '2024-03-14T09:30' })
+  ]);
+
+  const runs = await tick(at(9, 46));
+  assert.deepEqual(claims.map(c => [c.name, c.slot]), [['SPY', '2024-03-14T09:45'], ['QQQ', '2024-03-14T09:45']]);
+  assert.equal(runs.length, 2);
+  // Both runs are waiting on their chains at once
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(chainCalls, ['SPY', 'QQQ']);
+
+  loadChains();
+  await Promise.all(runs);
+  assert.equal(ScheduledScan.updateOne.mock.callCount(), 2);
+});
+
+test('slots that went by unclaimed are recorded as missed', async (t) => {
+  silenceConsole(t);
+  loadChains();
+  const claims = useSchedules(t, [schedule({ lastSlot: '2024-03-14T09:30' })]);
+
+  await Promise.all(await tick(at(10, 1)));
+  assert.equal(claims[0].slot, '2024-03-14T10:00');
+  assert.deepEqual(claims[0].missed.map(m => m.slot), ['2024-03-14T09:45']);
+  assert.match(claims[0].missed[0].reason, /Not started within/);
+});
+
+test('a slot due while the previous run is still going is recorded, not dropped', async (t) => {
+  silenceConsole(t);
+  holdChains();
+  const doc = schedule({ lastSlot: '2024-03-14T09:15' });
+  const claims = useSchedules(t, [doc]);
+
+  const [first] = await tick(at(9, 30));
+  assert.equal(claims[0].slot, '2024-03-14T09:30');
+
+  const second = await tick(at(9, 45));
+  assert.equal(second.length, 0);
+  assert.equal(claims[1].slot, '2024-03-14T09:45');
+  assert.deepEqual(claims[1].missed.map(m => [m.slot, m.reason]), [['2024-03-14T09:45', 'The previous run was still going']]);
+
+  loadChains();
+  await first;
+});
+
+test('missedSlots starts from the last edit and skips the slot due now', () => {
+  const edited = schedule({ updatedAt: new Date(at(9, 50)) });
+  assert.deepEqual(missedSlots(edited, at(10, 31)), ['2024-03-14T10:00', '2024-03-14T10:15']);
+  assert.deepEqual(missedSlots(schedule({ lastSlot: '2024-03-14T10:15' }), at(10, 31)), []);
+});
+
+test('holidays have no slots and early closes end the day at 13:00 ET', () => {
+  const every = { type: 'every', minutes: 60 };
+  // Thanksgiving 2024, then the early close the day after (EST: 9:30 ET is 14:30 UTC)
+  assert.equal(dueSlot(every, Date.UTC(2024, 10, 28, 14, 31)), null);
+  assert.equal(dueSlot(every, Date.UTC(2024, 10, 29, 17, 31)), '2024-11-29T12:30');
+  assert.equal(dueSlot({ type: 'close' }, Date.UTC(2024, 10, 29, 18, 1)), '2024-11-29T13:00');
+  assert.equal(dueSlot(every, Date.UTC(2024, 10, 29, 18, 31)), null);
+
+  assert.equal(nextRunAt({ type: 'open' }, Date.UTC(2024, 10, 27, 22)).toISOString(), '2024-11-29T14:30:00.000Z');
+  const overHoliday = schedule({ schedule: { type: 'open' }, lastSlot: '2024-11-27T09:30' });
+  assert.deepEqual(missedSlots(overHoliday, Date.UTC(2024, 11, 2, 14, 32)), ['2024-11-29T09:30']);
+});
@@ -0,0 +1,187 @@
+// backend/services/scanScoring.js
+// Composite score for scan rows: weighted plot values, normalized within the scan, plus
+// points for threshold status
+//   { weights: { 'RSIStudy.Signal': 2, 'study1.plot2': -1 }, normalize: 'percentile', status: { within: 1 } }
+const { FILTER_STATUSES } = require('./scanFilter');
+
+const NORMALIZATIONS = ['zscore', 'percentile'];
+
+/**
+ * A scoring model or sort order that doesn't fit the scan's columns
+ */
+class ScoringError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScoringError';
+  }
+}
+
+const isNumber = (v) => typeof v === 'number' && isFinite(v);
+
+/**
+ * Column a reference points at: its key (RSIStudy.Signal), or study key/name with plot name or plotN
+ * studyNames maps lower-cased study keys and names to study keys
+ */
+function resolveColumn(ref, columns, studyNames) {
+  const text = String(ref).trim();
+  const exact = columns.find(c => c.key.toLowerCase() === text.toLowerCase());
+  if (exact) return exact;
+
+  const dot = text.lastIndexOf('.');
+  if (dot <= 0) return null;
+  const studyKey = studyNames.get(text.slice(0, dot).toLowerCase());
+  const plot = text.slice(dot + 1).toLowerCase();
+  const index = /^plot(\d+)$/.exec(plot);
+  return columns.find(c => c.studyKey === studyKey && (index ? c.index === Number(index[1]) : c.plot.toLowerCase() === plot)) || null;
+}
+
+/**
+ * Points per threshold status, e.g. { within: 1, above: -0.5 }
+ */
+function readStatusPoints(points, where) {
+  if (points === undefined || points === null) return {};
+  if (typeof points !== 'object' || Array.isArray(points)) throw new ScoringError(`${where} must be an object of status points`);
+
+  const out = {};
+  Object.keys(points).forEach(status => {
+    const known = FILTER_STATUSES.find(s => s.toLowerCase() === status.toLowerCase());
+    if (!known) throw new ScoringError(`${where}: unknown status '${status}' (${FILTER_STATUSES.join(', ')})`);
+    if (!isNumber(points[status])) throw new ScoringError(`${where}.${status} must be a number`);
+    out[known] = points[status];
+  });
+  return out;
+}
+
+/**
+ * Check a scoring model against the scan's columns
+ * weights: { column: number | { weight, status } }; a column's own status points replace the shared ones
+ */
+function parseScoring(spec, columns, studyNames) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new ScoringError('scoring must be an object');
+
+  const normalize = spec.normalize === undefined ? 'zscore' : String(spec.normalize).toLowerCase();
+  if (!NORMALIZATIONS.includes(normalize)) {
+    throw new ScoringError(`normalize must be one of ${NORMALIZATIONS.join(', ')}`);
+  }
+
+  const shared = readStatusPoints(spec.status, 'status');
+  const weights = spec.weights;
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights) || Object.keys(weights).length === 0) {
+    throw new ScoringError('weights must map at least one column to a weight, e.g. { "RSIStudy.Signal": 1 }');
+  }
+
+  const terms = Object.keys(weights).map(ref => {
+    const column = resolveColumn(ref, columns, studyNames);
+    if (!column) throw new ScoringError(`weights: '${ref}' is not a column in this scan`);
+
+    const entry = weights[ref];
+    const weight = isNumber(entry) ? entry : entry?.weight;
+    if (!isNumber(weight)) throw new ScoringError(`weights.${ref} must be a number or { weight, status }`);
+    const status = isNumber(entry) || entry.status === undefined ? shared : readStatusPoints(entry.status, `weights.${ref}.status`);
+
+    return { column, weight, status };
+  });
+
+  return { normalize, terms };
+}
+
+// Mean 0, standard deviation 1; a column with no spread scores 0 everywhere
+const zscores = (values) => {
+  const present = values.filter(isNumber);
+  const mean = present.reduce((a, b) => a + b, 0) / (present.length || 1);
+  const sd = Math.sqrt(present.reduce((a, v) => a + (v - mean) ** 2, 0) / (present.length || 1));
+  return values.map(v => (isNumber(v) ? (sd > 0 ? (v - mean) / sd : 0) : null));
+};
+
+// 0 for the lowest value to 1 for the highest, ties share the midpoint
+const percentiles = (values) => {
+  const present = values.filter(isNumber).sort((a, b) => a - b);
+  const n = present.length;
+  return values.map(v => {
+    if (!isNumber(v)) return null;
+    if (n === 1) return 0.5;
+    let below = 0;
+    while (below < n && present[below] < v) below++;
+    let equal = 0;
+    while (below + equal < n && present[below + equal] === v) equal++;
+    return (below + (equal - 1) / 2) / (n - 1);
+  });
+};
+
+// "outside" points apply to above and below unless those have their own
+const statusPoints = (points, status) => {
+  if (points[status] !== undefined) return points[status];
+  if ((status === 'above' || status === 'below') && points.outside !== undefined) return points.outside;
+  return 0;
+};
+
+// What a row with no value for a column gets: the middle of the scan
+const NEUTRAL = { zscore: 0, percentile: 0.5 };
+
+/**
+ * Set score and rank on every row (rank 1 = best; ties share a rank)
+ * Rows with no value for any weighted column get a null score and rank
+ */
+function scoreRows(rows, model) {
+  const normalized = model.terms.map(term =>
+    (model.normalize === 'percentile' ? percentiles : zscores)(rows.map(r => r[term.column.key]))
+  );
+
+  rows.forEach((row, i) => {
+    let score = 0;
+    let found = false;
+    model.terms.forEach((term, t) => {
+      const value = normalized[t][i];
+      if (value !== null) found = true;
+      const label = row.studyLabels?.[term.column.studyKey]?.[term.column.index - 1];
+      score += term.weight * (value === null ? NEUTRAL[model.normalize] : value) + statusPoints(term.status, label?.status);
+    });
+    row.score = found ? score : null;
+  });
+
+  const ranked = rows.filter(r => r.score !== null).sort((a, b) => b.score - a.score);
+  ranked.forEach((row, i) => {
+    row.rank = i > 0 && row.score === ranked[i - 1].score ? ranked[i - 1].rank : i + 1;
+  });
+  rows.forEach(row => { if (row.score === null) row.rank = null; });
+  return rows;
+}
+
+/**
+ * Sort order from { by, order } or just the field name: score, rank, a column, or any row field
+ * order defaults to desc for score and columns, asc for rank and other fields
+ */
+function parseSort(spec, columns, studyNames, scored) {
+  const { by, order } = typeof spec === 'string' ? { by: spec } : spec || {};
+  if (typeof by !== 'string' || !by.trim()) throw new ScoringError('sort.by required');
+  if ((by === 'score' || by === 'rank') && !scored) throw new ScoringError(`Sorting by ${by} needs a scoring model`);
+
+  const column = by === 'score' || by === 'rank' ? null : resolveColumn(by, columns, studyNames);
+  const direction = order === undefined ? (by === 'score' || column ? 'desc' : 'asc') : String(order).toLowerCase();
+  if (direction !== 'asc' && direction !== 'desc') throw new ScoringError("sort.order must be 'asc' or 'desc'");
+
+  return { field: column ? column.key : by, order: direction };
+}
+
+/**
+ * Sort rows in place; missing values go last either way
+ */
+function sortRows(rows, { field, order }) {
+  const sign = order === 'asc' ? 1 : -1;
+  const missing = (v) => v === null || v === undefined || (typeof v === 'number' && isNaN(v));
+  return rows.sort((a, b) => {
+    const x = a[field];
+    const y = b[field];
+    if (missing(x) || missing(y)) return missing(x) - missing(y);
+    if (typeof x === 'number' && typeof y === 'number') return sign * (x - y);
+    return sign * String(x).localeCompare(String(y));
+  });
+}
+
+module.exports = {
+  ScoringError,
+  parseScoring,
+  scoreRows,
+  parseSort,
+  sortRows
+};
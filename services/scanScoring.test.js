@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ScoringError, parseScoring, scoreRows, parseSort, sortRows } = require('./scanScoring');
+
+const columns = [
+  { key: 'RSIStudy.Signal', studyKey: 'RSIStudy', index: 1, plot: 'Signal' },
+  { key: 'RSIStudy.Fast', studyKey: 'RSIStudy', index: 2, plot: 'Fast' }
+];
+const studyNames = new Map([['rsistudy', 'RSIStudy'], ['study1', 'RSIStudy']]);
+const model = (spec) => parseScoring(spec, columns, studyNames);
+
+const rowsOf = (...signals) => signals.map((signal, i) => ({ symbol: `S${i}`, 'RSIStudy.Signal': signal }));
+const near = (actual, expected) => actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 1e-9, `${v} != ${expected[i]}`));
+
+test('zscore centres on the mean in standard deviations, percentile spreads 0 to 1', () => {
+  const byZ = scoreRows(rowsOf(1, 2, 3), model({ weights: { 'RSIStudy.Signal': 1 } }));
+  near(byZ.map(r => r.score), [-Math.sqrt(1.5), 0, Math.sqrt(1.5)]);
+
+  const byPercentile = scoreRows(rowsOf(1, 2, 3), model({ weights: { 'study1.plot1': 1 }, normalize: 'Percentile' }));
+  near(byPercentile.map(r => r.score), [0, 0.5, 1]);
+  assert.deepEqual(byPercentile.map(r => r.rank), [3, 2, 1]);
+
+  // No spread: every row scores 0 with zscore
+  assert.deepEqual(scoreRows(rowsOf(5, 5), model({ weights: { 'RSIStudy.Signal': 1 } })).map(r => r.score), [0, 0]);
+});
+
+test('tied values share a percentile midpoint and tied scores share a rank', () => {
+  const rows = scoreRows(rowsOf(3, 2, 1, 2), model({ weights: { 'RSIStudy.Signal': 1 }, normalize: 'percentile' }));
+  near(rows.map(r => r.score), [1, 0.5, 0, 0.5]);
+  assert.deepEqual(rows.map(r => r.rank), [1, 2, 4, 2]);
+});
+
+test('a missing value counts as the middle of the scan; rows with nothing weighted are unscored', () => {
+  const spec = { weights: { 'RSIStudy.Signal': 1, 'RSIStudy.Fast': 2 } };
+  const rows = () => [
+    { 'RSIStudy.Signal': 1, 'RSIStudy.Fast': 10 },
+    { 'RSIStudy.Signal': 3, 'RSIStudy.Fast': null },
+    { 'RSIStudy.Signal': NaN }
+  ];
+
+  const byPercentile = scoreRows(rows(), model({ ...spec, normalize: 'percentile' }));
+  // A single present value is 0.5; the missing Fast is filled with the neutral 0.5
+  near(byPercentile.slice(0, 2).map(r => r.score), [0 + 2 * 0.5, 1 + 2 * 0.5]);
+  assert.equal(byPercentile[2].score, null);
+  assert.deepEqual(byPercentile.map(r => r.rank), [2, 1, null]);
+
+  const byZ = scoreRows(rows(), model(spec));
+  near(byZ.slice(0, 2).map(r => r.score), [-1, 1]);
+  assert.equal(byZ[2].rank, null);
+});
+
+test('outside points apply to above and below unless they have their own', () => {
+  const labelled = (status) => ({ 'RSIStudy.Signal': 1, studyLabels: { RSIStudy: [{ status }] } });
+  const rows = ['above', 'below', 'within', 'noFilter'].map(labelled);
+  scoreRows(rows, model({ weights: { 'RSIStudy.Signal': 1 }, status: { outside: -1, below: 2, within: 0.5 } }));
+  assert.deepEqual(rows.map(r => r.score), [-1, 2, 0.5, 0]);
+
+  // A column's own status points replace the shared ones
+  const own = ['above', 'within'].map(labelled);
+  scoreRows(own, model({ weights: { 'RSIStudy.Signal': { weight: 1, status: { within: 3 } } }, status: { outside: -1 } }));
+  assert.deepEqual(own.map(r => r.score), [0, 3]);
+});
+
+test('scoring models naming unknown columns or statuses are rejected', () => {
+  assert.throws(() => model({ weights: { 'RSIStudy.Slow': 1 } }), ScoringError);
+  assert.throws(() => model({ weights: { 'RSIStudy.Signal': 1 }, status: { sideways: 1 } }), /unknown status 'sideways'/);
+  assert.throws(() => model({ weights: { 'RSIStudy.Signal': 1 }, normalize: 'minmax' }), /normalize must be one of/);
+});
+
+test('missing values sort last whichever way the order goes', () => {
+  const rows = () => [{ v: 2 }, { v: null }, { v: 3 }, {}, { v: NaN }, { v: 1 }];
+  const values = (sorted) => sorted.map(r => r.v);
+
+  const asc = values(sortRows(rows(), { field: 'v', order: 'asc' }));
+  assert.deepEqual(asc.slice(0, 3), [1, 2, 3]);
+  assert.ok(asc.slice(3).every(v => v === null || v === undefined || Number.isNaN(v)));
+
+  const desc = values(sortRows(rows(), { field: 'v', order: 'desc' }));
+  assert.deepEqual(desc.slice(0, 3), [3, 2, 1]);
+  assert.ok(desc.slice(3).every(v => v === null || v === undefined || Number.isNaN(v)));
+});
+
+test('sort order defaults to desc for score and columns, asc for rank and other fields', () => {
+  assert.deepEqual(parseSort('score', columns, studyNames, true), { field: 'score', order: 'desc' });
+  assert.deepEqual(parseSort({ by: 'rank' }, columns, studyNames, true), { field: 'rank', order: 'asc' });
+  assert.deepEqual(parseSort('study1.plot2', columns, studyNames, false), { field: 'RSIStudy.Fast', order: 'desc' });
+  assert.deepEqual(parseSort({ by: 'symbol', order: 'DESC' }, columns, studyNames, false), { field: 'symbol', order: 'desc' });
+  assert.throws(() => parseSort('score', columns, studyNames, false), /needs a scoring model/);
+});
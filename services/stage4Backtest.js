@@ -0,0 +1,271 @@
+// backend/services/stage4Backtest.js
+// Backtest one Stage 4 study on historical candles: the signal (a filter over the study's
+// threshold statuses) is checked at every bar's close, and each entry is followed for a few
+// bars to measure the forward return
+const { compileStudy, needsDailyHistory, prepareCandles, evaluateStudy } = require('./stage4Engine');
+const { getPriceHistoryRange, getDailyHistory, toCandles } = require('./intradayService');
+const { resolveStudyConfigs } = require('./studyService');
+const { parseFilter, filterConditions, evaluateFilter } = require('./scanFilter');
+const { checkFilterCondition, thresholdStatus } = require('./stage4Scan');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MINUTE_INTERVALS = [1, 5, 10, 15, 30];
+const MAX_SYMBOLS = 25;
+const MAX_HORIZON = 500;
+const DEFAULT_HORIZONS = [1, 5, 10];
+// Calendar days fetched before `from` so averages and other lookbacks are filled in by then
+const DEFAULT_WARMUP_DAYS = { intraday: 7, day: 365 };
+// A backtest evaluates far more bars than a scan, so each plot gets a bigger time budget
+const BACKTEST_LIMITS = { timeoutMs: Number(process.env.STAGE4_BACKTEST_TIMEOUT_MS) || 5000 };
+// Cap on a whole backtest; symbols not evaluated by then report the limit instead
+const BACKTEST_TOTAL_MS = Number(process.env.STAGE4_BACKTEST_TOTAL_MS) || 30000;
+
+/**
+ * A backtest request that can't run as given; details are merged into the error response
+ */
+class BacktestError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'BacktestError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const isNumber = (v) => typeof v === 'number' && isFinite(v);
+
+// Minutes (1, 5, 10, 15, 30) or 'day'
+const readInterval = (value = 15) => {
+  if (['day', 'd', '1d', 'daily'].includes(String(value).toLowerCase())) return 'day';
+  const minutes = parseInt(value);
+  if (!MINUTE_INTERVALS.includes(minutes)) throw new BacktestError(`interval must be one of ${MINUTE_INTERVALS.join(', ')} (minutes) or 'day'`);
+  return minutes;
+};
+
+// A bare YYYY-MM-DD `to` covers the whole day
+const readDate = (value, field, endOfDay = false) => {
+  const time = new Date(value).getTime();
+  if (value === undefined || value === null || isNaN(time)) throw new BacktestError(`${field} must be a date, e.g. 2025-01-02`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? time + DAY - 1 : time;
+};
+
+const readHorizons = (horizons = DEFAULT_HORIZONS) => {
+  if (!Array.isArray(horizons) || horizons.length === 0 ||
+      horizons.some(h => !Number.isInteger(h) || h < 1 || h > MAX_HORIZON)) {
+    throw new BacktestError(`horizons must be a list of bar counts from 1 to ${MAX_HORIZON}`);
+  }
+  return [...new Set(horizons)].sort((a, b) => a - b);
+};
+
+/**
+ * Check a backtest request and compile its study
+ * Body: { study, symbols, from, to, interval, signal, entry, horizons, direction, warmupDays, includeSignals }
+ * study is a scan study ({ formula, inputs, thresholds, name } or { studyId, version }), referred
+ * to in the signal as study1 or by its name; signal defaults to its first thresholded plot being within
+ */
+async function prepareBacktest(body, user) {
+  const { symbols, entry = 'cross', direction = 'long', includeSignals = false } = body || {};
+
+  if (!body?.study || typeof body.study !== 'object') throw new BacktestError('study required');
+  if (!Array.isArray(symbols) || symbols.length === 0 || symbols.some(s => typeof s !== 'string' || !s.trim())) {
+    throw new BacktestError('symbols must be a non-empty array of symbols');
+  }
+  if (symbols.length > MAX_SYMBOLS) throw new BacktestError(`At most ${MAX_SYMBOLS} symbols per backtest`);
+
+  const interval = readInterval(body.interval);
+  const from = readDate(body.from, 'from');
+  const to = readDate(body.to ?? Date.now(), 'to', true);
+  if (from >= to) throw new BacktestError('from must be before to');
+  const horizons = readHorizons(body.horizons);
+  if (entry !== 'cross' && entry !== 'every') throw new BacktestError("entry must be 'cross' or 'every'");
+  if (direction !== 'long' && direction !== 'short') throw new BacktestError("direction must be 'long' or 'short'");
+
+  const warmupDays = body.warmupDays ?? DEFAULT_WARMUP_DAYS[interval === 'day' ? 'day' : 'intraday'];
+  if (!isNumber(warmupDays) || warmupDays < 0 || warmupDays > 730) throw new BacktestError('warmupDays must be from 0 to 730');
+
+  const { study1: study } = await resolveStudyConfigs({ study1: body.study }, user);
+  if (!study.formula || !String(study.formula).trim()) throw new BacktestError('study has no formula');
+
+  let program;
+  try {
+    program = compileStudy(study.formula, study.inputs || {});
+  } catch (err) {
+    throw new BacktestError(`Study does not compile: ${err.reason || err.message}`, 400, { line: err.line, column: err.column });
+  }
+  if (program.usesOptionData) {
+    throw new BacktestError('Backtests run on the underlying\'s candles; studies that read option fields or series can\'t be backtested');
+  }
+
+  const thresholds = study.thresholds || [];
+  const name = study.name || study.studyName || 'study1';
+  const studyNames = new Map([['study1', 'study1'], [name.toLowerCase(), 'study1']]);
+
+  let signalText = body.signal;
+  if (signalText === undefined || signalText === null || signalText === '') {
+    const j = program.formulas.findIndex((f, i) => isNumber(thresholds[i]?.min) || isNumber(thresholds[i]?.max));
+    if (j < 0) throw new BacktestError('signal required (or give the study a threshold, e.g. thresholds: [{ min: 70 }])');
+    signalText = `study1.${program.formulas[j].name} within`;
+  }
+
+  let signal;
+  try {
+    signal = parseFilter(signalText);
+  } catch (err) {
+    throw new BacktestError(`Invalid signal: ${err.reason || err.message}`, 400, { line: err.line, column: err.column });
+  }
+  const problem = filterConditions(signal)
+    .map(c => checkFilterCondition(c, { study1: { program } }, studyNames))
+    .find(Boolean);
+  if (problem) throw new BacktestError(`Invalid signal: ${problem}`);
+
+  return {
+    symbols: [...new Set(symbols.map(s => s.trim().toUpperCase()))],
+    interval,
+    from,
+    to,
+    warmupDays,
+    horizons,
+    entry,
+    direction,
+    includeSignals: Boolean(includeSignals),
+    study: { ...study, name },
+    program,
+    thresholds,
+    signal,
+    signalText
+  };
+}
+
+/**
+ * hits, hit rate, average return and average absolute move (percent) of a set of returns
+ */
+const horizonStats = (returns) => {
+  if (returns.length === 0) return { signals: 0, hits: 0, hitRate: null, averageReturn: null, averageMove: null, best: null, worst: null };
+  const hits = returns.filter(r => r > 0).length;
+  return {
+    signals: returns.length,
+    hits,
+    hitRate: hits / returns.length,
+    averageReturn: returns.reduce((a, r) => a + r, 0) / returns.length,
+    averageMove: returns.reduce((a, r) => a + Math.abs(r), 0) / returns.length,
+    best: Math.max(...returns),
+    worst: Math.min(...returns)
+  };
+};
+
+/**
+ * Signal bars of one symbol and their forward returns
+ * Plots are evaluated causally, so a bar's statuses only use candles up to its close; entries
+ * are at that close, and returns are signed so a hit is a move in the trade's direction
+ */
+function backtestCandles(plan, candles, history = [], deadline = undefined) {
+  const { program, thresholds, signal, entry, direction, horizons, from, to } = plan;
+  const prepared = prepareCandles(candles, history);
+  const result = evaluateStudy(program, prepared, {}, { includeSeries: true, causal: true, limits: BACKTEST_LIMITS, deadline });
+
+  const failed = result.series.plots.find(p => p.error);
+  if (failed) throw new Error(`${failed.name}: ${failed.error}`);
+
+  const sign = direction === 'short' ? -1 : 1;
+  const close = prepared.series.close;
+  const signals = [];
+  let previous = false;
+
+  for (let i = 0; i < candles.length; i++) {
+    const labels = program.formulas.map((f, j) => {
+      const value = result.series.plots[j].data[i]?.value ?? null;
+      const thr = thresholds[j] || { min: null, max: null };
+      return { name: f.name, value, status: thresholdStatus(value, thr, result.statuses[j]) };
+    });
+    const { passed } = evaluateFilter(signal, { study1: labels, [plan.study.name.toLowerCase()]: labels });
+    const time = new Date(prepared.times[i]).getTime();
+    const fires = passed && (entry === 'every' || !previous);
+    previous = passed;
+    if (!fires || time < from || time > to) continue;
+
+    const returns = {};
+    horizons.forEach(h => {
+      returns[h] = i + h < candles.length && close[i] ? sign * (close[i + h] - close[i]) / close[i] * 100 : null;
+    });
+    signals.push({ time: new Date(time).toISOString(), close: close[i], values: labels.map(l => l.value), returns });
+  }
+
+  const stats = {};
+  horizons.forEach(h => { stats[h] = horizonStats(signals.map(s => s.returns[h]).filter(r => r !== null)); });
+  return { signals, stats };
+}
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Fetch each symbol's candles and run the backtest; a symbol that fails reports its error
+ * Evaluation is synchronous, so the event loop gets a turn between symbols, and the whole run
+ * stops at totalMs: symbols after that report the limit and timedOut is set
+ */
+async function runBacktest(plan, totalMs = BACKTEST_TOTAL_MS) {
+  const start = plan.from - plan.warmupDays * DAY;
+  const deadline = Date.now() + totalMs;
+  const symbols = [];
+  const pooled = {};
+  plan.horizons.forEach(h => { pooled[h] = []; });
+  let timedOut = false;
+
+  for (const symbol of plan.symbols) {
+    await nextTick();
+    if (Date.now() > deadline) {
+      timedOut = true;
+      symbols.push({ symbol, bars: 0, signalCount: 0, error: `Backtest time limit of ${totalMs}ms reached` });
+      continue;
+    }
+
+    try {
+      const candles = toCandles(await getPriceHistoryRange(symbol, plan.interval, start, plan.to));
+      let history = [];
+      if (plan.interval !== 'day' && needsDailyHistory(plan.program)) {
+        try {
+          history = toCandles(await getDailyHistory(symbol));
+        } catch (err) {
+          console.warn(`⚠️  No daily history for ${symbol}, day periods use intraday candles only`);
+        }
+      }
+
+      const { signals, stats } = backtestCandles(plan, candles, history, deadline);
+      signals.forEach(s => plan.horizons.forEach(h => { if (s.returns[h] !== null) pooled[h].push(s.returns[h]); }));
+      symbols.push({
+        symbol,
+        bars: candles.filter(c => new Date(c.time).getTime() >= plan.from).length,
+        signalCount: signals.length,
+        horizons: stats,
+        ...(plan.includeSignals ? { signals } : {})
+      });
+    } catch (err) {
+      if (Date.now() > deadline) timedOut = true;
+      console.error(`❌ Backtest failed for ${symbol}:`, err.message);
+      symbols.push({ symbol, bars: 0, signalCount: 0, error: err.message });
+    }
+  }
+
+  const summary = { signalCount: symbols.reduce((n, s) => n + s.signalCount, 0), horizons: {} };
+  plan.horizons.forEach(h => { summary.horizons[h] = horizonStats(pooled[h]); });
+
+  return {
+    study: { name: plan.study.name, studyId: plan.study.studyId, version: plan.study.version, plots: plan.program.formulas.map(f => f.name) },
+    interval: plan.interval,
+    from: new Date(plan.from).toISOString(),
+    to: new Date(plan.to).toISOString(),
+    signal: plan.signalText,
+    entry: plan.entry,
+    direction: plan.direction,
+    horizons: plan.horizons,
+    timedOut,
+    summary,
+    symbols
+  };
+}
+
+module.exports = {
+  BacktestError,
+  prepareBacktest,
+  backtestCandles,
+  runBacktest
+};
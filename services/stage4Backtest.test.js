@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const intradayService = require('./intradayService');
+const { quietly } = require('../utils/testHelpers');
+
+// Daily bars for every symbol, served without a provider; stage4Backtest reads these on load
+const DAY = 24 * 60 * 60 * 1000;
+const FIRST_DAY = Date.UTC(2024, 0, 2, 5);
+let fetchDelayMs = 0;
+intradayService.getPriceHistoryRange = async () => {
+  if (fetchDelayMs) await new Promise(resolve => setTimeout(resolve, fetchDelayMs));
+  return {
+    candles: Array.from({ length: 120 }, (_, i) => {
+      const close = 100 + Math.sin(i / 5) * 10;
+      return { datetime: FIRST_DAY + i * DAY, open: close, high: close + 1, low: close - 1, close, volume: 1000 };
+    })
+  };
+};
+
+const { prepareBacktest, runBacktest } = require('./stage4Backtest');
+
+const plan = () => prepareBacktest({
+  study: { formula: 'plot up = close > close[1];', thresholds: [{ min: 1 }] },
+  symbols: ['AAA', 'BBB', 'CCC'],
+  interval: 'day',
+  from: new Date(FIRST_DAY + 20 * DAY).toISOString(),
+  to: new Date(FIRST_DAY + 119 * DAY).toISOString(),
+  warmupDays: 0
+});
+
+test('backtests every symbol within the time limit', async () => {
+  const result = await quietly(async () => runBacktest(await plan()));
+  assert.equal(result.timedOut, false);
+  assert.deepEqual(result.symbols.map(s => s.error), [undefined, undefined, undefined]);
+  assert.ok(result.summary.signalCount > 0);
+});
+
+test('stops at the total time limit instead of running every symbol', async () => {
+  fetchDelayMs = 20;
+  try {
+    const result = await quietly(async () => runBacktest(await plan(), 5));
+    assert.equal(result.timedOut, true);
+    assert.ok(result.symbols.every(s => s.error));
+    assert.match(result.symbols[2].error, /time limit of 5ms/);
+  } finally {
+    fetchDelayMs = 0;
+  }
+});
+
+test('lets other work run between symbols', async () => {
+  let ticks = 0;
+  const timer = setInterval(() => { ticks++; }, 0);
+  try {
+    await quietly(async () => runBacktest(await plan()));
+  } finally {
+    clearInterval(timer);
+  }
+  assert.ok(ticks > 0);
+});
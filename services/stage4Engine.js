@@ -1,590 +1,2014 @@
 // backend/services/stage4Engine.js
-// BULLETPROOF TOS Formula Engine - NO LIMITATIONS VERSION
-const { create, all } = require('mathjs');
-const math = create(all);
+// TOS Formula Engine - evaluates parsed ThinkScript ASTs over candle series
+const { parse, parseExpression, ThinkScriptSyntaxError } = require('./thinkscriptParser');
+const {
+  AVERAGE_TYPES,
+  CROSSING_DIRECTIONS,
+  IndicatorTimeoutError,
+  withDeadline,
+  rollingWindow,
+  simpleAverage,
+  movingSum,
+  highest,
+  lowest,
+  stdev,
+  expAverage,
+  wildersAverage,
+  weightedAverage,
+  movingAverage,
+  trueRange,
+  rsi,
+  macd,
+  bollingerBands,
+  vwap,
+  crosses
+} = require('./stage4Indicators');
+const {
+  AGGREGATION_PERIODS,
+  parsePeriod,
+  periodName,
+  exchangeClock,
+  baseInterval,
+  bucketCandles,
+  resample
+} = require('./stage4Timeframes');
 
-// Configure mathjs safely
-math.import({
-  import: () => { throw new Error('import is disabled'); },
-  createUnit: () => { throw new Error('createUnit is disabled'); }
-}, { override: true });
+const SERIES_NAMES = ['open', 'high', 'low', 'close', 'volume', 'oi', 'delta', 'gamma', 'theo', 'mark', 'ask', 'bid'];
+
+// Per-contract series; 0 on plain candles, filled from recorded option bars in scans
+const OPTION_SERIES = ['oi', 'delta', 'gamma', 'theo', 'mark', 'ask', 'bid'];
+
+// Option-specific constants (same across all candles for one option) -> optionData key
+const OPTION_FIELDS = {
+  strikeprice: 'strikePrice',
+  optionmark: 'mark',
+  optionbid: 'bid',
+  optionask: 'ask',
+  optiondelta: 'delta',
+  optiongamma: 'gamma',
+  optiontheta: 'theta',
+  optionvega: 'vega',
+  impliedvolatility: 'impliedVolatility'
+};
+
+const CONSTANTS = { yes: 1, no: 0, true: 1, false: 0 };
+
+const MEMBER_CONSTANTS = {
+  'double.nan': NaN,
+  'double.positive_infinity': Infinity,
+  'double.negative_infinity': -Infinity
+};
+Object.keys(AVERAGE_TYPES).forEach(k => { MEMBER_CONSTANTS[`averagetype.${k.toLowerCase()}`] = AVERAGE_TYPES[k]; });
+Object.keys(CROSSING_DIRECTIONS).forEach(k => { MEMBER_CONSTANTS[`crossingdirection.${k.toLowerCase()}`] = CROSSING_DIRECTIONS[k]; });
+Object.keys(AGGREGATION_PERIODS).forEach(k => { MEMBER_CONSTANTS[`aggregationperiod.${k.toLowerCase()}`] = AGGREGATION_PERIODS[k]; });
+
+// Price series that can be read on a secondary period: close(period = AggregationPeriod.DAY)
+const PERIOD_SERIES = ['open', 'high', 'low', 'close', 'volume'];
 
 /**
- * Parse TOS script and extract plots, defs, and inputs
+ * Runtime error pointing at the AST node that failed
  */
-function extractPlotExpressions(scriptText, userInputs = {}) {
-  if (!scriptText || typeof scriptText !== 'string') {
-    return { plots: [], defs: {}, inputs: {} };
+class StudyEvaluationError extends Error {
+  constructor(message, node) {
+    const loc = node?.loc;
+    super(loc ? `${message} (line ${loc.line}, column ${loc.column})` : message);
+    this.name = 'StudyEvaluationError';
+    this.reason = message;
+    this.line = loc?.line;
+    this.column = loc?.column;
+  }
+}
+
+/**
+ * A formula went over its execution budget; status is 'limit' or 'timeout'
+ */
+class StudyLimitError extends StudyEvaluationError {
+  constructor(message, node, status = 'limit') {
+    super(message, node);
+    this.name = 'StudyLimitError';
+    this.status = status;
   }
-  
+}
+
+// Per-formula execution budget; each plot and def gets its own, so one runaway
+// formula fails alone and the rest of the scan carries on
+const DEFAULT_LIMITS = {
+  maxDepth: Number(process.env.STAGE4_MAX_DEPTH) || 64,
+  maxLength: Number(process.env.STAGE4_MAX_LENGTH) || 5000,
+  maxOperations: Number(process.env.STAGE4_MAX_OPERATIONS) || 20000000,
+  timeoutMs: Number(process.env.STAGE4_TIMEOUT_MS) || 250
+};
+
+const fill = (length, value) => new Array(length).fill(value);
+// Anything that isn't a finite number (Infinity, missing bars) is NaN, as in thinkorswim
+const toNumber = (v) => (typeof v === 'number' && isFinite(v) ? v : NaN);
+const sanitize = (values) => values.map(toNumber);
+const truthy = (v) => v !== 0 && !Number.isNaN(v);
+
+const lowerKeys = (obj = {}) => {
+  const out = {};
+  Object.keys(obj).forEach(key => { out[key.toLowerCase()] = { name: key, expr: obj[key] }; });
+  return out;
+};
+
+/**
+ * Convert a user-supplied input override into an expression node
+ */
+function inputValueToNode(value, stmt) {
+  const base = { loc: stmt.loc, start: stmt.value.start, end: stmt.value.end };
+  if (typeof value === 'number') return { ...base, type: 'NumberLiteral', value };
+  if (typeof value === 'boolean') return { ...base, type: 'NumberLiteral', value: value ? 1 : 0 };
+  if (stmt.value.type === 'StringLiteral') return { ...base, type: 'StringLiteral', value: String(value) };
+  return parseExpression(String(value));
+}
+
+/**
+ * Walk a parsed program into plots/defs/inputs, handing structural problems to report(kind, error)
+ */
+function collectStudy(program, userInputs, report) {
   const plots = [];
   const defs = {};
   const inputs = {};
-  
-  // Clean script
-  let script = scriptText
-    .replace(/\/\/.*$/gm, '')          // Remove // comments
-    .replace(/\/\*[\s\S]*?\*\//g, '')  // Remove /* */ comments
-    .replace(/\r\n/g, '\n')
-    .replace(/\t/g, ' ');
-
-  // Boolean operators (early conversion)
-  script = script.replace(/\band\b/gi, ' && ');
-  script = script.replace(/\bor\b/gi, ' || ');
-
-  // Extract input declarations: input Length1 = 6;
-  const inputRegex = /input\s+([A-Za-z0-9_]+)\s*=\s*([^;]+);/gi;
-  let inputMatch;
-  while ((inputMatch = inputRegex.exec(script)) !== null) {
-    const name = inputMatch[1].trim();
-    const value = inputMatch[2].trim();
-    inputs[name] = userInputs[name] !== undefined ? userInputs[name] : value;
-  }
-  
-  // Replace input references throughout script
-  Object.keys(inputs).forEach(inputName => {
-    const regex = new RegExp(`\\b${inputName}\\b`, 'g');
-    script = script.replace(regex, inputs[inputName]);
+  const inputList = [];
+  const declarations = [];
+  const declared = new Map(); // lower-cased name -> { kind, stmt }
+  const overrides = lowerKeys(userInputs || {});
+  const sourceOf = (node) => program.source.slice(node.start, node.end).trim();
+  const syntaxError = (message, stmt) => new ThinkScriptSyntaxError(message, stmt.loc.line, stmt.loc.column);
+
+  const declare = (stmt, kind) => {
+    const key = stmt.name.toLowerCase();
+    if (declared.has(key)) {
+      report('syntax', syntaxError(`'${stmt.name}' is already declared`, stmt));
+      return false;
+    }
+    declared.set(key, { kind, stmt });
+    return true;
+  };
+
+  for (const stmt of program.body) {
+    switch (stmt.type) {
+      case 'DeclareStatement':
+        declarations.push(stmt.value);
+        break;
+
+      case 'InputStatement': {
+        if (!declare(stmt, 'input')) break;
+        const override = overrides[stmt.name.toLowerCase()];
+        const hasOverride = override !== undefined && override.expr !== undefined && override.expr !== null && override.expr !== '';
+        inputs[stmt.name] = stmt.value;
+        if (hasOverride) {
+          try {
+            inputs[stmt.name] = inputValueToNode(override.expr, stmt);
+          } catch (err) {
+            report('input', syntaxError(`Invalid value for input '${stmt.name}': ${err.reason || err.message}`, stmt));
+          }
+        }
+        inputList.push({
+          name: stmt.name,
+          default: sourceOf(stmt.value),
+          value: hasOverride ? override.expr : sourceOf(stmt.value)
+        });
+        break;
+      }
+
+      case 'DefStatement':
+        if (declare(stmt, 'def')) defs[stmt.name] = stmt.value;
+        break;
+
+      case 'PlotStatement':
+        if (declare(stmt, 'plot')) {
+          plots.push({ name: stmt.name, expr: stmt.value, exprRaw: stmt.value ? sourceOf(stmt.value) : '' });
+        }
+        break;
+
+      case 'AssignmentStatement': {
+        const entry = declared.get(stmt.name.toLowerCase());
+        if (entry?.kind === 'def') {
+          defs[entry.stmt.name] = stmt.value;
+        } else if (entry?.kind === 'plot') {
+          const plot = plots.find(p => p.name === entry.stmt.name);
+          plot.expr = stmt.value;
+          plot.exprRaw = sourceOf(stmt.value);
+        } else {
+          report('syntax', syntaxError(`Cannot assign to undeclared '${stmt.name}'`, stmt));
+        }
+        break;
+      }
+
+      default:
+        // Expression statements are styling/labels (SetDefaultColor, AddLabel...) - no values
+        break;
+    }
+  }
+
+  for (const { kind, stmt } of declared.values()) {
+    const assigned = kind === 'def' ? defs[stmt.name] : kind === 'plot' ? plots.find(p => p.name === stmt.name).expr : true;
+    if (!assigned) {
+      report('unresolvedDef', new StudyEvaluationError(`${kind === 'def' ? 'Def' : 'Plot'} '${stmt.name}' is never assigned`, stmt), stmt.name);
+    }
+  }
+
+  return { plots, defs, inputs, inputList, declarations };
+}
+
+/**
+ * Parse TOS script and extract plots, defs, and inputs
+ * plots: [{ name, expr, exprRaw }], defs/inputs: { name: expressionNode }
+ * Throws ThinkScriptSyntaxError with line/column on malformed scripts
+ */
+function extractPlotExpressions(scriptText, userInputs = {}) {
+  if (!scriptText || typeof scriptText !== 'string') {
+    return { plots: [], defs: {}, inputs: {}, declarations: [] };
+  }
+
+  const { plots, defs, inputs, declarations } = collectStudy(parse(scriptText), userInputs, (kind, err) => { throw err; });
+
+  console.log(`📋 Extracted: ${Object.keys(inputs).length} inputs, ${Object.keys(defs).length} defs, ${plots.length} plots`);
+
+  return { plots, defs, inputs, declarations };
+}
+
+/**
+ * Build price series from candles
+ */
+function buildSeries(candles) {
+  const series = {};
+  SERIES_NAMES.forEach(name => {
+    series[name] = candles.map(c => Number(c[name]) || 0);
   });
+  return { series };
+}
+
+/**
+ * Price series and timestamps for one set of candles, built once and shared by every
+ * study evaluated on that underlying
+ * history: optional daily candles; completed days before the first candle extend
+ * day, week and month periods further back than the intraday fetch
+ */
+function prepareCandles(candles, history = []) {
+  const { series } = buildSeries(candles);
+  return {
+    candles,
+    length: candles.length,
+    series,
+    times: candles.map(c => c.time ?? c.datetime),
+    history,
+    frames: new Map()
+  };
+}
+
+/**
+ * Prepared candles for one option contract: the underlying's prices with the contract's own
+ * series (mark, bid/ask, greeks, open interest) in place of the zeros. Period frames are
+ * shared since they only resample prices
+ */
+function withOptionSeries(prepared, optionSeries = {}) {
+  const series = { ...prepared.series };
+  OPTION_SERIES.forEach(name => {
+    if (Array.isArray(optionSeries[name]) && optionSeries[name].length === prepared.length) series[name] = optionSeries[name];
+  });
+  return { ...prepared, series };
+}
+
+/**
+ * Static part of a study: name table, dependency graph and recursive groups
+ * Worked out once and reused for every ticker the study runs on
+ */
+function createProgram({ defs = {}, inputs = {}, plots = [] } = {}) {
+  const plotMap = {};
+  plots.forEach(p => { plotMap[p.name.toLowerCase()] = { name: p.name, expr: p.expr }; });
+
+  const program = {
+    defs: lowerKeys(defs),
+    inputs: lowerKeys(inputs),
+    plots: plotMap,
+    named: {},
+    references: new Map(),
+    groups: new Map(),
+    periods: new Map(),
+    scopes: new Map(),
+    signatures: new Map(),
+    lookbacks: new Map()
+  };
+
+  // One lookup table for name resolution: defs shadow inputs, inputs shadow plots
+  [['plot', program.plots], ['input', program.inputs], ['def', program.defs]].forEach(([kind, map]) => {
+    Object.keys(map).forEach(key => { program.named[key] = { kind, ...map[key] }; });
+  });
+
+  const free = new Set();
+  Object.values(program.named).forEach(entry => {
+    collectReferences(entry.expr).forEach(r => { if (!program.named[r]) free.add(r); });
+  });
+
+  // Studies that never read option fields or series give the same result for every option on an underlying
+  program.usesOptionSeries = OPTION_SERIES.some(name => free.has(name));
+  program.usesOptionData = program.usesOptionSeries || [...free].some(r => OPTION_FIELDS[r] !== undefined);
+
+  return program;
+}
+
+/**
+ * Create the evaluation context for one program on one ticker
+ */
+function createEvaluationContext(prepared, program, optionData = {}, limits = DEFAULT_LIMITS) {
+  const ctx = {
+    length: prepared.length,
+    series: prepared.series,
+    times: prepared.times,
+    optionData,
+    defs: program.defs,
+    inputs: program.inputs,
+    plots: program.plots,
+    named: program.named,
+    references: program.references,
+    groups: program.groups,
+    periods: program.periods,
+    scopes: program.scopes,
+    signatures: program.signatures,
+    lookbacks: program.lookbacks,
+    frames: prepared.frames,
+    history: prepared.history || [],
+    period: null,
+    limits,
+    cache: new Map(),
+    constants: new Map(),
+    failures: new Map(),
+    resolving: new Set()
+  };
+  startBudget(ctx);
+  return ctx;
+}
+
+/**
+ * Reset the operation count and deadline before evaluating the next formula
+ * The deadline never passes ctx.deadline, the caller's cap on the whole evaluation
+ */
+function startBudget(ctx) {
+  const own = Date.now() + ctx.limits.timeoutMs;
+  ctx.budget = {
+    operations: 0,
+    deadline: Math.min(own, ctx.deadline ?? Infinity),
+    timeout: own <= (ctx.deadline ?? Infinity) ? `Formula exceeded ${ctx.limits.timeoutMs}ms` : 'Ran out of time for this evaluation'
+  };
+}
+
+function charge(ctx, operations, node) {
+  const budget = ctx.budget;
+  budget.operations += operations;
+  if (budget.operations > ctx.limits.maxOperations) {
+    throw new StudyLimitError(`Formula exceeded ${ctx.limits.maxOperations} operations`, node);
+  }
+  if (Date.now() > budget.deadline) {
+    throw new StudyLimitError(budget.timeout, node, 'timeout');
+  }
+}
+
+const DEPTHS = new WeakMap();
+
+// Nesting depth of an expression tree (references to other defs count as leaves)
+function astDepth(node) {
+  if (!node || typeof node !== 'object') return 0;
+  if (DEPTHS.has(node)) return DEPTHS.get(node);
+
+  const children = node.type === 'CallExpression'
+    ? [...node.args, ...Object.values(node.namedArgs)]
+    : ['argument', 'left', 'right', 'test', 'consequent', 'alternate', 'object', 'offset'].map(f => node[f]);
+  const depth = 1 + Math.max(0, ...children.map(astDepth));
+  DEPTHS.set(node, depth);
+  return depth;
+}
+
+function checkDepth(node, ctx) {
+  if (astDepth(node) > ctx.limits.maxDepth) {
+    throw new StudyLimitError(`Formula is nested deeper than ${ctx.limits.maxDepth} levels`, node);
+  }
+}
+
+/**
+ * Evaluate a named def/input/plot once and memoize its series
+ */
+function evaluateNamed(key, node, ctx) {
+  if (ctx.cache.has(key)) return ctx.cache.get(key);
+
+  // A def that ran out of budget stays failed instead of spending every formula's budget again
+  if (ctx.failures.has(key)) throw ctx.failures.get(key);
+
+  try {
+    return evaluateNamedUncached(key, node, ctx);
+  } catch (err) {
+    if (err instanceof StudyLimitError) ctx.failures.set(key, err);
+    throw err;
+  }
+}
+
+function evaluateNamedUncached(key, node, ctx) {
+  const entry = ctx.named[key];
+  checkDepth(entry.expr, ctx);
+
+  // A recursive def on a secondary period recurses over that period's bars, inside its scope
+  const scope = periodScope(entry.expr, ctx);
+  if (entry.kind !== 'input' && (scope === null || scope === ctx.period)) {
+    const group = recursiveGroup(key, ctx);
+    if (group.length > 0) {
+      evaluateRecursiveGroup(group, ctx);
+      return ctx.cache.get(key);
+    }
+  }
+
+  if (ctx.resolving.has(key)) {
+    throw new StudyEvaluationError(`Circular reference to '${entry.name}'`, node);
+  }
+
+  ctx.resolving.add(key);
+  try {
+    const values = sanitize(evaluateNode(entry.expr, ctx));
+    ctx.cache.set(key, values);
+    return values;
+  } finally {
+    ctx.resolving.delete(key);
+  }
+}
+
+function evaluateIdentifier(node, ctx) {
+  const key = node.name.toLowerCase();
+
+  if (ctx.named[key]) return evaluateNamed(key, node, ctx);
+  if (ctx.series[key]) return ctx.series[key];
+
+  if (OPTION_FIELDS[key] !== undefined) {
+    const value = Number(ctx.optionData[OPTION_FIELDS[key]]) || 0;
+    return fill(ctx.length, value);
+  }
+
+  if (CONSTANTS[key] !== undefined) return fill(ctx.length, CONSTANTS[key]);
+
+  throw new StudyEvaluationError(`Unknown identifier '${node.name}'`, node);
+}
+
+/**
+ * Collect the lower-cased identifier names an expression refers to
+ */
+function collectReferences(node, refs = new Set()) {
+  if (!node || typeof node !== 'object') return refs;
+
+  switch (node.type) {
+    case 'Identifier':
+      refs.add(node.name.toLowerCase());
+      break;
+    case 'MemberExpression':
+      // Double.NaN, Color.RED... are constants; MACD(...).Avg still references its arguments
+      if (node.object.type === 'CallExpression') collectReferences(node.object, refs);
+      break;
+    case 'CallExpression':
+      node.args.forEach(arg => collectReferences(arg, refs));
+      Object.values(node.namedArgs).forEach(arg => collectReferences(arg, refs));
+      break;
+    default:
+      ['argument', 'left', 'right', 'test', 'consequent', 'alternate', 'object', 'offset'].forEach(field => {
+        if (node[field]) collectReferences(node[field], refs);
+      });
+  }
+
+  return refs;
+}
+
+const referencesOf = (key, ctx) => {
+  if (!ctx.references.has(key)) {
+    const refs = [...collectReferences(ctx.named[key].expr)].filter(r => ctx.named[r]);
+    ctx.references.set(key, refs);
+  }
+  return ctx.references.get(key);
+};
+
+const reachableFrom = (key, ctx) => {
+  const seen = new Set();
+  const stack = [...referencesOf(key, ctx)];
+  while (stack.length > 0) {
+    const next = stack.pop();
+    if (seen.has(next)) continue;
+    seen.add(next);
+    stack.push(...referencesOf(next, ctx));
+  }
+  return seen;
+};
+
+/**
+ * Names that reference each other in a cycle with `key` (empty when not recursive)
+ */
+function recursiveGroup(key, ctx) {
+  if (ctx.groups.has(key)) return ctx.groups.get(key);
+
+  const reachable = reachableFrom(key, ctx);
+  const group = !reachable.has(key) ? [] : Object.keys(ctx.named).filter(k =>
+    ctx.named[k].kind !== 'input' && (k === key || (reachable.has(k) && reachableFrom(k, ctx).has(key)))
+  );
+  ctx.groups.set(key, group);
+  return group;
+}
+
+const isPriceCall = (node) => node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+  PERIOD_SERIES.includes(node.callee.name.toLowerCase());
+
+/**
+ * Resolve the period of close(period = ...) before evaluation; null means the chart's own candles
+ * Accepts AggregationPeriod constants, strings like "DAY" or "4 hours", and inputs holding either
+ */
+function pricePeriod(node, ctx) {
+  if (ctx.periods.has(node)) return ctx.periods.get(node);
+
+  const name = node.callee.name;
+  if (node.args.length > 0 || Object.keys(node.namedArgs).some(k => k !== 'period')) {
+    throw new StudyEvaluationError(`${name}() only takes a period, e.g. ${name}(period = AggregationPeriod.DAY)`, node);
+  }
+
+  const arg = node.namedArgs.period;
+  const period = arg ? periodValue(arg, ctx, new Set()) : null;
+  ctx.periods.set(node, period);
+  return period;
+}
+
+function periodValue(node, ctx, seen) {
+  let period;
+  if (node.type === 'StringLiteral') {
+    period = parsePeriod(node.value);
+    if (period === null) throw new StudyEvaluationError(`Unknown aggregation period "${node.value}"`, node);
+  } else if (node.type === 'NumberLiteral') {
+    period = node.value;
+  } else if (node.type === 'MemberExpression' && node.object.type === 'Identifier') {
+    period = MEMBER_CONSTANTS[`${node.object.name}.${node.property}`.toLowerCase()];
+  } else if (node.type === 'Identifier') {
+    const key = node.name.toLowerCase();
+    const entry = ctx.named[key];
+    if (entry && entry.kind === 'input' && !seen.has(key)) {
+      seen.add(key);
+      return periodValue(entry.expr, ctx, seen);
+    }
+  }
+
+  if (!(period > 0)) {
+    throw new StudyEvaluationError('period must be an AggregationPeriod constant, a string like "DAY", or an input', node);
+  }
+  return period;
+}
+
+// Builtins whose defaults or body read the chart's own price series
+const readsChartPrices = (node) => {
+  const fn = FUNCTIONS[node.callee.name.toLowerCase()];
+  if (!fn) return false;
+  if (fn.readsPrices) return true;
+  try {
+    const provided = argumentNodes(fn, node);
+    return fn.params.some(param => !provided[param] && typeof fn.defaults?.[param] === 'function');
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Periods an expression reads directly, without following references to defs
+ * 'base' stands for the chart's own candles
+ */
+function ownPeriods(node, ctx) {
+  if (!node || typeof node !== 'object') return new Set();
+  if (ctx.signatures.has(node)) return ctx.signatures.get(node);
+
+  const periods = new Set();
+  const add = (child) => ownPeriods(child, ctx).forEach(p => periods.add(p));
+
+  switch (node.type) {
+    case 'Identifier': {
+      const key = node.name.toLowerCase();
+      if (!ctx.named[key] && ctx.series[key]) periods.add('base');
+      break;
+    }
+    case 'MemberExpression':
+      if (node.object.type === 'CallExpression') add(node.object);
+      break;
+    case 'CallExpression':
+      if (isPriceCall(node)) {
+        let period = null;
+        try {
+          period = pricePeriod(node, ctx);
+        } catch (err) {
+          // Reported when the call itself is evaluated
+        }
+        periods.add(period === null ? 'base' : period);
+        break;
+      }
+      node.args.forEach(add);
+      Object.values(node.namedArgs).forEach(add);
+      if (readsChartPrices(node)) periods.add('base');
+      break;
+    default:
+      ['argument', 'left', 'right', 'test', 'consequent', 'alternate', 'object', 'offset'].forEach(field => add(node[field]));
+  }
+
+  ctx.signatures.set(node, periods);
+  return periods;
+}
+
+/**
+ * The secondary period an expression is evaluated on, or null for the chart's own candles
+ * An expression (and every def it reaches) reading a single secondary period is evaluated on
+ * that period's bars, so Average(close(period = "DAY"), 20) is a 20-day average
+ */
+function periodScope(node, ctx) {
+  if (ctx.scopes.has(node)) return ctx.scopes.get(node);
+
+  const periods = new Set(ownPeriods(node, ctx));
+  const keys = new Set();
+  collectReferences(node).forEach(r => {
+    if (!ctx.named[r]) return;
+    keys.add(r);
+    reachableFrom(r, ctx).forEach(k => keys.add(k));
+  });
+  keys.forEach(k => ownPeriods(ctx.named[k].expr, ctx).forEach(p => periods.add(p)));
+
+  const [only] = periods;
+  const scope = periods.size === 1 && only !== 'base' ? only : null;
+  ctx.scopes.set(node, scope);
+  return scope;
+}
+
+/**
+ * Secondary-period bars for the prepared candles, built once per period and underlying
+ * For day and longer periods, daily history before the first candle is put in front
+ */
+function periodFrame(period, node, ctx) {
+  if (!ctx.frames.has(period)) {
+    let frame;
+    try {
+      const interval = baseInterval(ctx.times);
+      if (isFinite(interval) && period < interval) {
+        throw new Error(`Period ${periodName(period)} is shorter than the chart's ${periodName(interval)} candles`);
+      }
+
+      const firstDay = exchangeClock(ctx.times[0])?.day;
+      const history = period >= AGGREGATION_PERIODS.DAY && firstDay
+        ? ctx.history.filter(c => (exchangeClock(c.time ?? c.datetime)?.day || firstDay) < firstDay)
+        : [];
+      const { series: past } = buildSeries(history);
+      const series = {};
+      PERIOD_SERIES.forEach(name => { series[name] = [...past[name], ...ctx.series[name]]; });
+      const times = [...history.map(c => c.time ?? c.datetime), ...ctx.times];
+
+      const buckets = bucketCandles(times, period);
+      frame = { buckets, bars: resample(series, buckets), series, times, offset: history.length };
+      frame.count = frame.bars.first.length;
+    } catch (err) {
+      frame = { error: err.message };
+    }
+    ctx.frames.set(period, frame);
+  }
+
+  const frame = ctx.frames.get(period);
+  if (frame.error) throw new StudyEvaluationError(frame.error, node);
+  return frame;
+}
+
+/**
+ * Value of an expression made of literals, constants and inputs only, else undefined
+ */
+function staticValue(node, ctx, seen = new Set()) {
+  switch (node?.type) {
+    case 'NumberLiteral':
+      return node.value;
+    case 'UnaryExpression': {
+      const v = staticValue(node.argument, ctx, seen);
+      if (v === undefined || node.operator === '!') return undefined;
+      return node.operator === '-' ? -v : v;
+    }
+    case 'BinaryExpression': {
+      const op = BINARY_OPERATORS[node.operator];
+      const left = staticValue(node.left, ctx, seen);
+      const right = staticValue(node.right, ctx, seen);
+      return op && left !== undefined && right !== undefined ? op(left, right) : undefined;
+    }
+    case 'MemberExpression': {
+      if (node.object.type !== 'Identifier') return undefined;
+      return MEMBER_CONSTANTS[`${node.object.name}.${node.property}`.toLowerCase()];
+    }
+    case 'Identifier': {
+      const key = node.name.toLowerCase();
+      const entry = ctx.named[key];
+      if (!entry) return ctx.series[key] ? undefined : CONSTANTS[key];
+      if (entry.kind !== 'input' || seen.has(key)) return undefined;
+      seen.add(key);
+      return staticValue(entry.expr, ctx, seen);
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * How many trailing bars an expression's last value depends on: a count, Infinity when it
+ * depends on every earlier bar (recursive defs, exponential averages), or null when it may read
+ * later bars or the count can't be known before evaluating (negative or series offsets)
+ */
+function expressionLookback(node, ctx, visiting = new Set()) {
+  if (!node || typeof node !== 'object') return 1;
+  if (ctx.lookbacks.has(node)) return ctx.lookbacks.get(node);
+
+  const combine = (children) => children.reduce((max, child) => {
+    const bars = expressionLookback(child, ctx, visiting);
+    return max === null || bars === null ? null : Math.max(max, bars);
+  }, 1);
+
+  let bars;
+  switch (node.type) {
+    case 'Identifier': {
+      const key = node.name.toLowerCase();
+      if (!ctx.named[key]) bars = 1;
+      else if (visiting.has(key)) bars = Infinity;
+      else {
+        visiting.add(key);
+        bars = expressionLookback(ctx.named[key].expr, ctx, visiting);
+        visiting.delete(key);
+      }
+      break;
+    }
+    case 'MemberExpression':
+      bars = node.object.type === 'CallExpression' ? callLookback(node.object, ctx, visiting) : 1;
+      break;
+    case 'IndexExpression': {
+      const offset = staticValue(node.offset, ctx);
+      const object = expressionLookback(node.object, ctx, visiting);
+      bars = Number.isInteger(offset) && offset >= 0 && object !== null ? object + offset : null;
+      break;
+    }
+    case 'CallExpression':
+      bars = callLookback(node, ctx, visiting);
+      break;
+    default:
+      bars = combine(['argument', 'left', 'right', 'test', 'consequent', 'alternate'].map(f => node[f]).filter(Boolean));
+  }
+
+  ctx.lookbacks.set(node, bars);
+  return bars;
+}
+
+function callLookback(node, ctx, visiting) {
+  if (isPriceCall(node)) return 1;
+
+  let fn;
+  let provided;
+  try {
+    fn = lookupFunction(node);
+    provided = argumentNodes(fn, node);
+  } catch (err) {
+    return null;
+  }
+
+  const constants = {};
+  for (const param of fn.constants || []) {
+    let value = provided[param] ? staticValue(provided[param], ctx) : fn.defaults[param];
+    if (typeof value !== 'number' || !isFinite(value)) return null;
+    if (/length$/i.test(param)) value = Math.floor(value);
+    constants[param] = value;
+  }
+  if (fn.readsFuture && fn.readsFuture(constants)) return null;
+
+  let inputs = 1;
+  for (const param of fn.params) {
+    if (!provided[param] || (fn.constants || []).includes(param)) continue;
+    const bars = expressionLookback(provided[param], ctx, visiting);
+    if (bars === null) return null;
+    inputs = Math.max(inputs, bars);
+  }
+
+  const own = fn.lookback && fn !== FUNCTIONS.compoundvalue ? fn.lookback(constants) : null;
+  return own === null || own === undefined ? Infinity : inputs + own - 1;
+}
+
+const scopeContext = (ctx, period, series, times, length) => ({
+  ...ctx,
+  period,
+  series,
+  times,
+  length,
+  cache: new Map(),
+  constants: new Map(),
+  resolving: new Set()
+});
+
+// Period bars from..k for a scope, the last one as it stood at a candle partway through it
+function periodSeries(frame, from, k, last) {
+  const { bars } = frame;
+  const series = {};
+  SERIES_NAMES.forEach(name => { series[name] = fill(k - from + 1, NaN); });
+  series.open = bars.open.slice(from, k + 1);
+  series.high = [...bars.high.slice(from, k), last ? last.high : bars.high[k]];
+  series.low = [...bars.low.slice(from, k), last ? last.low : bars.low[k]];
+  series.close = [...bars.close.slice(from, k), last ? last.close : bars.close[k]];
+  series.volume = [...bars.volume.slice(from, k), last ? last.volume : bars.volume[k]];
+  return { series, times: bars.first.slice(from, k + 1).map(j => frame.times[j]) };
+}
+
+/**
+ * Evaluate a secondary-period expression and align it to the chart's candles without lookahead:
+ * at each candle, completed period bars carry their final values and the bar in progress only
+ * knows the candles up to and including this one
+ * Expressions that only read earlier bars are evaluated once over the period's bars, which gives
+ * every candle that closes a bar; candles partway through a bar only work out the bar in progress
+ * (see formingValue) and re-evaluate earlier bars only for builtins that can't be stepped
+ */
+function evaluatePeriodScope(node, period, ctx) {
+  const frame = periodFrame(period, node, ctx);
+  if (frame.offset === 0 && frame.count === ctx.length) {
+    return evaluateNode(node, scopeContext(ctx, period, ctx.series, ctx.times, ctx.length));
+  }
+
+  const { buckets, bars, offset, series: all } = frame;
+  const lookback = expressionLookback(node, ctx);
+  let forming = null;
+  if (lookback !== null) {
+    const { series, times } = periodSeries(frame, 0, frame.count - 1);
+    forming = { ctx: scopeContext(ctx, period, series, times, frame.count), final: new Map(), calls: new Map() };
+    finalSeries(node, forming);
+  }
+
+  const values = [];
+  let high;
+  let low;
+  let volume;
+
+  for (let c = 0; c < buckets.length; c++) {
+    const k = buckets[c];
+    const first = bars.first[k];
+    high = c === first ? all.high[c] : Math.max(high, all.high[c]);
+    low = c === first ? all.low[c] : Math.min(low, all.low[c]);
+    volume = c === first ? all.volume[c] : volume + all.volume[c];
+    if (c < offset) continue;
+
+    const closesBar = c === buckets.length - 1 || buckets[c + 1] !== k;
+    if (forming && closesBar) {
+      values.push(finalSeries(node, forming)[k]);
+      continue;
+    }
+
+    const last = { high, low, close: all.close[c], volume };
+    if (forming) {
+      Object.assign(forming, { k, bar: { open: bars.open[k], ...last }, values: new Map(), visiting: new Set() });
+      const value = formingValue(node, forming);
+      if (value !== undefined) {
+        values.push(value);
+        continue;
+      }
+    }
+
+    const from = lookback !== null && isFinite(lookback) ? Math.max(0, k - lookback + 1) : 0;
+    const { series, times } = periodSeries(frame, from, k, last);
+    values.push(evaluateNode(node, scopeContext(ctx, period, series, times, k - from + 1))[k - from]);
+  }
+
+  return values;
+}
+
+// A sub-expression's values over the period's bars, each one final once its bar has closed
+function finalSeries(node, forming) {
+  if (!forming.final.has(node)) forming.final.set(node, evaluateNode(node, forming.ctx));
+  return forming.final.get(node);
+}
+
+/**
+ * Value at period bar k, still in progress (forming.bar), of an expression that only reads
+ * bars up to its own: earlier bars' values are final, so only bar k is worked out, e.g.
+ * ExpAverage steps once from its value at k - 1 and Average reads its last length - 1 bars
+ * undefined when the expression needs a builtin that can't be stepped (RSI, MACD, ...)
+ */
+function formingValue(node, forming) {
+  if (forming.values.has(node)) return forming.values.get(node);
+
+  charge(forming.ctx, 1, node);
+  const value = formingValueUncached(node, forming);
+  forming.values.set(node, value);
+  return value;
+}
+
+function formingValueUncached(node, forming) {
+  const { k } = forming;
+  const each = (nodes, fn) => {
+    const values = nodes.map(child => formingValue(child, forming));
+    return values.includes(undefined) ? undefined : fn(...values);
+  };
+
+  switch (node.type) {
+    case 'Identifier': {
+      const key = node.name.toLowerCase();
+      // Constants and option fields are the same on every bar
+      if (!forming.ctx.named[key]) return finalSeries(node, forming)[k];
+      if (forming.visiting.has(key)) return undefined;
+      forming.visiting.add(key);
+      try {
+        return each([forming.ctx.named[key].expr], toNumber);
+      } finally {
+        forming.visiting.delete(key);
+      }
+    }
+
+    case 'UnaryExpression':
+      return each([node.argument], (v) => {
+        if (node.operator === '-') return -v;
+        if (node.operator === '!') return truthy(v) ? 0 : 1;
+        return v;
+      });
+
+    case 'BinaryExpression': {
+      const op = BINARY_OPERATORS[node.operator];
+      return op ? each([node.left, node.right], op) : undefined;
+    }
+
+    case 'ConditionalExpression':
+      return each([node.test], (test) =>
+        formingValue(truthy(test) ? node.consequent : node.alternate, forming));
+
+    case 'IndexExpression': {
+      const offset = staticValue(node.offset, forming.ctx);
+      if (offset === 0) return formingValue(node.object, forming);
+      return k - offset >= 0 ? finalSeries(node.object, forming)[k - offset] : NaN;
+    }
+
+    case 'CallExpression':
+      return formingCall(node, null, forming);
+
+    case 'MemberExpression':
+      if (node.object.type === 'CallExpression') return formingCall(node.object, node.property, forming);
+      return finalSeries(node, forming)[k];
+
+    default:
+      return undefined;
+  }
+}
+
+function formingCall(node, output, forming) {
+  const { k, ctx } = forming;
+  if (isPriceCall(node)) return forming.bar[node.callee.name.toLowerCase()];
+
+  if (!forming.calls.has(node)) {
+    const fn = lookupFunction(node);
+    const provided = argumentNodes(fn, node);
+    forming.calls.set(node, { fn, provided, fixed: bindArguments(fn, node, ctx, () => null, provided) });
+  }
+  const { fn, provided, fixed } = forming.calls.get(node);
+
+  if (fn === FUNCTIONS.compoundvalue) {
+    return formingValue(k >= fixed.length ? provided.visibleData : provided.historicalData, forming);
+  }
+
+  // Exponential and Wilders averages: one step on from the previous bar's final value
+  const alpha = fn.smoothing ? fn.smoothing(fixed) : null;
+  if (alpha !== null && provided.data) {
+    const value = formingValue(provided.data, forming);
+    if (value === undefined || k === 0) return value;
+    return alpha * value + (1 - alpha) * finalSeries(node, forming)[k - 1];
+  }
+
+  const lookback = fn.lookback ? fn.lookback(fixed) : null;
+  if (lookback === null) return undefined;
+
+  const from = Math.max(0, k - lookback + 1);
+  const bound = {};
+  for (const param of fn.params) {
+    if (fixed[param] !== null) {
+      bound[param] = Array.isArray(fixed[param]) ? fixed[param].slice(from, k + 1) : fixed[param];
+      continue;
+    }
+    const value = formingValue(provided[param], forming);
+    if (value === undefined) return undefined;
+    bound[param] = [...finalSeries(provided[param], forming).slice(from, k), value];
+  }
+
+  const n = k - from + 1;
+  charge(ctx, callCost(fn, bound, n), node);
+  return selectOutput(fn, applyBuiltin(fn, bound, { ...ctx, length: n }, node), output, node)[n - 1];
+}
+
+/**
+ * Evaluate recursive defs bar by bar, the way thinkorswim does:
+ * def cum = cum[1] + volume;  def ema = CompoundValue(1, a * close + (1 - a) * ema[1], close);
+ * References before the first bar read 0, matching thinkorswim's rec seed
+ */
+function evaluateRecursiveGroup(keys, ctx) {
+
+  const state = {
+    keys: new Set(keys),
+    bar: 0,
+    buffers: {},
+    computing: new Set(),
+    dependent: new Map(),
+    memo: new Map(),
+    seriesMemo: new Map(),
+    calls: new Map()
+  };
+  keys.forEach(k => { state.buffers[k] = []; });
+
+  for (let i = 0; i < ctx.length; i++) {
+    state.bar = i;
+    keys.forEach(k => recursiveValueAt(k, i, null, ctx, state));
+  }
+
+  keys.forEach(k => ctx.cache.set(k, state.buffers[k]));
+}
+
+function recursiveValueAt(key, i, node, ctx, state) {
+  if (i < 0) return 0;
+  if (i > state.bar) {
+    throw new StudyEvaluationError(`Recursive '${ctx.named[key].name}' cannot reference future bars`, node);
+  }
+  if (state.buffers[key].length > i) return state.buffers[key][i];
+
+  const marker = `${key}@${i}`;
+  if (state.computing.has(marker)) {
+    throw new StudyEvaluationError(`'${ctx.named[key].name}' refers to itself without an offset`, node);
+  }
+
+  state.computing.add(marker);
+  try {
+    const value = evaluateAt(ctx.named[key].expr, i, ctx, state);
+    state.buffers[key][i] = toNumber(value);
+    return state.buffers[key][i];
+  } finally {
+    state.computing.delete(marker);
+  }
+}
 
-  // Extract def declarations: def L = low;
-  const defRegex = /def\s+([A-Za-z0-9_]+)\s*=\s*([^;]+);/gi;
-  let defMatch;
-  while ((defMatch = defRegex.exec(script)) !== null) {
-    const name = defMatch[1].trim();
-    const expr = defMatch[2].trim();
-    defs[name] = expr;
+const dependsOnGroup = (node, state) => {
+  if (!state.dependent.has(node)) {
+    const refs = collectReferences(node);
+    state.dependent.set(node, [...refs].some(r => state.keys.has(r)));
   }
+  return state.dependent.get(node);
+};
 
-  // Extract plot declarations: plot LL = ...;
-  const plotRegex = /plot\s+([A-Za-z0-9_]+)\s*=\s*([^;]+);/gi;
-  let plotMatch;
-  while ((plotMatch = plotRegex.exec(script)) !== null) {
-    const name = plotMatch[1].trim();
-    const expr = plotMatch[2].trim();
-    plots.push({ name, exprRaw: expr });
+/**
+ * Scalar evaluation of one node at bar i inside a recursive group
+ * Sub-expressions that don't touch the group are evaluated once as whole series
+ */
+function evaluateAt(node, i, ctx, state) {
+  if (!dependsOnGroup(node, state)) {
+    if (!state.seriesMemo.has(node)) state.seriesMemo.set(node, evaluateNode(node, ctx));
+    return state.seriesMemo.get(node)[i];
   }
-  
-  console.log(`📋 Extracted: ${Object.keys(inputs).length} inputs, ${Object.keys(defs).length} defs, ${plots.length} plots`);
-  
-  return { plots, defs, inputs };
-}
-
-/**
- * Smart argument parser that handles nested parentheses and functions
- */
-function parseArguments(argsStr) {
-  const args = [];
-  let depth = 0;
-  let current = '';
-  
-  for (let i = 0; i < argsStr.length; i++) {
-    const char = argsStr[i];
-    
-    if (char === '(' || char === '[') {
-      depth++;
-      current += char;
-    } else if (char === ')' || char === ']') {
-      depth--;
-      current += char;
-    } else if (char === ',' && depth === 0) {
-      args.push(current.trim());
-      current = '';
-    } else {
-      current += char;
-    }
-  }
-  
-  if (current.trim()) {
-    args.push(current.trim());
-  }
-  
-  return args;
-}
-
-/**
- * Recursively find and mark all aggregation function calls
- */
-function findAggregationCalls(expr) {
-  const calls = [];
-  const regex = /(_sma_|_highest_|_lowest_)\s*\(/g;
-  let match;
-  
-  while ((match = regex.exec(expr)) !== null) {
-    const funcName = match[1];
-    const startPos = match.index;
-    const openParenPos = match.index + match[0].length - 1;
-    
-    // Find matching closing paren
-    let depth = 1;
-    let endPos = openParenPos + 1;
-    
-    while (depth > 0 && endPos < expr.length) {
-      if (expr[endPos] === '(') depth++;
-      else if (expr[endPos] === ')') depth--;
-      endPos++;
-    }
-    
-    if (depth === 0) {
-      const argsStr = expr.substring(openParenPos + 1, endPos - 1);
-      const fullCall = expr.substring(startPos, endPos);
-      calls.push({
-        funcName,
-        startPos,
-        endPos,
-        fullCall,
-        argsStr
-      });
-    }
+
+  let memo = state.memo.get(node);
+  if (!memo) {
+    memo = [];
+    state.memo.set(node, memo);
   }
-  
-  return calls;
+  if (memo[i] !== undefined) return memo[i];
+
+  charge(ctx, 1, node);
+  const value = evaluateAtUncached(node, i, ctx, state);
+  memo[i] = value;
+  return value;
 }
 
-/**
- * Normalize TOS formula to mathjs-compatible format
- */
-function normalizeFormula(raw, allDefs = {}) {
-  if (!raw || typeof raw !== 'string') return '';
+function evaluateAtUncached(node, i, ctx, state) {
+  switch (node.type) {
+    case 'Identifier':
+      return recursiveValueAt(node.name.toLowerCase(), i, node, ctx, state);
 
-  let s = raw;
+    case 'UnaryExpression': {
+      const v = evaluateAt(node.argument, i, ctx, state);
+      if (node.operator === '-') return -v;
+      if (node.operator === '!') return truthy(v) ? 0 : 1;
+      return v;
+    }
 
-  // TOS function name normalization (case-insensitive)
-  s = s.replace(/SimpleMovingAvg\s*\(/gi, '_sma_(');
-  s = s.replace(/simplemovingavg\s*\(/gi, '_sma_(');
-  s = s.replace(/Average\s*\(/gi, '_sma_(');
-  
-  s = s.replace(/Highest\s*\(/gi, '_highest_(');
-  s = s.replace(/highest\s*\(/gi, '_highest_(');
-  
-  s = s.replace(/Lowest\s*\(/gi, '_lowest_(');
-  s = s.replace(/lowest\s*\(/gi, '_lowest_(');
-  
-  s = s.replace(/Max\s*\(/gi, 'max(');
-  s = s.replace(/Min\s*\(/gi, 'min(');
+    case 'BinaryExpression': {
+      const op = BINARY_OPERATORS[node.operator];
+      if (!op) throw new StudyEvaluationError(`Unsupported operator '${node.operator}'`, node);
+      return op(evaluateAt(node.left, i, ctx, state), evaluateAt(node.right, i, ctx, state));
+    }
 
-  // Handle series references with offsets: low[2] -> _off_("low", 2)
-  s = s.replace(/\b(open|high|low|close|volume|oi|delta|gamma|theo|mark|ask|bid)\s*\[\s*(\d+)\s*\]/gi,
-    (_, name, offset) => `_off_("${name.toLowerCase()}", ${offset})`
-  );
+    case 'ConditionalExpression':
+      return truthy(evaluateAt(node.test, i, ctx, state))
+        ? evaluateAt(node.consequent, i, ctx, state)
+        : evaluateAt(node.alternate, i, ctx, state);
 
-  // Replace def variable references with their expressions (inline expansion)
-  let maxIterations = 20;
-  let changed = true;
-  while (changed && maxIterations-- > 0) {
-    changed = false;
-    Object.keys(allDefs).forEach(defName => {
-      const regex = new RegExp(`\\b${defName}\\b`, 'g');
-      if (regex.test(s)) {
-        s = s.replace(regex, `(${allDefs[defName]})`);
-        changed = true;
+    case 'IndexExpression': {
+      const target = node.object;
+      const j = i - evaluateOffset(node, ctx);
+      if (target.type === 'Identifier' && state.keys.has(target.name.toLowerCase())) {
+        return recursiveValueAt(target.name.toLowerCase(), j, node, ctx, state);
       }
-    });
-  }
+      if (j < 0 || j >= ctx.length) return NaN;
+      if (j > state.bar) {
+        throw new StudyEvaluationError('Recursive defs cannot reference future bars', node);
+      }
+      return evaluateAt(target, j, ctx, state);
+    }
+
+    case 'CallExpression':
+      return evaluateCallAt(node, i, ctx, state);
 
-  // Remove TOS styling commands
-  s = s.replace(/\.SetDefaultColor\([^)]*\)/gi, '');
-  s = s.replace(/\.SetPaintingStrategy\([^)]*\)/gi, '');
-  s = s.replace(/\.SetLineWeight\([^)]*\)/gi, '');
-  s = s.replace(/SetDefaultColor\([^)]*\)/gi, '');
-  s = s.replace(/SetPaintingStrategy\([^)]*\)/gi, '');
-  s = s.replace(/declare\s+[^;]*;/gi, '');
-  s = s.replace(/AddLabel\([^)]*\)/gi, '');
-  
-  // Normalize case for standard series names
-  s = s.replace(/\bLow\b/g, 'low');
-  s = s.replace(/\bHigh\b/g, 'high');
-  s = s.replace(/\bOpen\b/g, 'open');
-  s = s.replace(/\bClose\b/g, 'close');
-  s = s.replace(/\bVolume\b/g, 'volume');
+    case 'MemberExpression':
+      if (node.object.type === 'CallExpression') {
+        return evaluateCallAt(node.object, i, ctx, state, node.property);
+      }
+      throw new StudyEvaluationError(`Unknown constant '${node.property}'`, node);
 
-  s = s.trim();
-  return s;
+    default:
+      throw new StudyEvaluationError(`Unsupported expression '${node.type}' in recursive def`, node);
+  }
 }
 
 /**
- * Build price series from candles
+ * A builtin call's arguments inside a recursive group, set up on first use: constants and
+ * defaults once, and a buffer per series argument that grows by a bar as the group advances
  */
-function buildSeries(candles) {
-  const series = {
-    open: candles.map(c => Number(c.open) || 0),
-    high: candles.map(c => Number(c.high) || 0),
-    low: candles.map(c => Number(c.low) || 0),
-    close: candles.map(c => Number(c.close) || 0),
-    volume: candles.map(c => Number(c.volume) || 0),
-    oi: candles.map(c => Number(c.oi) || 0),
-    delta: candles.map(c => Number(c.delta) || 0),
-    gamma: candles.map(c => Number(c.gamma) || 0),
-    theo: candles.map(c => Number(c.theo) || 0),
-    mark: candles.map(c => Number(c.mark) || 0),
-    ask: candles.map(c => Number(c.ask) || 0),
-    bid: candles.map(c => Number(c.bid) || 0)
-  };
-
-  const getAt = (arr, idx) => {
-    if (!Array.isArray(arr)) return 0;
-    if (idx < 0 || idx >= arr.length) return 0;
-    const val = arr[idx];
-    return (typeof val === 'number' && isFinite(val)) ? val : 0;
-  };
+function recursiveCall(node, ctx, state) {
+  if (state.calls.has(node)) return state.calls.get(node);
 
-  return { series, getAt };
+  const fn = lookupFunction(node);
+  const provided = argumentNodes(fn, node);
+  const buffers = {};
+  fn.params.forEach(param => {
+    if (provided[param] && !(fn.constants || []).includes(param)) buffers[param] = [];
+  });
+  const fixed = bindArguments(fn, node, ctx, () => null, provided);
+  const call = { fn, provided, buffers, fixed, lookback: fn.lookback ? fn.lookback(fixed) : null };
+  state.calls.set(node, call);
+  return call;
 }
 
 /**
- * Create basic evaluation context (for non-aggregation expressions)
+ * Builtin call inside a recursive group: feed the function the bars computed so far
+ * and read its value at bar i (trailing functions never look past i)
+ * Functions with a lookback only get the bars their value at i depends on
  */
-function createBasicContext(candles, candleIndex, defSeries = {}, optionData = {}) {
-  const { series, getAt } = buildSeries(candles);
-  const i = candleIndex;
+function evaluateCallAt(node, i, ctx, state, output) {
+  const fn = lookupFunction(node);
 
-  const ctx = {
-    // Direct series access
-    open: getAt(series.open, i),
-    high: getAt(series.high, i),
-    low: getAt(series.low, i),
-    close: getAt(series.close, i),
-    volume: getAt(series.volume, i),
-    oi: getAt(series.oi, i),
-    delta: getAt(series.delta, i),
-    gamma: getAt(series.gamma, i),
-    theo: getAt(series.theo, i),
-    mark: getAt(series.mark, i),
-    ask: getAt(series.ask, i),
-    bid: getAt(series.bid, i),
-
-    // Option-specific constants (same across all candles for this option)
-    strikePrice: optionData.strikePrice || 0,
-    optionMark: optionData.mark || 0,
-    optionBid: optionData.bid || 0,
-    optionAsk: optionData.ask || 0,
-    optionDelta: optionData.delta || 0,
-    optionGamma: optionData.gamma || 0,
-    optionTheta: optionData.theta || 0,
-    optionVega: optionData.vega || 0,
-    impliedVolatility: optionData.impliedVolatility || 0,
-
-    // Offset accessor
-    _off_: function(seriesName, offset = 0) {
-      const arr = series[seriesName];
-      if (!arr) return 0;
-      return getAt(arr, i - Number(offset));
-    },
+  if (fn === FUNCTIONS.compoundvalue) {
+    // Only the branch for this bar is evaluated, so the seed never touches x[1]
+    const args = argumentNodes(fn, node);
+    const length = evaluateConstant(args.length, ctx);
+    return i >= length
+      ? evaluateAt(args.visibleData, i, ctx, state)
+      : evaluateAt(args.historicalData, i, ctx, state);
+  }
 
-    // Math functions
-    abs: Math.abs,
-    min: Math.min,
-    max: Math.max,
-    log: Math.log,
-    sqrt: Math.sqrt,
-    pow: Math.pow,
-    floor: Math.floor,
-    ceil: Math.ceil,
-    round: Math.round
-  };
-  
-  // Add def series values at this candle
-  Object.keys(defSeries).forEach(defName => {
-    ctx[defName] = getAt(defSeries[defName], i);
+  const call = recursiveCall(node, ctx, state);
+  const start = call.lookback ? Math.max(0, i - call.lookback + 1) : 0;
+  const bound = {};
+  fn.params.forEach(param => {
+    const buffer = call.buffers[param];
+    if (!buffer) {
+      const value = call.fixed[param];
+      bound[param] = Array.isArray(value) ? value.slice(start, i + 1) : value;
+      return;
+    }
+    for (let j = buffer.length; j <= i; j++) buffer.push(evaluateAt(call.provided[param], j, ctx, state));
+    bound[param] = buffer.slice(start, i + 1);
   });
-  
-  return ctx;
+
+  const windowCtx = { ...ctx, length: i + 1 - start };
+  charge(ctx, callCost(fn, bound, windowCtx.length), node);
+  return selectOutput(fn, applyBuiltin(fn, bound, windowCtx, node), output, node)[i - start];
 }
 
 /**
- * Evaluate a simple expression (no aggregations) across all candles
+ * Evaluate an argument that must be a constant (lengths, digit counts, offsets)
+ * Worked out once per context, however many bars or calls ask for it
  */
-function evaluateSimpleExpression(expr, candles, defSeries = {}, optionData = {}) {
-  const values = [];
-  
+function evaluateConstant(node, ctx) {
+  if (ctx.constants.has(node)) return ctx.constants.get(node);
+
+  const values = evaluateNode(node, ctx);
+  const value = values.length > 0 ? values[values.length - 1] : NaN;
+  if (!isFinite(value)) {
+    throw new StudyEvaluationError('Expected a finite constant', node);
+  }
+  ctx.constants.set(node, value);
+  return value;
+}
+
+const evaluateLength = (node, ctx) => {
+  const length = Math.floor(evaluateConstant(node, ctx));
+  if (length < 1) throw new StudyEvaluationError(`Length must be at least 1, got ${length}`, node);
+  if (length > ctx.limits.maxLength) {
+    throw new StudyLimitError(`Length ${length} is over the limit of ${ctx.limits.maxLength}`, node);
+  }
+  return length;
+};
+
+// Operations a builtin does on n bars: one pass, unless it re-reads its window for every bar
+const callCost = (fn, bound, n) => (fn.cost ? fn.cost(bound, n) : n);
+const windowCost = ({ length }, n) => n * length;
+const averageCost = (averageType, length, n) =>
+  (averageType === AVERAGE_TYPES.WEIGHTED || averageType === AVERAGE_TYPES.HULL ? n * length : n);
+
+// Trailing bars a moving average's last value depends on; null when it depends on every bar
+const averageLookback = (averageType, length) => {
+  if (averageType === AVERAGE_TYPES.SIMPLE || averageType === AVERAGE_TYPES.WEIGHTED) return length;
+  if (averageType === AVERAGE_TYPES.HULL) return length + Math.max(1, Math.round(Math.sqrt(length))) - 1;
+  return null;
+};
+
+// Weight of the newest bar in averages that carry their previous value forward, else null
+const averageSmoothing = (averageType, length) => {
+  if (averageType === AVERAGE_TYPES.EXPONENTIAL) return 2 / (length + 1);
+  if (averageType === AVERAGE_TYPES.WILDERS) return 1 / length;
+  return null;
+};
+
+const windowLookback = ({ length }) => length;
+const pointwise = () => 1;
+
+/**
+ * Run a builtin on its bound arguments, stopping it mid-series once the formula is out of time
+ */
+function applyBuiltin(fn, bound, ctx, node) {
   try {
-    const parsed = math.parse(expr);
-    
-    for (let i = 0; i < candles.length; i++) {
-      const ctx = createBasicContext(candles, i, defSeries, optionData);
-      const result = parsed.evaluate(ctx);
-      const num = Number(result);
-      values.push(isFinite(num) ? num : 0);
-    }
+    return withDeadline(ctx.budget.deadline, () => fn.apply(bound, ctx));
   } catch (err) {
-    console.error(`Error evaluating simple expression "${expr}":`, err.message);
-    return candles.map(() => 0);
+    if (err instanceof IndicatorTimeoutError) throw new StudyLimitError(ctx.budget.timeout, node, 'timeout');
+    throw err;
   }
-  
-  return values;
 }
 
+const mapSeries = (values, fn) => values.map(fn);
+const zipSeries = (a, b, fn) => a.map((v, i) => fn(v, b[i]));
+
+const close = ctx => ctx.series.close;
+
 /**
- * Apply aggregation function to a time series
+ * Built-in ThinkScript functions
+ * params: ordered parameter names; defaults: value or (ctx) => series;
+ * constants: params evaluated to a single number instead of a series;
+ * outputs: plot names of multi-plot studies (the first one is the default);
+ * cost: operations on n bars when more than n; lookback: trailing bars the last value depends on;
+ * readsFuture: why a call reads bars after the current one, if it does (rejected in causal mode)
  */
-function applyAggregation(funcName, inputSeries, length, candles) {
-  const result = [];
-  const len = Math.max(1, Math.floor(Number(length)));
-  
-  for (let i = 0; i < candles.length; i++) {
-    const vals = [];
-    
-    for (let k = 0; k < len; k++) {
-      const idx = i - k;
-      if (idx >= 0 && idx < inputSeries.length) {
-        vals.push(inputSeries[idx]);
-      }
+const FUNCTIONS = {
+  average: {
+    params: ['data', 'length'],
+    defaults: { data: ctx => ctx.series.close, length: 12 },
+    constants: ['length'],
+    lookback: windowLookback,
+    apply: ({ data, length }) => simpleAverage(data, length)
+  },
+  simplemovingavg: {
+    params: ['price', 'length'],
+    defaults: { price: ctx => ctx.series.close, length: 9 },
+    constants: ['length'],
+    lookback: windowLookback,
+    apply: ({ price, length }) => simpleAverage(price, length)
+  },
+  highest: {
+    params: ['data', 'length'],
+    defaults: { data: ctx => ctx.series.high, length: 12 },
+    constants: ['length'],
+    lookback: windowLookback,
+    apply: ({ data, length }) => highest(data, length)
+  },
+  lowest: {
+    params: ['data', 'length'],
+    defaults: { data: ctx => ctx.series.low, length: 12 },
+    constants: ['length'],
+    lookback: windowLookback,
+    apply: ({ data, length }) => lowest(data, length)
+  },
+  max: { params: ['value1', 'value2'], lookback: pointwise, apply: ({ value1, value2 }) => zipSeries(value1, value2, Math.max) },
+  min: { params: ['value1', 'value2'], lookback: pointwise, apply: ({ value1, value2 }) => zipSeries(value1, value2, Math.min) },
+  absvalue: { params: ['value'], lookback: pointwise, apply: ({ value }) => mapSeries(value, Math.abs) },
+  sqrt: { params: ['value'], lookback: pointwise, apply: ({ value }) => mapSeries(value, Math.sqrt) },
+  log: { params: ['value'], lookback: pointwise, apply: ({ value }) => mapSeries(value, Math.log) },
+  exp: { params: ['value'], lookback: pointwise, apply: ({ value }) => mapSeries(value, Math.exp) },
+  power: { params: ['number', 'power'], lookback: pointwise, apply: ({ number, power }) => zipSeries(number, power, Math.pow) },
+  floor: { params: ['value'], lookback: pointwise, apply: ({ value }) => mapSeries(value, Math.floor) },
+  ceil: { params: ['value'], lookback: pointwise, apply: ({ value }) => mapSeries(value, Math.ceil) },
+  round: {
+    params: ['number', 'numberOfDigits'],
+    defaults: { numberOfDigits: 2 },
+    constants: ['numberOfDigits'],
+    lookback: pointwise,
+    apply: ({ number, numberOfDigits }) => {
+      const factor = Math.pow(10, numberOfDigits);
+      return mapSeries(number, v => Math.round(v * factor) / factor);
     }
-    
-    if (vals.length === 0) {
-      result.push(0);
-      continue;
+  },
+  isnan: { params: ['value'], lookback: pointwise, apply: ({ value }) => mapSeries(value, v => (Number.isNaN(v) ? 1 : 0)) },
+  compoundvalue: {
+    params: ['length', 'visibleData', 'historicalData'],
+    constants: ['length'],
+    apply: ({ length, visibleData, historicalData }) =>
+      visibleData.map((v, i) => (i >= length ? v : historicalData[i]))
+  },
+  expaverage: {
+    params: ['data', 'length'],
+    defaults: { data: close, length: 12 },
+    constants: ['length'],
+    smoothing: ({ length }) => averageSmoothing(AVERAGE_TYPES.EXPONENTIAL, length),
+    apply: ({ data, length }) => expAverage(data, length)
+  },
+  wildersaverage: {
+    params: ['data', 'length'],
+    defaults: { data: close, length: 12 },
+    constants: ['length'],
+    smoothing: ({ length }) => averageSmoothing(AVERAGE_TYPES.WILDERS, length),
+    apply: ({ data, length }) => wildersAverage(data, length)
+  },
+  wma: {
+    params: ['data', 'length'],
+    defaults: { data: close, length: 9 },
+    constants: ['length'],
+    cost: windowCost,
+    lookback: windowLookback,
+    apply: ({ data, length }) => weightedAverage(data, length)
+  },
+  movingaverage: {
+    params: ['averageType', 'data', 'length'],
+    defaults: { data: close, length: 12 },
+    constants: ['averageType', 'length'],
+    cost: ({ averageType, length }, n) => averageCost(averageType, length, n),
+    lookback: ({ averageType, length }) => averageLookback(averageType, length),
+    smoothing: ({ averageType, length }) => averageSmoothing(averageType, length),
+    apply: ({ averageType, data, length }) => movingAverage(averageType, data, length)
+  },
+  sum: {
+    params: ['data', 'length'],
+    defaults: { data: close, length: 12 },
+    constants: ['length'],
+    lookback: windowLookback,
+    apply: ({ data, length }) => movingSum(data, length)
+  },
+  stdev: {
+    params: ['data', 'length'],
+    defaults: { data: close, length: 12 },
+    constants: ['length'],
+    cost: windowCost,
+    lookback: windowLookback,
+    apply: ({ data, length }) => rollingWindow(data, length, stdev)
+  },
+  truerange: {
+    params: ['high', 'close', 'low'],
+    defaults: { high: ctx => ctx.series.high, close, low: ctx => ctx.series.low },
+    lookback: () => 2,
+    apply: ({ high, close: c, low }) => trueRange(high, c, low)
+  },
+  atr: {
+    readsPrices: true,
+    params: ['length', 'averageType'],
+    defaults: { length: 14, averageType: AVERAGE_TYPES.WILDERS },
+    constants: ['length', 'averageType'],
+    cost: ({ length, averageType }, n) => averageCost(averageType, length, n),
+    apply: ({ length, averageType }, ctx) =>
+      movingAverage(averageType, trueRange(ctx.series.high, ctx.series.close, ctx.series.low), length)
+  },
+  rsi: {
+    params: ['length', 'overBought', 'overSold', 'price', 'averageType'],
+    defaults: { length: 14, overBought: 70, overSold: 30, price: close, averageType: AVERAGE_TYPES.WILDERS },
+    constants: ['length', 'overBought', 'overSold', 'averageType'],
+    outputs: ['RSI', 'OverSold', 'OverBought'],
+    cost: ({ length, averageType }, n) => averageCost(averageType, length, n),
+    apply: ({ length, overBought, overSold, price, averageType }) => ({
+      RSI: rsi(price, length, averageType),
+      OverSold: fill(price.length, overSold),
+      OverBought: fill(price.length, overBought)
+    })
+  },
+  macd: {
+    readsPrices: true,
+    params: ['fastLength', 'slowLength', 'MACDLength', 'averageType'],
+    defaults: { fastLength: 12, slowLength: 26, MACDLength: 9, averageType: AVERAGE_TYPES.EXPONENTIAL },
+    constants: ['fastLength', 'slowLength', 'MACDLength', 'averageType'],
+    outputs: ['Value', 'Avg', 'Diff'],
+    cost: ({ fastLength, slowLength, MACDLength, averageType }, n) =>
+      averageCost(averageType, fastLength + slowLength + MACDLength, n),
+    apply: ({ fastLength, slowLength, MACDLength, averageType }, ctx) =>
+      macd(ctx.series.close, fastLength, slowLength, MACDLength, averageType)
+  },
+  bollingerbands: {
+    params: ['price', 'displace', 'length', 'Num_Dev_Dn', 'Num_Dev_up', 'averageType'],
+    defaults: { price: close, displace: 0, length: 20, Num_Dev_Dn: -2, Num_Dev_up: 2, averageType: AVERAGE_TYPES.SIMPLE },
+    constants: ['displace', 'length', 'Num_Dev_Dn', 'Num_Dev_up', 'averageType'],
+    outputs: ['LowerBand', 'MidLine', 'UpperBand'],
+    readsFuture: ({ displace }) => Math.round(displace) > 0 && 'with a positive displace reads future bars',
+    cost: windowCost,
+    lookback: ({ averageType, length, displace }) => {
+      const bars = averageLookback(averageType, length);
+      return bars === null ? null : Math.max(bars, length) + Math.max(0, -Math.round(displace));
+    },
+    apply: ({ price, displace, length, Num_Dev_Dn, Num_Dev_up, averageType }) => {
+      // thinkorswim reads price[-displace]
+      const shift = Math.round(displace);
+      const shifted = price.map((_, i) => (i + shift >= 0 && i + shift < price.length ? price[i + shift] : NaN));
+      return bollingerBands(shifted, length, Num_Dev_Dn, Num_Dev_up, averageType);
     }
-    
-    if (funcName === '_sma_') {
-      const sum = vals.reduce((a, b) => a + b, 0);
-      result.push(sum / vals.length);
-    } else if (funcName === '_highest_') {
-      result.push(Math.max(...vals));
-    } else if (funcName === '_lowest_') {
-      result.push(Math.min(...vals));
-    } else {
-      result.push(0);
+  },
+  vwap: {
+    readsPrices: true,
+    params: ['numDevDn', 'numDevUp'],
+    defaults: { numDevDn: -2, numDevUp: 2 },
+    constants: ['numDevDn', 'numDevUp'],
+    outputs: ['VWAP', 'UpperBand', 'LowerBand'],
+    apply: ({ numDevDn, numDevUp }, ctx) => {
+      const { high, low, close: c, volume } = ctx.series;
+      const n = ctx.length;
+      return vwap(high.slice(0, n), low.slice(0, n), c.slice(0, n), volume.slice(0, n), ctx.times, numDevDn, numDevUp);
     }
+  },
+  crosses: {
+    params: ['data1', 'data2', 'direction'],
+    defaults: { direction: CROSSING_DIRECTIONS.ANY },
+    constants: ['direction'],
+    lookback: () => 2,
+    apply: ({ data1, data2, direction }) => crosses(data1, data2, direction)
+  },
+  highestall: {
+    params: ['data'],
+    readsFuture: () => 'reads every bar, including later ones',
+    apply: ({ data }) => fill(data.length, Math.max(...data))
+  },
+  lowestall: {
+    params: ['data'],
+    readsFuture: () => 'reads every bar, including later ones',
+    apply: ({ data }) => fill(data.length, Math.min(...data))
+  },
+  barnumber: {
+    readsPrices: true,
+    params: [],
+    apply: (_, ctx) => Array.from({ length: ctx.length }, (v, i) => i + 1)
   }
-  
-  return result;
+};
+
+// Lower-case aliases for names traders commonly use
+FUNCTIONS.abs = FUNCTIONS.absvalue;
+FUNCTIONS.pow = FUNCTIONS.power;
+FUNCTIONS.ceiling = FUNCTIONS.ceil;
+
+/**
+ * Match positional and named call arguments to a builtin's parameters (unevaluated)
+ */
+function argumentNodes(fn, node) {
+  const name = node.callee.name;
+  const params = fn.params;
+  const paramKeys = params.map(p => p.toLowerCase());
+  const provided = {};
+
+  if (node.args.length > params.length) {
+    throw new StudyEvaluationError(`${name}() takes at most ${params.length} arguments`, node);
+  }
+  node.args.forEach((arg, idx) => { provided[params[idx]] = arg; });
+
+  Object.keys(node.namedArgs).forEach(key => {
+    const idx = paramKeys.indexOf(key);
+    if (idx === -1) throw new StudyEvaluationError(`${name}() has no parameter '${key}'`, node.namedArgs[key]);
+    if (provided[params[idx]]) throw new StudyEvaluationError(`${name}() got '${params[idx]}' twice`, node.namedArgs[key]);
+    provided[params[idx]] = node.namedArgs[key];
+  });
+
+  for (const param of params) {
+    if (!provided[param] && fn.defaults?.[param] === undefined) {
+      throw new StudyEvaluationError(`${name}() requires argument '${param}'`, node);
+    }
+  }
+
+  return provided;
 }
 
 /**
- * Recursively evaluate formula with nested aggregations
- * This handles cases like: SimpleMovingAvg(SimpleMovingAvg(close, 5), 10)
+ * Bind and evaluate call arguments; series params go through evaluateSeries
  */
-function evaluateFormulaRecursive(expr, candles, allDefs = {}, defSeries = {}, cache = new Map(), optionData = {}) {
-  // Normalize the expression first
-  const normalized = normalizeFormula(expr, allDefs);
-  
-  // Use normalized expression as cache key for accuracy
-  if (cache.has(normalized)) {
-    return cache.get(normalized);
+function bindArguments(fn, node, ctx, evaluateSeries = (argNode) => evaluateNode(argNode, ctx), provided = argumentNodes(fn, node)) {
+  const bound = {};
+
+  for (const param of fn.params) {
+    const isConstant = (fn.constants || []).includes(param);
+    const argNode = provided[param];
+
+    if (argNode) {
+      if (!isConstant) bound[param] = evaluateSeries(argNode);
+      else bound[param] = /length$/i.test(param) ? evaluateLength(argNode, ctx) : evaluateConstant(argNode, ctx);
+      continue;
+    }
+
+    const fallback = fn.defaults[param];
+    if (typeof fallback === 'function') bound[param] = fallback(ctx);
+    else bound[param] = isConstant ? fallback : fill(ctx.length, fallback);
   }
-  
-  // Check if this is a simple series name (e.g., just "close" or "high")
-  const seriesNames = ['open', 'high', 'low', 'close', 'volume', 'oi', 'delta', 'gamma', 'theo', 'mark', 'ask', 'bid'];
-  if (seriesNames.includes(normalized.toLowerCase())) {
-    const { series } = buildSeries(candles);
-    const result = series[normalized.toLowerCase()];
-    cache.set(normalized, result);
+
+  return bound;
+}
+
+/**
+ * Pick one plot out of a study's result; single-plot functions return the array itself
+ */
+function selectOutput(fn, result, output, node) {
+  if (!fn.outputs) {
+    if (output) throw new StudyEvaluationError(`${node.callee.name}() has no plot '${output}'`, node);
     return result;
   }
-  
-  // Check if this is an option-specific field (constant across candles)
-  const optionFields = ['strikePrice', 'optionMark', 'optionBid', 'optionAsk', 'optionDelta', 'optionGamma', 'optionTheta', 'optionVega', 'impliedVolatility'];
-  if (optionFields.includes(normalized)) {
-    const value = optionData[normalized.replace('option', '').toLowerCase()] || 
-                  optionData[normalized] || 0;
-    const result = candles.map(() => value);
-    cache.set(normalized, result);
-    return result;
+  const name = output
+    ? fn.outputs.find(o => o.toLowerCase() === output.toLowerCase())
+    : fn.outputs[0];
+  if (!name) {
+    throw new StudyEvaluationError(`${node.callee.name}() has no plot '${output}' (plots: ${fn.outputs.join(', ')})`, node);
   }
-  
-  // Check if this is a def variable
-  if (defSeries[normalized]) {
-    return defSeries[normalized];
-  }
-  
-  // Find all aggregation calls in this expression
-  const aggCalls = findAggregationCalls(normalized);
-  
-  if (aggCalls.length === 0) {
-    // No aggregations - evaluate as simple expression
-    const result = evaluateSimpleExpression(normalized, candles, defSeries, optionData);
-    cache.set(normalized, result);
-    return result;
+  return result[name];
+}
+
+const lookupFunction = (node) => {
+  if (node.callee.type !== 'Identifier') {
+    throw new StudyEvaluationError('Method calls are only allowed as styling statements', node);
   }
-  
-  // Process aggregations from innermost to outermost
-  // Sort by position (later positions are processed first to avoid index shifting)
-  aggCalls.sort((a, b) => b.startPos - a.startPos);
-  
-  let workingExpr = normalized;
-  const tempSeries = new Map();
-  let tempCounter = 0;
-  
-  // Replace each aggregation call with a temporary placeholder
-  for (const call of aggCalls) {
-    const { funcName, fullCall, argsStr } = call;
-    
-    // Parse arguments
-    const args = parseArguments(argsStr);
-    
-    if (args.length < 2) {
-      console.error(`Aggregation function ${funcName} requires at least 2 arguments`);
-      continue;
+
+  const fn = FUNCTIONS[node.callee.name.toLowerCase()];
+  if (!fn) {
+    throw new StudyEvaluationError(`Unknown function '${node.callee.name}'`, node.callee);
+  }
+  return fn;
+};
+
+/**
+ * Compile a builtin call; `output` selects a plot of multi-plot studies, e.g. MACD().Avg
+ * Function lookup and argument matching happen here, once, instead of on every evaluation
+ */
+function compileCall(node, output) {
+  if (isPriceCall(node)) {
+    // Inside a period scope ctx.series already holds that period's bars
+    const name = node.callee.name.toLowerCase();
+    if (output) return failWith(new StudyEvaluationError(`${node.callee.name}() has no plot '${output}'`, node));
+    return (ctx) => {
+      pricePeriod(node, ctx);
+      return ctx.series[name];
+    };
+  }
+
+  let fn;
+  let provided;
+  try {
+    fn = lookupFunction(node);
+    provided = argumentNodes(fn, node);
+  } catch (err) {
+    return failWith(err);
+  }
+
+  return (ctx) => {
+    const bound = bindArguments(fn, node, ctx, (argNode) => evaluateNode(argNode, ctx), provided);
+    const future = ctx.causal && fn.readsFuture && fn.readsFuture(bound);
+    if (future) throw new StudyEvaluationError(`${node.callee.name}() ${future}`, node);
+    charge(ctx, callCost(fn, bound, ctx.length), node);
+    return selectOutput(fn, applyBuiltin(fn, bound, ctx, node), output, node);
+  };
+}
+
+const BINARY_OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => (b === 0 ? NaN : a / b),
+  '%': (a, b) => a % b,
+  '==': (a, b) => (a === b ? 1 : 0),
+  '!=': (a, b) => (a !== b ? 1 : 0),
+  '<': (a, b) => (a < b ? 1 : 0),
+  '>': (a, b) => (a > b ? 1 : 0),
+  '<=': (a, b) => (a <= b ? 1 : 0),
+  '>=': (a, b) => (a >= b ? 1 : 0),
+  '&&': (a, b) => (truthy(a) && truthy(b) ? 1 : 0),
+  '||': (a, b) => (truthy(a) || truthy(b) ? 1 : 0)
+};
+
+function evaluateOffset(node, ctx) {
+  const offset = evaluateConstant(node.offset, ctx);
+  if (!Number.isInteger(offset)) {
+    throw new StudyEvaluationError(`Offset must be an integer, got ${offset}`, node.offset);
+  }
+  return offset;
+}
+
+// Errors found while compiling surface when (and only if) the expression is evaluated
+const failWith = (err) => () => { throw err; };
+
+const COMPILED = new WeakMap();
+
+/**
+ * Evaluate an expression node across all candles, returning one value per candle
+ * Each node is compiled to a closure on first use and the closure is reused afterwards
+ */
+function evaluateNode(node, ctx) {
+  let compiled = COMPILED.get(node);
+  if (!compiled) {
+    compiled = compileNode(node);
+    COMPILED.set(node, compiled);
+  }
+  charge(ctx, ctx.length, node);
+
+  // Expressions reading only a secondary period are evaluated on that period's bars
+  if (node.type !== 'Identifier') {
+    const period = periodScope(node, ctx);
+    if (period !== null && period !== ctx.period) return evaluatePeriodScope(node, period, ctx);
+  }
+  return compiled(ctx);
+}
+
+/**
+ * Compile an expression node into a column-wise closure: (ctx) => values per candle
+ */
+function compileNode(node) {
+  switch (node.type) {
+    case 'NumberLiteral': {
+      const value = node.value;
+      return (ctx) => fill(ctx.length, value);
     }
-    
-    const inputExpr = args[0];
-    const lengthExpr = args[1];
-    
-    // Evaluate the length parameter (should be a constant)
-    let length = 20; // default
-    try {
-      const lengthCtx = {
-        abs: Math.abs, min: Math.min, max: Math.max,
-        log: Math.log, sqrt: Math.sqrt, pow: Math.pow,
-        floor: Math.floor, ceil: Math.ceil, round: Math.round
-      };
-      length = Number(math.evaluate(lengthExpr, lengthCtx));
-      if (!isFinite(length) || length < 1) {
-        length = 20;
+
+    case 'StringLiteral':
+      return failWith(new StudyEvaluationError('Strings cannot be used as numeric values', node));
+
+    case 'Identifier':
+      return (ctx) => evaluateIdentifier(node, ctx);
+
+    case 'MemberExpression': {
+      if (node.object.type === 'CallExpression') return compileCall(node.object, node.property);
+      const path = node.object.type === 'Identifier' ? `${node.object.name}.${node.property}`.toLowerCase() : null;
+      if (path && MEMBER_CONSTANTS[path] !== undefined) {
+        const value = MEMBER_CONSTANTS[path];
+        return (ctx) => fill(ctx.length, value);
       }
-    } catch (err) {
-      console.error(`Error evaluating length parameter: ${lengthExpr}`, err.message);
-    }
-    
-    // Recursively evaluate the input expression (handles nested aggregations)
-    const inputSeries = evaluateFormulaRecursive(inputExpr, candles, allDefs, defSeries, cache, optionData);
-    
-    // Apply the aggregation
-    const resultSeries = applyAggregation(funcName, inputSeries, length, candles);
-    
-    // Create a temporary variable name and store the series
-    const tempVar = `__temp${tempCounter++}__`;
-    tempSeries.set(tempVar, resultSeries);
-    
-    // Replace the full call with the temp variable
-    workingExpr = workingExpr.replace(fullCall, tempVar);
-  }
-  
-  // Now evaluate the working expression with all temp series
-  const values = [];
-  
-  try {
-    const parsed = math.parse(workingExpr);
-    
-    for (let i = 0; i < candles.length; i++) {
-      const ctx = createBasicContext(candles, i, defSeries, optionData);
-      
-      // Add temp series values at this candle
-      tempSeries.forEach((series, varName) => {
-        ctx[varName] = series[i] || 0;
-      });
-      
-      const result = parsed.evaluate(ctx);
-      const num = Number(result);
-      values.push(isFinite(num) ? num : 0);
+      return failWith(new StudyEvaluationError(`Unknown constant '${path || node.property}'`, node));
     }
-  } catch (err) {
-    console.error(`Error evaluating expression with temps:`, err.message);
-    return candles.map(() => 0);
+
+    case 'UnaryExpression': {
+      const argument = (ctx) => evaluateNode(node.argument, ctx);
+      if (node.operator === '-') return (ctx) => argument(ctx).map(v => -v);
+      if (node.operator === '!') return (ctx) => argument(ctx).map(v => (truthy(v) ? 0 : 1));
+      return argument;
+    }
+
+    case 'BinaryExpression': {
+      const op = BINARY_OPERATORS[node.operator];
+      if (!op) return failWith(new StudyEvaluationError(`Unsupported operator '${node.operator}'`, node));
+      return (ctx) => zipSeries(evaluateNode(node.left, ctx), evaluateNode(node.right, ctx), op);
+    }
+
+    case 'ConditionalExpression':
+      // Both branches are whole series, so conditionals nest inside aggregations
+      return (ctx) => {
+        const test = evaluateNode(node.test, ctx);
+        const consequent = evaluateNode(node.consequent, ctx);
+        const alternate = evaluateNode(node.alternate, ctx);
+        return test.map((t, i) => (truthy(t) ? consequent[i] : alternate[i]));
+      };
+
+    case 'IndexExpression':
+      // Offset on any series-valued expression: close[2], myDef[1], (high - low)[3], Average(close, 5)[1]
+      // Negative offsets look forward; bars outside the candle range are NaN
+      return (ctx) => {
+        const values = evaluateNode(node.object, ctx);
+        const offset = evaluateOffset(node, ctx);
+        if (ctx.causal && offset < 0) throw new StudyEvaluationError('Negative offsets read future bars', node);
+        return values.map((_, i) => (i - offset >= 0 && i - offset < values.length ? values[i - offset] : NaN));
+      };
+
+    case 'CallExpression':
+      return compileCall(node);
+
+    default:
+      return failWith(new StudyEvaluationError(`Unsupported expression '${node.type}'`, node));
   }
-  
-  cache.set(normalized, values);
-  return values;
 }
 
 /**
  * Evaluate all defs to create time series for each
  */
-function buildDefSeries(candles, defs, optionData = {}) {
-  if (!defs || Object.keys(defs).length === 0) {
-    return {};
+function buildDefSeries(ctx) {
+  const defNames = Object.keys(ctx.defs);
+  const defSeries = {};
+  if (defNames.length === 0) return defSeries;
+
+  const failed = [];
+  for (const key of defNames) {
+    const entry = ctx.defs[key];
+    startBudget(ctx);
+    try {
+      defSeries[entry.name] = evaluateNamed(key, entry.expr, ctx);
+    } catch (err) {
+      console.error(`❌ Error evaluating def ${entry.name}:`, err.message);
+      failed.push(entry.name);
+    }
   }
 
-  const defNames = Object.keys(defs);
-  const defSeries = {};
-  const evaluated = new Set();
-  
-  console.log(`📊 Building def series for ${defNames.length} defs:`, defNames);
-
-  // Multi-pass evaluation (handle dependencies)
-  for (let pass = 0; pass < 20; pass++) {
-    let progress = false;
-    
-    for (const defName of defNames) {
-      if (evaluated.has(defName)) continue;
-      
-      const defExpr = defs[defName];
-      
-      // Check if this def depends on unevaluated defs
-      const dependencies = defNames.filter(otherDef => 
-        otherDef !== defName && 
-        !evaluated.has(otherDef) && 
-        new RegExp(`\\b${otherDef}\\b`).test(defExpr)
-      );
-      
-      if (dependencies.length > 0) {
-        continue; // Skip this def for now, dependencies not ready
-      }
-      
+  if (failed.length > 0) {
+    console.warn(`⚠️  Could not evaluate ${failed.length} defs:`, failed);
+  }
+
+  return defSeries;
+}
+
+/**
+ * Accept a formula string, an expression node, or an extracted plot
+ */
+function toExpression(formula) {
+  if (typeof formula === 'string') return parseExpression(formula);
+  if (formula && formula.expr) return formula.expr;
+  return formula;
+}
+
+/**
+ * Pair a value series with its candle timestamps; NaN bars become null for JSON
+ */
+const toTimeSeries = (values, candles) => values.map((v, i) => ({
+  time: candles[i].time ?? candles[i].datetime ?? null,
+  value: Number.isNaN(v) ? null : v
+}));
+
+/**
+ * True when a compiled study reads a day, week or month period, so callers
+ * know to fetch daily history for prepareCandles
+ */
+function needsDailyHistory(program) {
+  const ctx = { named: program.named, periods: program.periods };
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return false;
+    if (isPriceCall(node)) {
       try {
-        // CRITICAL: Create a fresh cache for each def evaluation
-        const defCache = new Map();
-        // Evaluate this def across all candles using recursive evaluator
-        const values = evaluateFormulaRecursive(defExpr, candles, defs, defSeries, defCache, optionData);
-        defSeries[defName] = values;
-        evaluated.add(defName);
-        progress = true;
-        
-        const lastVal = values[values.length - 1];
-        const displayVal = Math.abs(lastVal) < 0.01 ? lastVal.toExponential(4) : lastVal.toFixed(6);
-        console.log(`✅ Evaluated def: ${defName} (${values.length} values, last: ${displayVal})`);
+        return pricePeriod(node, ctx) >= AGGREGATION_PERIODS.DAY;
       } catch (err) {
-        console.error(`❌ Error evaluating def ${defName}:`, err.message);
+        return false;
       }
     }
-    
-    if (!progress) break;
+    if (node.type === 'CallExpression') return [...node.args, ...Object.values(node.namedArgs)].some(visit);
+    return ['argument', 'left', 'right', 'test', 'consequent', 'alternate', 'object', 'offset'].some(f => visit(node[f]));
+  };
+  return Object.values(program.named).some(entry => visit(entry.expr));
+}
+
+/**
+ * Compile a study script once per scan: parse, bind inputs and work out the dependency graph
+ * The result is evaluated with evaluateStudy against any number of tickers
+ */
+function compileStudy(scriptText, userInputs = {}) {
+  const { plots, defs, inputs, declarations } = extractPlotExpressions(scriptText, userInputs);
+  const program = createProgram({ defs, inputs, plots: plots.filter(p => p.expr) });
+  return { ...program, formulas: plots, declarations };
+}
+
+/**
+ * Evaluate a compiled study on prepared candles
+ * Returns the last value of every plot (null when NaN), a status per plot ('ok', 'error',
+ * 'limit' or 'timeout') and, with options.includeSeries, every plot and def across all candles
+ * options.limits overrides DEFAULT_LIMITS for this evaluation; options.deadline (epoch ms) caps
+ * every formula's time budget, for callers with a limit on the evaluation as a whole
+ * options.causal rejects anything that reads later bars (negative offsets, displaced bands,
+ * HighestAll/LowestAll), so every bar's value is what the study showed at that bar's close
+ */
+function evaluateStudy(program, prepared, optionData = {}, options = {}) {
+  const formulas = program.formulas || [];
+  if (!prepared || prepared.length === 0) {
+    const empty = { labels: formulas.map(() => null), statuses: formulas.map(() => 'ok') };
+    if (options.includeSeries) empty.series = { plots: [], defs: [] };
+    return empty;
   }
-  
-  const unevaluated = defNames.filter(d => !evaluated.has(d));
-  if (unevaluated.length > 0) {
-    console.warn(`⚠️  Could not evaluate ${unevaluated.length} defs:`, unevaluated);
+
+  const limits = { ...DEFAULT_LIMITS, ...(options.limits || {}) };
+  const ctx = createEvaluationContext(prepared, program, optionData, limits);
+  ctx.causal = Boolean(options.causal);
+  ctx.deadline = options.deadline;
+  const defSeries = buildDefSeries(ctx);
+  const plotSeries = [];
+  const statuses = [];
+
+  const labels = formulas.map((formula, idx) => {
+    const name = formula?.name || `plot${idx + 1}`;
+    startBudget(ctx);
+    try {
+      const expr = toExpression(formula);
+      const key = name.toLowerCase();
+      let values;
+      if (ctx.named[key] && ctx.named[key].expr === expr) {
+        values = evaluateNamed(key, expr, ctx);
+      } else {
+        checkDepth(expr, ctx);
+        values = sanitize(evaluateNode(expr, ctx));
+      }
+      if (options.includeSeries) plotSeries.push({ name, data: toTimeSeries(values, prepared.candles) });
+
+      // Return the last value
+      statuses.push('ok');
+      const num = values[values.length - 1];
+      return Number.isNaN(num) ? null : num;
+    } catch (err) {
+      console.error(`❌ Error evaluating plot ${name}:`, err.message);
+      statuses.push(err instanceof StudyLimitError ? err.status : 'error');
+      if (options.includeSeries) plotSeries.push({ name, data: [], error: err.message });
+      return null;
+    }
+  });
+
+  const result = { labels, statuses };
+  if (options.includeSeries) {
+    result.series = {
+      plots: plotSeries,
+      defs: Object.keys(defSeries).map(defName => ({ name: defName, data: toTimeSeries(defSeries[defName], prepared.candles) }))
+    };
   }
-  
-  return defSeries;
+  return result;
 }
 
 /**
  * Evaluate formulas on candle data
+ * formulas: plot objects from extractPlotExpressions, AST nodes, or formula strings
+ * options.includeSeries: also return every plot and def across all candles (chart overlays)
  */
-function evaluateFormulasOnCandles(candles, formulas = [], defs = {}, optionData = {}) {
+function evaluateFormulasOnCandles(candles, formulas = [], defs = {}, optionData = {}, inputs = {}, options = {}) {
   if (!candles || candles.length === 0) {
     console.warn('⚠️  No candles to evaluate');
-    return { labels: formulas.map(() => null), compiledCount: formulas.length };
   }
 
-  console.log(`🔬 Evaluating ${formulas.length} formulas on ${candles.length} candles`);
-  
-  // Build def time series first
-  const defSeries = buildDefSeries(candles, defs, optionData);
-  
-  // Evaluate each plot formula with a FRESH cache for this ticker
-  const labels = formulas.map((formulaStr, idx) => {
-    try {
-      console.log(`\n📊 Evaluating formula ${idx + 1}: ${formulaStr}`);
-      // CRITICAL: Create a new cache for each formula evaluation to ensure ticker-specific results
-      const freshCache = new Map();
-      const resultSeries = evaluateFormulaRecursive(formulaStr, candles, defs, defSeries, freshCache, optionData);
-      
-      // Return the last value
-      const lastValue = resultSeries[resultSeries.length - 1];
-      
-      if (typeof lastValue === 'boolean') {
-        return lastValue ? 1 : 0;
+  const plots = formulas.filter(f => f && f.name && f.expr);
+  const program = { ...createProgram({ defs, inputs, plots }), formulas };
+  const result = evaluateStudy(program, prepareCandles(candles || []), optionData, options);
+  return { ...result, compiledCount: formulas.length };
+}
+
+// Flat, gently oscillating candles used to dry-run a study during validation
+const SAMPLE_CANDLES = Array.from({ length: 60 }, (_, i) => {
+  const close = 100 + Math.sin(i / 4) * 2;
+  const time = Date.UTC(2024, 0, 2, 14, 30) + i * 15 * 60 * 1000;
+  return { time, open: close - 0.5, high: close + 1, low: close - 1, close, volume: 1000 + i * 10 };
+});
+
+const isKnownName = (key, ctx) =>
+  Boolean(ctx.named[key] || ctx.series[key] || OPTION_FIELDS[key] !== undefined || CONSTANTS[key] !== undefined);
+
+/**
+ * Statically check an expression for unknown names, functions and bad call arguments
+ */
+function checkExpression(node, ctx, report) {
+  if (!node || typeof node !== 'object') return;
+
+  switch (node.type) {
+    case 'Identifier':
+      if (!isKnownName(node.name.toLowerCase(), ctx)) {
+        report('unknownIdentifier', new StudyEvaluationError(`Unknown identifier '${node.name}'`, node), node.name);
+      }
+      return;
+
+    case 'StringLiteral':
+      report('evaluation', new StudyEvaluationError('Strings cannot be used as numeric values', node));
+      return;
+
+    case 'MemberExpression': {
+      if (node.object.type === 'CallExpression') {
+        checkCall(node.object, ctx, report, node.property);
+        return;
       }
-      
-      const num = Number(lastValue);
-      if (isFinite(num)) {
-        const displayVal = Math.abs(num) < 0.01 ? num.toExponential(4) : num.toFixed(6);
-        console.log(`✅ Formula ${idx + 1} result: ${displayVal}`);
-        return num;
+      const path = node.object.type === 'Identifier' ? `${node.object.name}.${node.property}` : node.property;
+      if (MEMBER_CONSTANTS[path.toLowerCase()] === undefined) {
+        report('unknownIdentifier', new StudyEvaluationError(`Unknown constant '${path}'`, node), path);
       }
-      
-      console.warn(`⚠️  Formula ${idx + 1} returned non-finite: ${lastValue}`);
-      return null;
+      return;
+    }
+
+    case 'CallExpression':
+      checkCall(node, ctx, report);
+      return;
+
+    default:
+      ['argument', 'left', 'right', 'test', 'consequent', 'alternate', 'object', 'offset'].forEach(field => {
+        if (node[field]) checkExpression(node[field], ctx, report);
+      });
+  }
+}
+
+function checkCall(node, ctx, report, output) {
+  if (isPriceCall(node)) {
+    try {
+      if (output) throw new StudyEvaluationError(`${node.callee.name}() has no plot '${output}'`, node);
+      pricePeriod(node, ctx);
     } catch (err) {
-      console.error(`❌ Error evaluating formula ${idx + 1}:`, err.message);
-      return null;
+      report('evaluation', err);
+    }
+    return;
+  }
+
+  node.args.forEach(arg => checkExpression(arg, ctx, report));
+  Object.values(node.namedArgs).forEach(arg => checkExpression(arg, ctx, report));
+
+  if (node.callee.type !== 'Identifier') {
+    report('evaluation', new StudyEvaluationError('Method calls are only allowed as styling statements', node));
+    return;
+  }
+
+  const fn = FUNCTIONS[node.callee.name.toLowerCase()];
+  if (!fn) {
+    report('unknownFunction', new StudyEvaluationError(`Unknown function '${node.callee.name}'`, node.callee), node.callee.name);
+    return;
+  }
+
+  try {
+    argumentNodes(fn, node);
+    if (output || fn.outputs) selectOutput(fn, {}, output, node);
+  } catch (err) {
+    report('evaluation', err);
+  }
+}
+
+/**
+ * Validate a study script without running a scan
+ * Returns syntax errors, unknown identifiers/functions, unresolved defs and the plots/inputs found
+ */
+function validateScript(scriptText, userInputs = {}) {
+  const result = {
+    valid: false,
+    errors: [],
+    unknownIdentifiers: [],
+    unknownFunctions: [],
+    unresolvedDefs: [],
+    plots: [],
+    inputs: [],
+    defs: [],
+    declarations: []
+  };
+
+  const seen = new Set();
+  const report = (type, err, name) => {
+    const issue = { type, message: err.reason || err.message, line: err.line ?? null, column: err.column ?? null };
+    const key = `${issue.line}:${issue.column}:${issue.message}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    if (name) issue.name = name;
+    result.errors.push(issue);
+
+    const list = { unknownIdentifier: result.unknownIdentifiers, unknownFunction: result.unknownFunctions, unresolvedDef: result.unresolvedDefs }[type];
+    if (list && name && !list.includes(name)) list.push(name);
+  };
+
+  if (!scriptText || typeof scriptText !== 'string' || !scriptText.trim()) {
+    report('syntax', new Error('Script is empty'));
+    return result;
+  }
+
+  let program;
+  try {
+    program = parse(scriptText);
+  } catch (err) {
+    if (!(err instanceof ThinkScriptSyntaxError)) throw err;
+    report('syntax', err);
+    return result;
+  }
+
+  const study = collectStudy(program, userInputs, report);
+  result.plots = study.plots.map(p => ({ name: p.name, expression: p.exprRaw }));
+  result.inputs = study.inputList;
+  result.defs = Object.keys(study.defs);
+  result.declarations = study.declarations;
+
+  const assignedDefs = {};
+  Object.keys(study.defs).forEach(name => { if (study.defs[name]) assignedDefs[name] = study.defs[name]; });
+  const assignedPlots = study.plots.filter(p => p.expr);
+  const ctx = createEvaluationContext(
+    prepareCandles(SAMPLE_CANDLES),
+    createProgram({ defs: assignedDefs, inputs: study.inputs, plots: assignedPlots })
+  );
+
+  // String inputs (input period = "DAY";) are only valid where a string is expected
+  const isStringInput = (entry) => entry.kind === 'input' && entry.expr.type === 'StringLiteral';
+  Object.values(ctx.named).forEach(entry => {
+    if (!isStringInput(entry)) checkExpression(entry.expr, ctx, report);
+  });
+
+  // Dry run on sample candles catches what static checks can't (self-reference without offset, bad lengths)
+  Object.keys(ctx.named).forEach(key => {
+    const entry = ctx.named[key];
+    if (isStringInput(entry)) return;
+    startBudget(ctx);
+    try {
+      evaluateNamed(key, entry.expr, ctx);
+    } catch (err) {
+      if (!(err instanceof StudyEvaluationError)) throw err;
+      report(err instanceof StudyLimitError ? 'limit' : 'evaluation', err);
+      if (entry.kind === 'def' && !result.unresolvedDefs.includes(entry.name)) {
+        result.unresolvedDefs.push(entry.name);
+      }
     }
   });
 
-  return { labels, compiledCount: formulas.length };
+  if (study.plots.length === 0) {
+    report('evaluation', new Error('Script has no plots'));
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Study keys in scan order: study1, study2 ... study10 numerically, then any other keys as given
+ */
+function sortStudyKeys(keys) {
+  const number = (key) => {
+    const match = /^study(\d+)$/i.exec(key);
+    return match ? Number(match[1]) : Infinity;
+  };
+  return keys
+    .map((key, i) => ({ key, i, n: number(key) }))
+    .sort((a, b) => (a.n - b.n) || (a.i - b.i))
+    .map(entry => entry.key);
 }
 
 /**
@@ -592,64 +2016,58 @@ function evaluateFormulasOnCandles(candles, formulas = [], defs = {}, optionData
  */
 function evaluateRows(rows = [], studyScriptsFlat = [], studyScriptsRaw = {}) {
   let formulas = Array.isArray(studyScriptsFlat) ? [...studyScriptsFlat] : [];
-  
-  // If no flat formulas, extract from raw scripts
-  if ((!formulas || formulas.length === 0) && studyScriptsRaw && typeof studyScriptsRaw === 'object') {
-    console.log('📜 Extracting formulas from raw scripts...');
-    
-    for (let s = 1; s <= 5; s++) {
-      const key = `study${s}`;
+
+  // Collect plots, defs and inputs from all raw scripts
+  const allDefs = {};
+  const allInputs = {};
+  const rawPlots = [];
+  if (studyScriptsRaw && typeof studyScriptsRaw === 'object') {
+    for (const key of sortStudyKeys(Object.keys(studyScriptsRaw))) {
       const script = studyScriptsRaw[key];
       if (!script) continue;
-      
-      const { plots } = extractPlotExpressions(script);
-      for (const plot of plots) {
-        formulas.push(plot.exprRaw);
-        if (formulas.length >= 25) break;
+
+      try {
+        const { plots, defs, inputs } = extractPlotExpressions(script);
+        Object.assign(allDefs, defs);
+        Object.assign(allInputs, inputs);
+        rawPlots.push(...plots.map(p => ({ ...p, study: key })));
+      } catch (err) {
+        console.error(`❌ Could not parse ${key}:`, err.message);
       }
-      if (formulas.length >= 25) break;
     }
   }
 
-  if (!Array.isArray(formulas)) formulas = [];
-  if (formulas.length > 25) formulas = formulas.slice(0, 25);
+  // If no flat formulas, use the plots from the raw scripts
+  if (formulas.length === 0) {
+    console.log('📜 Extracting formulas from raw scripts...');
+    formulas = rawPlots;
+  }
 
   console.log(`🚀 Processing ${rows.length} rows with ${formulas.length} formulas`);
 
   const results = rows.map((row, rowIdx) => {
     const candles = Array.isArray(row.candles) ? row.candles : (row.candlesRaw || []);
-    
+
     if (candles.length === 0) {
       console.warn(`⚠️  Row ${rowIdx + 1} (${row.symbol}) has no candles`);
       return { symbol: row.symbol, labels: formulas.map(() => null) };
     }
-    
+
     console.log(`\n🎯 Processing ticker: ${row.symbol} (${candles.length} candles)`);
-    
-    // Collect all defs from all scripts
-    const allDefs = {};
-    if (studyScriptsRaw && typeof studyScriptsRaw === 'object') {
-      for (let s = 1; s <= 5; s++) {
-        const key = `study${s}`;
-        const script = studyScriptsRaw[key];
-        if (script) {
-          const { defs } = extractPlotExpressions(script);
-          Object.assign(allDefs, defs);
-        }
-      }
-    }
-    
-    const { labels } = evaluateFormulasOnCandles(candles, formulas, allDefs);
-    
+
+    const { labels } = evaluateFormulasOnCandles(candles, formulas, allDefs, {}, allInputs);
+
     const result = { symbol: row.symbol, labels: labels.slice() };
     labels.forEach((v, idx) => {
-      result[`study${idx + 1}`] = (v === null ? null : Number(v));
+      const value = (v === null ? null : Number(v));
+      result[`study${idx + 1}`] = value;
+      if (formulas[idx].study) result[`${formulas[idx].study}.${formulas[idx].name}`] = value;
     });
-    
-    console.log(`✅ ${row.symbol} completed:`, labels.slice(0, 3).map(v => 
+
+    console.log(`✅ ${row.symbol} completed:`, labels.slice(0, 3).map(v =>
       v === null ? 'null' : (Math.abs(v) < 0.01 ? v.toExponential(3) : v.toFixed(4))
     ));
-    
+
     return result;
   });
 
@@ -657,8 +2075,18 @@ function evaluateRows(rows = [], studyScriptsFlat = [], studyScriptsRaw = {}) {
 }
 
 module.exports = {
+  ThinkScriptSyntaxError,
+  StudyEvaluationError,
+  StudyLimitError,
+  DEFAULT_LIMITS,
   extractPlotExpressions,
-  normalizeFormula,
+  compileStudy,
+  needsDailyHistory,
+  prepareCandles,
+  withOptionSeries,
+  evaluateStudy,
+  validateScript,
   evaluateFormulasOnCandles,
-  evaluateRows
-};
\ No newline at end of file
+  evaluateRows,
+  sortStudyKeys
+};
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileStudy, prepareCandles, evaluateStudy, validateScript } = require('./stage4Engine');
+const { quietly } = require('../utils/testHelpers');
+
+// 15-minute bars from 9:30 ET on 2024-01-02, drifting up with a slow wave
+const makeCandles = (count) => Array.from({ length: count }, (_, i) => {
+  const close = 100 + Math.sin(i / 7) * 5 + i / 100;
+  return {
+    time: Date.UTC(2024, 0, 2, 14, 30) + i * 15 * 60 * 1000,
+    open: close - 0.3,
+    high: close + 1,
+    low: close - 1,
+    close,
+    volume: 1000 + (i % 50)
+  };
+});
+
+const run = (script, candles, options) =>
+  quietly(() => evaluateStudy(compileStudy(script), prepareCandles(candles), {}, options));
+
+test('plots return their last value', () => {
+  const candles = makeCandles(10);
+  const result = run('plot c = close; plot hl = (high + low) / 2; plot up = close > open;', candles);
+  const last = candles[candles.length - 1];
+  assert.deepEqual(result.statuses, ['ok', 'ok', 'ok']);
+  assert.equal(result.labels[0], last.close);
+  assert.equal(result.labels[1], (last.high + last.low) / 2);
+  assert.equal(result.labels[2], 1);
+});
+
+test('inputs, defs and offsets', () => {
+  const candles = makeCandles(10);
+  const result = run('input n = 2; def prev = close[n]; plot diff = close - prev;', candles);
+  assert.ok(Math.abs(result.labels[0] - (candles[9].close - candles[7].close)) < 1e-9);
+});
+
+test('user inputs override script defaults', () => {
+  const candles = makeCandles(30);
+  const program = compileStudy('input length = 5; plot a = Average(close, length);', { length: 3 });
+  const result = evaluateStudy(program, prepareCandles(candles));
+  const expected = (candles[27].close + candles[28].close + candles[29].close) / 3;
+  assert.ok(Math.abs(result.labels[0] - expected) < 1e-9);
+});
+
+test('builtins match straightforward implementations', () => {
+  const candles = makeCandles(40);
+  const closes = candles.map(c => c.close);
+  const result = run('plot a = Average(close, 10); plot h = Highest(high, 10); plot l = Lowest(low, 10); plot s = Sum(volume, 10);', candles);
+  const window = candles.slice(-10);
+  assert.ok(Math.abs(result.labels[0] - closes.slice(-10).reduce((a, b) => a + b, 0) / 10) < 1e-9);
+  assert.equal(result.labels[1], Math.max(...window.map(c => c.high)));
+  assert.equal(result.labels[2], Math.min(...window.map(c => c.low)));
+  assert.equal(result.labels[3], window.reduce((a, c) => a + c.volume, 0));
+});
+
+test('recursive defs carry values from bar to bar', () => {
+  const candles = makeCandles(20);
+  const result = run('def count = count[1] + 1; plot p = count;', candles);
+  assert.equal(result.labels[0], 20);
+
+  const ema = run('def e = CompoundValue(1, e[1] * 0.5 + close * 0.5, close); plot p = e;', candles);
+  let expected = candles[0].close;
+  for (let i = 1; i < candles.length; i++) expected = expected * 0.5 + candles[i].close * 0.5;
+  assert.ok(Math.abs(ema.labels[0] - expected) < 1e-9);
+});
+
+test('includeSeries returns every bar of plots and defs', () => {
+  const candles = makeCandles(5);
+  const result = run('def d = close * 2; plot p = d + 1;', candles, { includeSeries: true });
+  assert.equal(result.series.plots[0].data.length, 5);
+  assert.equal(result.series.defs[0].name, 'd');
+});
+
+test('an error in one plot leaves the others ok', () => {
+  const result = run('plot good = close; plot bad = Average(close, 0);', makeCandles(10));
+  assert.deepEqual(result.statuses, ['ok', 'error']);
+  assert.equal(result.labels[1], null);
+});
+
+test('validateScript reports unknown names', () => {
+  const report = validateScript('plot p = nosuchseries + 1;');
+  assert.equal(report.valid, false);
+  assert.deepEqual(report.unknownIdentifiers, ['nosuchseries']);
+});
+
+test('recursive defs cost a few operations per bar', () => {
+  const candles = makeCandles(5000);
+  const cum = run('def cum = cum[1] + volume; plot p = cum;', candles);
+  assert.deepEqual(cum.statuses, ['ok']);
+  assert.equal(cum.labels[0], candles.reduce((total, c) => total + c.volume, 0));
+
+  const ema = run('def e = CompoundValue(1, e[1] * 0.9 + close * 0.1, close); plot p = e;', candles);
+  assert.deepEqual(ema.statuses, ['ok']);
+
+  const windowed = run('def s = Average(close, 20) + s[1] * 0; plot p = s;', candles);
+  assert.deepEqual(windowed.statuses, ['ok']);
+  const expected = candles.slice(-20).reduce((total, c) => total + c.close, 0) / 20;
+  assert.ok(Math.abs(windowed.labels[0] - expected) < 1e-9);
+});
+
+test('long windows are charged one pass, not one window per bar', () => {
+  const candles = makeCandles(5000);
+  const result = run('plot a = Average(close, 4000); plot h = Highest(high, 4000); plot s = Sum(volume, 4000);', candles);
+  assert.deepEqual(result.statuses, ['ok', 'ok', 'ok']);
+  const window = candles.slice(-4000);
+  assert.ok(Math.abs(result.labels[0] - window.reduce((total, c) => total + c.close, 0) / 4000) < 1e-9);
+  assert.equal(result.labels[1], Math.max(...window.map(c => c.high)));
+});
+
+test('builtins that re-read their window per bar still hit the operation limit', () => {
+  const result = run('plot s = StDev(close, 4000);', makeCandles(5000), { limits: { maxOperations: 1000000 } });
+  assert.deepEqual(result.statuses, ['limit']);
+});
+
+test('a slow builtin times out mid-series', () => {
+  const started = Date.now();
+  const result = run('plot s = StDev(close, 2000);', makeCandles(5000), { limits: { timeoutMs: 5, maxOperations: 1e12 } });
+  assert.deepEqual(result.statuses, ['timeout']);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('VWAP over many bars stays within the time budget', () => {
+  const result = run('plot v = VWAP();', makeCandles(5000));
+  assert.deepEqual(result.statuses, ['ok']);
+});
+
+test('causal mode rejects anything that reads later bars', () => {
+  const candles = makeCandles(50);
+  const result = run(
+    'plot ok = close[1]; plot ahead = close[-1]; plot bands = BollingerBands(close, 2).UpperBand; plot hi = HighestAll(high); plot lo = LowestAll(low);',
+    candles,
+    { causal: true, includeSeries: true }
+  );
+  assert.deepEqual(result.statuses, ['ok', 'error', 'error', 'error', 'error']);
+  assert.match(result.series.plots[3].error, /HighestAll\(\) reads every bar/);
+  assert.match(result.series.plots[2].error, /positive displace/);
+
+  const open = run('plot hi = HighestAll(high);', candles);
+  assert.deepEqual(open.statuses, ['ok']);
+});
+
+test('options.deadline caps every formula of the evaluation', () => {
+  const result = run('plot a = close; plot b = close * 2;', makeCandles(10), { deadline: Date.now() - 1, includeSeries: true });
+  assert.deepEqual(result.statuses, ['timeout', 'timeout']);
+  assert.match(result.series.plots[0].error, /Ran out of time/);
+});
+
+test('secondary periods only know the candles so far of the bar in progress', () => {
+  const candles = makeCandles(6);
+  const result = run('plot p = close(period = "30 min"); plot h = high(period = "30 min")[1];', candles, { includeSeries: true });
+  const closes = result.series.plots[0].data.map(d => d.value);
+  // Two 15-minute candles per 30-minute bar: each candle sees its own close
+  assert.deepEqual(closes, candles.map(c => c.close));
+  const previousHigh = result.series.plots[1].data.map(d => d.value);
+  assert.equal(previousHigh[2], Math.max(candles[0].high, candles[1].high));
+  assert.equal(previousHigh[3], Math.max(candles[0].high, candles[1].high));
+});
+
+test('secondary-period studies over many candles stay within the time budget', () => {
+  const candles = makeCandles(4000);
+  const result = run('plot p = Average(close(period = "30 min"), 3); plot e = ExpAverage(close(period = "HOUR"), 5);', candles, { includeSeries: true });
+  assert.deepEqual(result.statuses, ['ok', 'ok']);
+  // The last candle closes a 30-minute bar (candles 3998 and 3999), so it sees the three full bars
+  const bars = [3994, 3996, 3998].map(i => candles[i + 1].close);
+  assert.ok(Math.abs(result.labels[0] - bars.reduce((a, b) => a + b, 0) / 3) < 1e-9);
+  const partial = result.series.plots[0].data[3998].value;
+  const partialBars = [candles[3995].close, candles[3997].close, candles[3998].close];
+  assert.ok(Math.abs(partial - partialBars.reduce((a, b) => a + b, 0) / 3) < 1e-9);
+});
+
+test('a bar in progress steps averages on from the last closed bar', () => {
+  const candles = makeCandles(400);
+  const script = 'def h = close(period = "HOUR"); plot e = ExpAverage(h, 5); plot w = WildersAverage(h - Average(h, 3), 4); plot r = CompoundValue(1, r[1] * 0.5 + h, h);';
+  const result = run(script, candles, { includeSeries: true });
+  assert.deepEqual(result.statuses, ['ok', 'ok', 'ok']);
+  // Each candle's value is what the chart showed when that candle was the last one
+  for (const c of [397, 398]) {
+    const sofar = run(script, candles.slice(0, c + 1));
+    result.series.plots.forEach((plot, p) => assert.ok(Math.abs(plot.data[c].value - sofar.labels[p]) < 1e-9));
+  }
+});
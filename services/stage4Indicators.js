@@ -0,0 +1,299 @@
+// backend/services/stage4Indicators.js
+// thinkorswim indicator math on plain number arrays (one value per candle)
+const { exchangeClock } = require('./stage4Timeframes');
+
+// AverageType.* and CrossingDirection.* constants as they appear in scripts
+const AVERAGE_TYPES = {
+  SIMPLE: 0,
+  EXPONENTIAL: 1,
+  WEIGHTED: 2,
+  WILDERS: 3,
+  HULL: 4
+};
+
+const CROSSING_DIRECTIONS = {
+  ANY: 0,
+  ABOVE: 1,
+  BELOW: -1
+};
+
+// Deadline (epoch ms) of the evaluation in progress, checked by the per-bar loops below so a
+// slow indicator stops mid-series instead of running past the formula's time budget
+let deadline = Infinity;
+
+class IndicatorTimeoutError extends Error {
+  constructor() {
+    super('Indicator ran past its deadline');
+    this.name = 'IndicatorTimeoutError';
+  }
+}
+
+/**
+ * Run fn with the per-bar loops stopping (IndicatorTimeoutError) once Date.now() passes `until`
+ */
+function withDeadline(until, fn) {
+  const previous = deadline;
+  deadline = until;
+  try {
+    return fn();
+  } finally {
+    deadline = previous;
+  }
+}
+
+// Reading the clock on every bar would cost more than most loop bodies, so look every 256 bars
+const checkDeadline = (i) => {
+  if ((i & 255) === 0 && Date.now() > deadline) throw new IndicatorTimeoutError();
+};
+
+/**
+ * Trailing window reducer; early bars use the partial window available
+ */
+function rollingWindow(values, length, reduce) {
+  const result = [];
+  for (let i = 0; i < values.length; i++) {
+    checkDeadline(i);
+    const window = values.slice(Math.max(0, i - length + 1), i + 1);
+    result.push(reduce(window));
+  }
+  return result;
+}
+
+const mean = (vals) => vals.reduce((a, b) => a + b, 0) / vals.length;
+const sum = (vals) => vals.reduce((a, b) => a + b, 0);
+
+/**
+ * Trailing sum in one pass, the same as rollingWindow(values, length, sum)
+ * NaN and infinities are counted instead of added, so they only spoil the windows holding them
+ */
+function movingSum(values, length) {
+  const result = [];
+  let total = 0;
+  let nan = 0;
+  let up = 0;
+  let down = 0;
+  const add = (v, sign) => {
+    if (Number.isNaN(v)) nan += sign;
+    else if (v === Infinity) up += sign;
+    else if (v === -Infinity) down += sign;
+    else total += sign * v;
+  };
+
+  for (let i = 0; i < values.length; i++) {
+    checkDeadline(i);
+    add(values[i], 1);
+    if (i >= length) add(values[i - length], -1);
+    // Sum each full window afresh once per `length` bars so rounding can't build up
+    if (i % length === length - 1) {
+      total = 0;
+      for (let k = i - length + 1; k <= i; k++) if (isFinite(values[k])) total += values[k];
+    }
+    result.push(nan > 0 || (up > 0 && down > 0) ? NaN : up > 0 ? Infinity : down > 0 ? -Infinity : total);
+  }
+  return result;
+}
+
+/**
+ * Trailing highest (direction 1) or lowest (-1) in one pass, keeping a queue of the bars that
+ * can still become the extreme; a window holding NaN is NaN, as with Math.max
+ */
+function movingExtreme(values, length, direction) {
+  const result = [];
+  const queue = [];
+  let head = 0;
+  let nan = 0;
+  const beats = direction > 0 ? (a, b) => a >= b : (a, b) => a <= b;
+
+  for (let i = 0; i < values.length; i++) {
+    checkDeadline(i);
+    const v = values[i];
+    if (Number.isNaN(v)) {
+      nan++;
+    } else {
+      while (queue.length > head && beats(v, values[queue[queue.length - 1]])) queue.pop();
+      queue.push(i);
+    }
+    if (i >= length && Number.isNaN(values[i - length])) nan--;
+    while (head < queue.length && queue[head] <= i - length) head++;
+    result.push(nan > 0 ? NaN : values[queue[head]]);
+  }
+  return result;
+}
+
+const highest = (values, length) => movingExtreme(values, length, 1);
+const lowest = (values, length) => movingExtreme(values, length, -1);
+
+// Population standard deviation, as thinkorswim's StDev
+const stdev = (vals) => {
+  const m = mean(vals);
+  return Math.sqrt(vals.reduce((acc, v) => acc + (v - m) * (v - m), 0) / vals.length);
+};
+
+const simpleAverage = (values, length) => movingSum(values, length).map((total, i) => total / Math.min(i + 1, length));
+
+/**
+ * Recursive smoothing seeded with the first bar: out[i] = alpha * x[i] + (1 - alpha) * out[i - 1]
+ */
+function smooth(values, alpha) {
+  const result = [];
+  values.forEach((v, i) => {
+    checkDeadline(i);
+    result.push(i === 0 ? v : alpha * v + (1 - alpha) * result[i - 1]);
+  });
+  return result;
+}
+
+const expAverage = (values, length) => smooth(values, 2 / (length + 1));
+const wildersAverage = (values, length) => smooth(values, 1 / length);
+
+// Linearly weighted: newest bar weighs `length`, oldest in the window weighs 1
+const weightedAverage = (values, length) => rollingWindow(values, length, (vals) => {
+  let num = 0;
+  let den = 0;
+  vals.forEach((v, k) => {
+    const weight = k + 1;
+    num += v * weight;
+    den += weight;
+  });
+  return num / den;
+});
+
+const hullAverage = (values, length) => {
+  const half = weightedAverage(values, Math.max(1, Math.round(length / 2)));
+  const full = weightedAverage(values, length);
+  const raw = half.map((h, i) => 2 * h - full[i]);
+  return weightedAverage(raw, Math.max(1, Math.round(Math.sqrt(length))));
+};
+
+function movingAverage(averageType, values, length) {
+  switch (averageType) {
+    case AVERAGE_TYPES.SIMPLE: return simpleAverage(values, length);
+    case AVERAGE_TYPES.EXPONENTIAL: return expAverage(values, length);
+    case AVERAGE_TYPES.WEIGHTED: return weightedAverage(values, length);
+    case AVERAGE_TYPES.WILDERS: return wildersAverage(values, length);
+    case AVERAGE_TYPES.HULL: return hullAverage(values, length);
+    default: throw new Error(`Unknown average type ${averageType}`);
+  }
+}
+
+// Bar-to-bar change; the first bar has no previous bar so its change is 0
+const change = (values) => values.map((v, i) => (i === 0 ? 0 : v - values[i - 1]));
+
+/**
+ * TrueRange(high, close, low): max(high, close[1]) - min(low, close[1])
+ */
+function trueRange(high, close, low) {
+  return high.map((h, i) => {
+    if (i === 0) return h - low[i];
+    return Math.max(h, close[i - 1]) - Math.min(low[i], close[i - 1]);
+  });
+}
+
+/**
+ * RSI as in the thinkorswim study: 50 * (NetChgAvg / TotChgAvg + 1)
+ */
+function rsi(price, length, averageType) {
+  const chg = change(price);
+  const netChgAvg = movingAverage(averageType, chg, length);
+  const totChgAvg = movingAverage(averageType, chg.map(Math.abs), length);
+  return netChgAvg.map((net, i) => {
+    const ratio = totChgAvg[i] !== 0 ? net / totChgAvg[i] : 0;
+    return 50 * (ratio + 1);
+  });
+}
+
+function macd(close, fastLength, slowLength, macdLength, averageType) {
+  const fast = movingAverage(averageType, close, fastLength);
+  const slow = movingAverage(averageType, close, slowLength);
+  const value = fast.map((f, i) => f - slow[i]);
+  const avg = movingAverage(averageType, value, macdLength);
+  return { Value: value, Avg: avg, Diff: value.map((v, i) => v - avg[i]) };
+}
+
+function bollingerBands(price, length, numDevDn, numDevUp, averageType) {
+  const mid = movingAverage(averageType, price, length);
+  const dev = rollingWindow(price, length, stdev);
+  return {
+    LowerBand: mid.map((m, i) => m + numDevDn * dev[i]),
+    MidLine: mid,
+    UpperBand: mid.map((m, i) => m + numDevUp * dev[i])
+  };
+}
+
+// Trading day of a candle timestamp in exchange time
+const tradingDay = (time) => exchangeClock(time)?.day ?? null;
+
+/**
+ * Volume-weighted average of hlc3, reset at the start of every trading day
+ */
+function vwap(high, low, close, volume, times, numDevDn, numDevUp) {
+  const out = { VWAP: [], UpperBand: [], LowerBand: [] };
+  let day = null;
+  let volSum = 0;
+  let pvSum = 0;
+  let p2vSum = 0;
+
+  close.forEach((c, i) => {
+    checkDeadline(i);
+    const barDay = tradingDay(times[i]);
+    if (i === 0 || barDay !== day) {
+      day = barDay;
+      volSum = 0;
+      pvSum = 0;
+      p2vSum = 0;
+    }
+
+    const price = (high[i] + low[i] + c) / 3;
+    volSum += volume[i];
+    pvSum += price * volume[i];
+    p2vSum += price * price * volume[i];
+
+    const value = volSum > 0 ? pvSum / volSum : price;
+    const deviation = volSum > 0 ? Math.sqrt(Math.max(p2vSum / volSum - value * value, 0)) : 0;
+    out.VWAP.push(value);
+    out.UpperBand.push(value + numDevUp * deviation);
+    out.LowerBand.push(value + numDevDn * deviation);
+  });
+
+  return out;
+}
+
+/**
+ * 1 on the bar where data1 crosses data2 in the given direction, else 0
+ */
+function crosses(data1, data2, direction) {
+  return data1.map((a, i) => {
+    if (i === 0) return 0;
+    const b = data2[i];
+    const above = a > b && data1[i - 1] <= data2[i - 1];
+    const below = a < b && data1[i - 1] >= data2[i - 1];
+    if (direction === CROSSING_DIRECTIONS.ABOVE) return above ? 1 : 0;
+    if (direction === CROSSING_DIRECTIONS.BELOW) return below ? 1 : 0;
+    return above || below ? 1 : 0;
+  });
+}
+
+module.exports = {
+  AVERAGE_TYPES,
+  CROSSING_DIRECTIONS,
+  IndicatorTimeoutError,
+  withDeadline,
+  rollingWindow,
+  mean,
+  sum,
+  movingSum,
+  highest,
+  lowest,
+  stdev,
+  simpleAverage,
+  expAverage,
+  wildersAverage,
+  weightedAverage,
+  movingAverage,
+  trueRange,
+  rsi,
+  macd,
+  bollingerBands,
+  vwap,
+  crosses
+};
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { vwap } = require('./stage4Indicators');
+
+test('vwap resets at the start of each exchange trading day', () => {
+  // 15:45 and 15:59 ET on Jan 2, then 9:30 ET on Jan 3 (20:59 UTC is still Jan 2 in New York)
+  const times = [Date.UTC(2024, 0, 2, 20, 45), Date.UTC(2024, 0, 2, 20, 59), Date.UTC(2024, 0, 3, 14, 30)];
+  const price = [10, 20, 30];
+  const volume = [100, 300, 50];
+  const out = vwap(price, price, price, volume, times, -2, 2);
+  assert.equal(out.VWAP[0], 10);
+  assert.equal(out.VWAP[1], (10 * 100 + 20 * 300) / 400);
+  assert.equal(out.VWAP[2], 30);
+});
+
+test('vwap treats bars without a timestamp as one day', () => {
+  const price = [10, 20];
+  const out = vwap(price, price, price, [1, 1], [undefined, undefined], -2, 2);
+  assert.equal(out.VWAP[1], 15);
+});
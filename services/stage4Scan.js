@@ -0,0 +1,524 @@
+// backend/services/stage4Scan.js
+// Stage 4 scan over Stage 3 option rows, shared by POST /scan and background scan jobs
+const {
+  compileStudy,
+  needsDailyHistory,
+  prepareCandles,
+  withOptionSeries,
+  evaluateStudy,
+  sortStudyKeys
+} = require('./stage4Engine');
+const { HistoryRequestError, parseHistorySpec, getMultipleHistory, getMultipleDailyHistory, toCandles } = require('./intradayService');
+const { resolveStudyConfigs } = require('./studyService');
+const { parseFilter, filterConditions, evaluateFilter } = require('./scanFilter');
+const { loadOptionBars, alignOptionBars } = require('./optionSnapshotService');
+const { ScoringError, parseScoring, scoreRows, parseSort, sortRows } = require('./scanScoring');
+const { OptionSymbolError, parseOptionSymbol, enrichOptionRow } = require('../utils/optionSymbol');
+
+/**
+ * A scan request that can't run as given; details are merged into the error response
+ */
+class ScanRequestError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'ScanRequestError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class ScanCancelledError extends Error {
+  constructor() {
+    super('Scan cancelled');
+    this.name = 'ScanCancelledError';
+  }
+}
+
+// Flat study1-study25 row fields from before named columns: five per study1-study5
+const LEGACY_STUDIES = 5;
+const LEGACY_PLOTS = 5;
+
+/**
+ * Reject filter conditions that can never match: unknown studies, plot numbers past the
+ * study's plots, or plot names the study doesn't define
+ * studyNames maps lower-cased study keys and names to study keys
+ */
+const checkFilterCondition = (condition, compiled, studyNames) => {
+  const entry = compiled[studyNames.get(condition.study.toLowerCase())];
+  if (!entry) return `${condition.study} is not one of the studies in this scan`;
+  if (!entry.program) return null;
+
+  const plots = entry.program.formulas;
+  if (condition.plot.index !== undefined) {
+    return condition.plot.index >= 1 && condition.plot.index <= plots.length
+      ? null
+      : `${condition.text}: ${condition.study} has ${plots.length} plot${plots.length === 1 ? '' : 's'}`;
+  }
+  const name = condition.plot.name.toLowerCase();
+  const found = plots.some(f => f.name.toLowerCase() === name);
+  return found ? null : `${condition.study} has no plot '${condition.plot.name}'`;
+};
+
+/**
+ * Threshold status of one plot value: within, above or below its { min, max }, noFilter without
+ * bounds, unknown without a value. Plots stopped by the execution budget keep their own status
+ */
+function thresholdStatus(value, threshold, evaluationStatus) {
+  if (evaluationStatus === 'limit' || evaluationStatus === 'timeout') return evaluationStatus;
+  if (value === null || value === undefined) return 'unknown';
+
+  const hasMin = threshold.min !== null && threshold.min !== undefined;
+  const hasMax = threshold.max !== null && threshold.max !== undefined;
+  if (hasMin && value < threshold.min) return 'below';
+  if (hasMax && value > threshold.max) return 'above';
+  return hasMin || hasMax ? 'within' : 'noFilter';
+}
+
+/**
+ * Result columns, one per plot, keyed "<study name>.<plot name>" (RSIStudy.Signal)
+ * A study is named by its "name", its saved study's name, or else its key; repeated names get _2, _3...
+ * alias is the old flat studyN field, for plots 1-5 of study1-study5
+ */
+const buildColumns = (studyKeys, studies, compiled) => {
+  const names = {};
+  const used = new Map();
+  studyKeys.forEach(studyKey => {
+    const base = String(studies[studyKey]?.name || studies[studyKey]?.studyName || studyKey);
+    const count = (used.get(base.toLowerCase()) || 0) + 1;
+    used.set(base.toLowerCase(), count);
+    names[studyKey] = count === 1 ? base : `${base}_${count}`;
+  });
+
+  const columns = [];
+  studyKeys.forEach(studyKey => {
+    const program = compiled[studyKey]?.program;
+    if (!program) return;
+    const slot = /^study(\d+)$/i.exec(studyKey);
+    program.formulas.forEach((plot, j) => {
+      const legacy = slot && Number(slot[1]) >= 1 && Number(slot[1]) <= LEGACY_STUDIES && j < LEGACY_PLOTS;
+      columns.push({
+        key: `${names[studyKey]}.${plot.name}`,
+        study: names[studyKey],
+        studyKey,
+        plot: plot.name,
+        index: j + 1,
+        alias: legacy ? `study${(Number(slot[1]) - 1) * LEGACY_PLOTS + j + 1}` : undefined
+      });
+    });
+  });
+
+  return { names, columns };
+};
+
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * One page of rows with its position in the whole result
+ */
+const paginateRows = (rows, page, limit) => ({
+  rows: rows.slice((page - 1) * limit, page * limit),
+  pagination: { page, limit, total: rows.length, pages: Math.ceil(rows.length / limit) }
+});
+
+// The chain's own underlying (e.g. $SPX for SPXW contracts) wins over the one parsed from the symbol
+const underlyingOf = (r) => (r.sourceSymbol || r.underlying).toUpperCase();
+
+/**
+ * Check a scan request and compile its studies; quick, so jobs can reject bad requests up front
+ * Body: { rows, studies, history, includeSeries, filter, scoring, sort, page, limit, scanName, save }
+ * history is a price-history spec as /api/intraday takes it ({ interval, periodType, period, ... });
+ * a bare interval still works and is ignored when history is given
+ * Throws ScanRequestError, or StudyAccessError for saved studies the user can't read
+ */
+async function prepareScan(body, user) {
+  const { rows = [], interval = 15, includeSeries = false } = body || {};
+
+  // Saved studies ({ studyId, version }) resolve to their scripts; inline scripts pass through
+  const studies = await resolveStudyConfigs(body?.studies || {}, user);
+
+  console.log('🔥 Stage 4 Scan Request:', {
+    rowCount: rows.length,
+    history: body?.history ?? { interval },
+    studyKeys: Object.keys(studies)
+  });
+
+  if (!Array.isArray(rows) || rows.length === 0) throw new ScanRequestError('rows required');
+
+  let history;
+  try {
+    history = parseHistorySpec(body.history ?? { interval });
+  } catch (err) {
+    if (!(err instanceof HistoryRequestError)) throw err;
+    throw new ScanRequestError(`Invalid history: ${err.message}`);
+  }
+
+  // Optional pass/fail filter over the labels: study1.plot2 within AND study3.plot1 above
+  let filter = null;
+  if (body.filter !== undefined && body.filter !== null && body.filter !== '') {
+    try {
+      filter = parseFilter(body.filter);
+    } catch (err) {
+      throw new ScanRequestError(`Invalid filter: ${err.reason || err.message}`, 400, { line: err.line, column: err.column });
+    }
+  }
+
+  // 📹 Every row needs a well-formed OCC symbol; underlying, expiration, type and strike come from it
+  const scanRows = [];
+  const invalidSymbols = [];
+  rows.forEach((r, index) => {
+    try {
+      scanRows.push(enrichOptionRow(r));
+    } catch (err) {
+      if (!(err instanceof OptionSymbolError)) throw err;
+      invalidSymbols.push({ index, symbol: r?.symbol ?? null, error: err.message });
+    }
+  });
+  if (invalidSymbols.length > 0) {
+    throw new ScanRequestError(`${invalidSymbols.length} row(s) have malformed option symbols`, 400, { invalidSymbols });
+  }
+
+  const underlyings = [...new Set(scanRows.map(underlyingOf))];
+  console.log('📊 Grouped by underlyings:', underlyings);
+
+  // 📹 Compile every study once for the whole scan
+  const studyKeys = sortStudyKeys(Object.keys(studies));
+  const compiled = {};
+  studyKeys.forEach(studyKey => {
+    const formula = studies[studyKey]?.formula || '';
+    if (!formula || String(formula).trim() === '') return;
+
+    try {
+      compiled[studyKey] = { program: compileStudy(formula, studies[studyKey].inputs || {}) };
+    } catch (err) {
+      console.error(`❌ Error compiling ${studyKey}:`, err.message);
+      compiled[studyKey] = { error: err };
+    }
+  });
+
+  // Recorded option bars are minute bars, so option series can't line up with daily or longer candles
+  if (history.frequencyType !== 'minute' && Object.values(compiled).some(c => c.program?.usesOptionSeries)) {
+    throw new ScanRequestError('Studies that read option series need minute bars');
+  }
+
+  const { names, columns } = buildColumns(studyKeys, studies, compiled);
+
+  // Filters can name a study by key (study1) or by name (RSIStudy)
+  const studyNames = new Map();
+  studyKeys.forEach(studyKey => {
+    studyNames.set(studyKey.toLowerCase(), studyKey);
+    if (!studyNames.has(names[studyKey].toLowerCase())) studyNames.set(names[studyKey].toLowerCase(), studyKey);
+  });
+
+  if (filter) {
+    const problem = filterConditions(filter).map(c => checkFilterCondition(c, compiled, studyNames)).find(Boolean);
+    if (problem) throw new ScanRequestError(`Invalid filter: ${problem}`);
+  }
+
+  // Optional composite score and server-side order; scored scans sort best first unless told otherwise
+  const readSpec = (what, parse) => {
+    try {
+      return parse();
+    } catch (err) {
+      if (!(err instanceof ScoringError)) throw err;
+      throw new ScanRequestError(`Invalid ${what}: ${err.message}`);
+    }
+  };
+  const scoring = body.scoring === undefined || body.scoring === null
+    ? null
+    : readSpec('scoring', () => parseScoring(body.scoring, columns, studyNames));
+  const sort = body.sort === undefined || body.sort === null
+    ? (scoring ? { field: 'score', order: 'desc' } : null)
+    : readSpec('sort', () => parseSort(body.sort, columns, studyNames, Boolean(scoring)));
+
+  // Signed-in users' runs are saved unless save is false; anonymous runs are never saved, since
+  // only their owner can read a run. scanName groups runs of the same scan for diffs
+  if (body.save === true && !user) throw new ScanRequestError('Sign in to save scan runs', 401);
+  const scanName = body.scanName === undefined || body.scanName === null ? null : body.scanName;
+  if (scanName !== null && (typeof scanName !== 'string' || !scanName.trim() || scanName.length > 100)) {
+    throw new ScanRequestError('scanName must be a non-empty string of at most 100 characters');
+  }
+
+  // Pages only when asked for, so existing clients still get every row
+  let page = null;
+  if (body.page !== undefined || body.limit !== undefined) {
+    page = {
+      page: Math.max(1, parseInt(body.page) || 1),
+      limit: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(body.limit) || 100))
+    };
+  }
+
+  return {
+    rows: scanRows,
+    history,
+    // Bar minutes, for saved runs and recorded option bars; null for daily or longer bars
+    interval: history.frequencyType === 'minute' ? history.frequency : null,
+    includeSeries,
+    studies,
+    studyKeys,
+    studyNames,
+    columns,
+    filter,
+    filterText: body.filter,
+    scoring,
+    sort,
+    page,
+    scanName: scanName && scanName.trim(),
+    save: Boolean(user) && body.save !== false,
+    compiled,
+    underlyings
+  };
+}
+
+/**
+ * Fetch candles and evaluate every row of a prepared scan
+ * onProgress({ phase: fetching|evaluating|done, rowsTotal, rowsDone, underlyingsTotal, underlyingsFetched, errors }) is called as
+ * work completes; when isCancelled() turns true the scan stops with ScanCancelledError
+ */
+async function executeScan(plan, { onProgress = () => {}, isCancelled = () => false } = {}) {
+  const { rows, history, interval, includeSeries, studies, studyKeys, studyNames, columns, filter, scoring, sort, compiled, underlyings } = plan;
+
+  const errors = [];
+  const progress = {
+    phase: 'fetching',
+    rowsTotal: rows.length,
+    rowsDone: 0,
+    underlyingsTotal: underlyings.length,
+    underlyingsFetched: 0,
+    errors
+  };
+  const checkCancelled = () => {
+    if (isCancelled()) throw new ScanCancelledError();
+  };
+  onProgress(progress);
+
+  // 📹 Fetch price history for all underlyings
+  const multi = await getMultipleHistory(underlyings, history, () => {
+    progress.underlyingsFetched++;
+    onProgress(progress);
+  });
+  checkCancelled();
+
+  // Studies reading day/week/month periods on intraday bars also need daily candles before them
+  const historyByUnderlying = {};
+  if (history.frequencyType === 'minute' && Object.values(compiled).some(c => c.program && needsDailyHistory(c.program))) {
+    const daily = await getMultipleDailyHistory(underlyings);
+    daily.forEach(item => {
+      if (item.error) console.warn(`⚠️  No daily history for ${item.symbol}:`, item.error);
+      else historyByUnderlying[item.symbol.toUpperCase()] = toCandles(item.data);
+    });
+    checkCancelled();
+  }
+
+  // Price series by underlying, built once and shared by every row
+  const candlesByUnderlying = {};
+
+  for (const item of multi) {
+    const u = item.symbol.toUpperCase();
+
+    if (item.error) {
+      console.error(`❌ Failed to fetch price history for ${u}:`, item.error);
+      continue;
+    }
+
+    const candles = toCandles(item.data);
+
+    if (candles.length > 0) {
+      candlesByUnderlying[u] = prepareCandles(candles, historyByUnderlying[u]);
+      console.log(`✅ Loaded ${candles.length} candles for ${u}`);
+    }
+  }
+
+  // Studies reading mark, bid/ask, greeks or oi see each contract's recorded bars
+  let barsByContract = null;
+  if (Object.values(compiled).some(c => c.program?.usesOptionSeries)) {
+    const loaded = Object.values(candlesByUnderlying);
+    const contracts = [...new Set(rows.map(r => parseOptionSymbol(r.symbol).symbol))];
+    barsByContract = {};
+    if (loaded.length > 0 && contracts.length > 0) {
+      const from = Math.min(...loaded.map(p => new Date(p.times[0]).getTime()));
+      const to = Math.max(...loaded.map(p => new Date(p.times[p.length - 1]).getTime()));
+      try {
+        barsByContract = await loadOptionBars(contracts, interval, from, to);
+        console.log(`📸 Loaded option bars for ${Object.keys(barsByContract).length}/${contracts.length} contracts`);
+      } catch (err) {
+        console.warn('⚠️  Could not load option bars:', err.message);
+      }
+    }
+  }
+
+  // Results of option-independent studies, keyed by study and underlying
+  const shared = new Map();
+
+  const resultRows = [];
+  progress.phase = 'evaluating';
+  onProgress(progress);
+
+  // With a filter only matching rows are returned, each with its passed/failed conditions
+  const addRow = (resultRow) => {
+    if (!filter) return resultRows.push(resultRow);
+    const labels = {};
+    studyNames.forEach((studyKey, name) => { labels[name] = resultRow.studyLabels?.[studyKey]; });
+    const outcome = evaluateFilter(filter, labels);
+    if (outcome.passed) resultRows.push({ ...resultRow, filter: outcome });
+  };
+
+  // Named columns for a row, plus the old study1-study25 fields for older clients
+  const rowColumns = (studyLabels) => {
+    const values = {};
+    for (let i = 1; i <= LEGACY_STUDIES * LEGACY_PLOTS; i++) values[`study${i}`] = null;
+    columns.forEach(col => {
+      const label = studyLabels[col.studyKey]?.[col.index - 1];
+      const value = label && label.value !== null && label.value !== undefined ? Number(label.value) : null;
+      values[col.key] = value;
+      if (col.alias) values[col.alias] = value;
+    });
+    return values;
+  };
+
+  // ✅ CRITICAL FIX: Process each row individually instead of grouping
+  for (const row of rows) {
+    // Give other requests a turn between rows so a long scan doesn't hold the event loop
+    await new Promise(resolve => setImmediate(resolve));
+    checkCancelled();
+
+    const u = underlyingOf(row);
+
+    const prepared = candlesByUnderlying[u];
+
+    if (!prepared || prepared.length === 0) {
+      console.warn(`⚠️  No candles available for ${row.symbol} (underlying: ${u})`);
+      errors.push({ symbol: row.symbol, error: 'No intraday data available' });
+
+      // Still add the row but with null study values
+      addRow({ ...row, ...rowColumns({}), underlying: u });
+      progress.rowsDone++;
+      onProgress(progress);
+      continue;
+    }
+
+    console.log(`🎯 Processing ${row.symbol} (${u}): ${prepared.length} candles`);
+
+    // The contract's own series, lined up with the underlying's candles on first use
+    let contractPrepared = null;
+    const preparedFor = (program) => {
+      if (!program.usesOptionSeries) return prepared;
+      if (!contractPrepared) {
+        const bars = barsByContract[parseOptionSymbol(row.symbol).symbol];
+        contractPrepared = withOptionSeries(prepared, alignOptionBars(prepared.times, bars));
+      }
+      return contractPrepared;
+    };
+
+    // 📹 Evaluate every study for THIS specific row
+    const studyLabels = {};
+    const studySeries = {};
+
+    for (const studyKey of studyKeys) {
+      const cfg = studies[studyKey] || {};
+      const thresholds = Array.isArray(cfg.thresholds) ? cfg.thresholds : [];
+
+      if (!compiled[studyKey]) {
+        // No formula provided, skip this study
+        studyLabels[studyKey] = [];
+        continue;
+      }
+
+      const { program, error } = compiled[studyKey];
+      try {
+        if (error) throw error;
+
+        // Option-specific data only matters to studies that read option fields
+        const optionData = {
+          strikePrice: row.strikePrice || row.strike || 0,
+          mark: row.mark || 0,
+          bid: row.bid || 0,
+          ask: row.ask || 0,
+          delta: row.delta || 0,
+          gamma: row.gamma || 0,
+          theta: row.theta || 0,
+          vega: row.vega || 0,
+          impliedVolatility: row.impliedVolatility || row.volatility || 0
+        };
+        
+        const shareKey = `${studyKey}:${u}`;
+        let result = program.usesOptionData ? null : shared.get(shareKey);
+        if (!result) {
+          result = evaluateStudy(program, preparedFor(program), optionData, { includeSeries });
+          if (!program.usesOptionData) shared.set(shareKey, result);
+        }
+        const { labels, statuses, series } = result;
+        if (includeSeries) studySeries[studyKey] = series;
+
+        // Create label objects with threshold evaluation
+        studyLabels[studyKey] = labels.map((v, j) => {
+          const thr = thresholds[j] || { min: null, max: null };
+          const status = thresholdStatus(v, thr, statuses[j]);
+          return { name: program.formulas[j]?.name, value: v, min: thr.min, max: thr.max, status };
+        });
+
+      } catch (err) {
+        console.error(`❌ Error evaluating ${studyKey} for ${row.symbol}:`, err.message);
+        studyLabels[studyKey] = (program ? program.formulas : [{}]).map(f => ({
+          name: f.name,
+          value: null,
+          status: 'error'
+        }));
+      }
+    }
+
+    addRow({
+      ...row,
+      ...rowColumns(studyLabels), // RSIStudy.Signal..., and study1-study25 - unique per row!
+      studyLabels, // Also keep nested structure for debugging
+      ...(includeSeries ? { studySeries } : {}),
+      underlying: u
+    });
+    progress.rowsDone++;
+    onProgress(progress);
+  }
+
+  if (scoring) scoreRows(resultRows, scoring);
+  if (sort) sortRows(resultRows, sort);
+
+  progress.phase = 'done';
+  onProgress(progress);
+
+  console.log(`✅ Stage 4 scan complete: ${rows.length} rows processed${filter ? `, ${resultRows.length} matched the filter` : ''}`);
+
+  if (errors.length > 0) {
+    console.warn('⚠️  Some symbols had errors:', errors);
+  }
+
+  // Which saved version each study ran, so clients can tell when "latest" moved
+  const studyVersions = {};
+  Object.keys(studies).forEach(key => {
+    const cfg = studies[key];
+    if (cfg?.studyId) studyVersions[key] = { studyId: cfg.studyId, name: cfg.studyName, version: cfg.version };
+  });
+
+  return {
+    rows: resultRows,
+    columns: columns.map(({ key, study, plot, alias }) => ({ key, study, plot, alias })),
+    ...(Object.keys(studyVersions).length > 0 ? { studyVersions } : {}),
+    ...(filter ? { filter: { expression: plan.filterText, matched: resultRows.length, total: rows.length } } : {}),
+    ...(scoring ? {
+      scoring: {
+        normalize: scoring.normalize,
+        weights: scoring.terms.map(t => ({ column: t.column.key, weight: t.weight, status: t.status }))
+      }
+    } : {}),
+    ...(sort ? { sort } : {}),
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+module.exports = {
+  ScanRequestError,
+  ScanCancelledError,
+  MAX_PAGE_SIZE,
+  checkFilterCondition,
+  thresholdStatus,
+  paginateRows,
+  prepareScan,
+  executeScan
+};
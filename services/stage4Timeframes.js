@@ -0,0 +1,337 @@
+// backend/services/stage4Timeframes.js
+// Secondary aggregation periods: resample base candles into higher-timeframe buckets
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// AggregationPeriod.* constants, in milliseconds as in thinkorswim
+const AGGREGATION_PERIODS = {
+  MIN: MINUTE,
+  TWO_MIN: 2 * MINUTE,
+  THREE_MIN: 3 * MINUTE,
+  FOUR_MIN: 4 * MINUTE,
+  FIVE_MIN: 5 * MINUTE,
+  TEN_MIN: 10 * MINUTE,
+  FIFTEEN_MIN: 15 * MINUTE,
+  TWENTY_MIN: 20 * MINUTE,
+  THIRTY_MIN: 30 * MINUTE,
+  HOUR: 60 * MINUTE,
+  TWO_HOURS: 120 * MINUTE,
+  FOUR_HOURS: 240 * MINUTE,
+  DAY,
+  TWO_DAYS: 2 * DAY,
+  THREE_DAYS: 3 * DAY,
+  FOUR_DAYS: 4 * DAY,
+  WEEK: 7 * DAY,
+  MONTH: 30 * DAY
+};
+
+const UNITS = { min: MINUTE, hour: 60 * MINUTE, day: DAY, week: 7 * DAY, month: 30 * DAY };
+
+// Regular session in exchange minutes since midnight; intraday buckets line up with the
+// 9:30 ET open, like thinkorswim's hourly bars
+const SESSION_OPEN_MINUTES = 9 * 60 + 30;
+const SESSION_CLOSE_MINUTES = 16 * 60;
+// Extended hours: pre-market from 4:00 ET, post-market until 20:00 ET
+const PRE_MARKET_OPEN_MINUTES = 4 * 60;
+const POST_MARKET_CLOSE_MINUTES = 20 * 60;
+
+/**
+ * Period in milliseconds from "DAY", "TWO_DAYS", "15 min", "4 hours"...; null when unrecognised
+ */
+function parsePeriod(text) {
+  const value = String(text).trim();
+  const key = value.toUpperCase().replace(/\s+/g, '_');
+  if (AGGREGATION_PERIODS[key] !== undefined) return AGGREGATION_PERIODS[key];
+
+  const match = /^(\d+)?\s*(min|minute|hour|day|week|month)s?$/i.exec(value);
+  if (!match) return null;
+  return Number(match[1] || 1) * UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Readable name for messages: 3600000 -> "HOUR", 5400000 -> "90 min"
+ */
+function periodName(period) {
+  const name = Object.keys(AGGREGATION_PERIODS).find(k => AGGREGATION_PERIODS[k] === period);
+  return name || `${Math.round(period / MINUTE)} min`;
+}
+
+const clockFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const HOUR = 60 * MINUTE;
+// Exchange time's UTC offset by UTC hour; daylight saving starts and ends on the hour, so one
+// Intl lookup per hour serves every candle in it
+const hourOffsets = new Map();
+
+function exchangeOffset(ms) {
+  const hour = Math.floor(ms / HOUR);
+  let offset = hourOffsets.get(hour);
+  if (offset === undefined) {
+    const parts = {};
+    clockFormat.formatToParts(new Date(hour * HOUR)).forEach(p => { parts[p.type] = Number(p.value); });
+    offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - hour * HOUR;
+    if (hourOffsets.size >= 100000) hourOffsets.clear();
+    hourOffsets.set(hour, offset);
+  }
+  return offset;
+}
+
+/**
+ * Exchange-time calendar day and minutes since midnight for a candle timestamp
+ */
+function exchangeClock(time) {
+  if (time === undefined || time === null || time === '') return null;
+  const ms = new Date(typeof time === 'number' ? time : String(time)).getTime();
+  if (isNaN(ms)) return null;
+
+  const local = new Date(ms + exchangeOffset(ms));
+  return {
+    day: local.toISOString().slice(0, 10),
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+  };
+}
+
+// Early closes end the regular session at 13:00 ET and extended hours at 17:00 ET
+const EARLY_CLOSE_MINUTES = 13 * 60;
+const EARLY_POST_MARKET_CLOSE_MINUTES = 17 * 60;
+// NYSE closures outside the yearly rules (storms, national days of mourning)
+const SPECIAL_CLOSURES = ['2012-10-29', '2012-10-30', '2018-12-05', '2025-01-09'];
+
+const isoDay = (year, month, date) => new Date(Date.UTC(year, month - 1, date)).toISOString().slice(0, 10);
+
+// nth weekday (0 = Sunday) of a month; n = -1 is the last one
+const nthWeekday = (year, month, weekday, n) => {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return isoDay(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDate = new Date(Date.UTC(year, month, 0));
+  return isoDay(year, month, lastDate.getUTCDate() - ((lastDate.getUTCDay() - weekday + 7) % 7));
+};
+
+// Western Easter Sunday (anonymous Gregorian algorithm)
+const easter = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const h = (19 * a + b - Math.floor(b / 4) - Math.floor((b - Math.floor((8 * b + 13) / 25)) / 3) + 15) % 30;
+  const l = (32 + 2 * (b % 4) + 2 * Math.floor(c / 4) - h - (c % 4)) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  return Date.UTC(year, month - 1, ((h + l - 7 * m + 114) % 31) + 1);
+};
+
+// A fixed-date holiday moves to Friday when it falls on a Saturday and to Monday on a Sunday
+const observed = (year, month, date) => {
+  const weekday = new Date(Date.UTC(year, month - 1, date)).getUTCDay();
+  return isoDay(year, month, date + (weekday === 6 ? -1 : weekday === 0 ? 1 : 0));
+};
+
+const calendars = new Map();
+
+/**
+ * NYSE holidays and early closes of a year: { holidays: Set, earlyCloses: Set } of YYYY-MM-DD days
+ */
+function exchangeCalendar(year) {
+  if (!calendars.has(year)) {
+    const holidays = [
+      // New Year's Day on a Saturday is not made up on the Friday before
+      ...(new Date(Date.UTC(year, 0, 1)).getUTCDay() === 6 ? [] : [observed(year, 1, 1)]),
+      nthWeekday(year, 1, 1, 3),                                         // Martin Luther King Jr. Day
+      nthWeekday(year, 2, 1, 3),                                         // Washington's Birthday
+      new Date(easter(year) - 2 * DAY).toISOString().slice(0, 10),       // Good Friday
+      nthWeekday(year, 5, 1, -1),                                        // Memorial Day
+      ...(year >= 2022 ? [observed(year, 6, 19)] : []),                  // Juneteenth
+      observed(year, 7, 4),                                              // Independence Day
+      nthWeekday(year, 9, 1, 1),                                         // Labor Day
+      nthWeekday(year, 11, 4, 4),                                        // Thanksgiving
+      observed(year, 12, 25),                                            // Christmas
+      ...SPECIAL_CLOSURES.filter(day => day.startsWith(`${year}-`))
+    ];
+    const weekdayOf = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+    // Only on weekdays that aren't holidays themselves (July 3rd is when the 4th is a Saturday)
+    const earlyCloses = [
+      isoDay(year, 7, 3),                                                // the day before Independence Day
+      new Date(Date.parse(`${nthWeekday(year, 11, 4, 4)}T00:00:00Z`) + DAY).toISOString().slice(0, 10),
+      isoDay(year, 12, 24)                                               // Christmas Eve
+    ].filter(day => weekdayOf(day) >= 1 && weekdayOf(day) <= 5 && !holidays.includes(day));
+    calendars.set(year, { holidays: new Set(holidays), earlyCloses: new Set(earlyCloses) });
+  }
+  return calendars.get(year);
+}
+
+/**
+ * Whether a YYYY-MM-DD exchange day is a weekday the NYSE is open
+ */
+function isTradingDay(day) {
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  return weekday >= 1 && weekday <= 5 && !exchangeCalendar(Number(day.slice(0, 4))).holidays.has(day);
+}
+
+/**
+ * Session times of a trading day in exchange minutes: { open, close, postClose }, with the
+ * 13:00 ET close of early-close days; null when the exchange is closed
+ */
+function sessionHours(day) {
+  if (!isTradingDay(day)) return null;
+  const early = exchangeCalendar(Number(day.slice(0, 4))).earlyCloses.has(day);
+  return {
+    open: SESSION_OPEN_MINUTES,
+    close: early ? EARLY_CLOSE_MINUTES : SESSION_CLOSE_MINUTES,
+    postClose: early ? EARLY_POST_MARKET_CLOSE_MINUTES : POST_MARKET_CLOSE_MINUTES
+  };
+}
+
+/**
+ * Session of a moment on a trading day: 'pre', 'regular' (9:30-16:00 ET, 13:00 on early closes)
+ * or 'post'; null outside them and on weekends and holidays
+ */
+function sessionOf(time) {
+  const clock = exchangeClock(time);
+  const hours = clock && sessionHours(clock.day);
+  if (!hours) return null;
+  if (clock.minutes >= hours.open && clock.minutes < hours.close) return 'regular';
+  if (clock.minutes >= PRE_MARKET_OPEN_MINUTES && clock.minutes < hours.open) return 'pre';
+  if (clock.minutes >= hours.close && clock.minutes < hours.postClose) return 'post';
+  return null;
+}
+
+/**
+ * Whether a moment falls in the regular 9:30-16:00 ET session of a trading day (13:00 on early closes)
+ */
+function isRegularSession(time = Date.now()) {
+  return sessionOf(time) === 'regular';
+}
+
+const timestampFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  timeZoneName: 'longOffset'
+});
+
+/**
+ * ISO 8601 exchange-local time with its UTC offset, e.g. 2025-01-08T09:30:00-05:00
+ */
+function exchangeTimestamp(time) {
+  const date = new Date(typeof time === 'number' ? time : String(time));
+  if (isNaN(date.getTime())) return null;
+
+  const parts = {};
+  timestampFormat.formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  const offset = parts.timeZoneName.replace('GMT', '') || '+00:00';
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`;
+}
+
+// Monday of the week containing a YYYY-MM-DD day
+const weekOf = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Smallest gap between consecutive candles, i.e. the chart's own aggregation
+ */
+function baseInterval(times) {
+  let interval = Infinity;
+  for (let i = 1; i < times.length; i++) {
+    const gap = new Date(times[i]).getTime() - new Date(times[i - 1]).getTime();
+    if (gap > 0 && gap < interval) interval = gap;
+  }
+  return interval;
+}
+
+/**
+ * Bucket number (0, 1, 2...) of every base candle for a secondary period
+ * Throws when a candle has no usable timestamp or the period is not supported
+ */
+function bucketCandles(times, period) {
+  const clocks = times.map(exchangeClock);
+  if (clocks.some(c => c === null)) throw new Error('Secondary periods need candle timestamps');
+
+  let keyOf;
+  if (period < DAY) {
+    const size = period / MINUTE;
+    keyOf = (c) => `${c.day}#${Math.floor((c.minutes - SESSION_OPEN_MINUTES) / size)}`;
+  } else if (period === AGGREGATION_PERIODS.WEEK) {
+    keyOf = (c) => weekOf(c.day);
+  } else if (period === AGGREGATION_PERIODS.MONTH) {
+    keyOf = (c) => c.day.slice(0, 7);
+  } else if (period % DAY === 0 && period < AGGREGATION_PERIODS.WEEK) {
+    // Multi-day bars count trading days, so weekends and holidays don't leave gaps
+    const days = new Map();
+    clocks.forEach(c => { if (!days.has(c.day)) days.set(c.day, days.size); });
+    const size = period / DAY;
+    keyOf = (c) => String(Math.floor(days.get(c.day) / size));
+  } else {
+    throw new Error(`Unsupported aggregation period ${periodName(period)}`);
+  }
+
+  const buckets = [];
+  let last = null;
+  clocks.forEach(c => {
+    const key = keyOf(c);
+    if (buckets.length === 0) buckets.push(0);
+    else buckets.push(key === last ? buckets[buckets.length - 1] : buckets[buckets.length - 1] + 1);
+    last = key;
+  });
+  return buckets;
+}
+
+/**
+ * Final OHLCV of every secondary bar, plus the base candle where each one starts
+ */
+function resample(series, buckets) {
+  const bars = { open: [], high: [], low: [], close: [], volume: [], first: [] };
+  buckets.forEach((k, i) => {
+    if (bars.first.length === k) {
+      bars.first.push(i);
+      bars.open.push(series.open[i]);
+      bars.high.push(series.high[i]);
+      bars.low.push(series.low[i]);
+      bars.close.push(series.close[i]);
+      bars.volume.push(series.volume[i]);
+      return;
+    }
+    bars.high[k] = Math.max(bars.high[k], series.high[i]);
+    bars.low[k] = Math.min(bars.low[k], series.low[i]);
+    bars.close[k] = series.close[i];
+    bars.volume[k] += series.volume[i];
+  });
+  return bars;
+}
+
+module.exports = {
+  AGGREGATION_PERIODS,
+  SESSION_OPEN_MINUTES,
+  SESSION_CLOSE_MINUTES,
+  PRE_MARKET_OPEN_MINUTES,
+  POST_MARKET_CLOSE_MINUTES,
+  parsePeriod,
+  periodName,
+  exchangeClock,
+  exchangeCalendar,
+  isTradingDay,
+  sessionHours,
+  sessionOf,
+  isRegularSession,
+  exchangeTimestamp,
+  baseInterval,
+  bucketCandles,
+  resample
+};
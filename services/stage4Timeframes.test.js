@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exchangeClock, exchangeCalendar, isTradingDay, sessionHours, sessionOf, bucketCandles, AGGREGATION_PERIODS } = require('./stage4Timeframes');
+
+test('exchangeClock gives the New York day and minutes across daylight saving changes', () => {
+  assert.deepEqual(exchangeClock(Date.UTC(2024, 0, 2, 14, 30)), { day: '2024-01-02', minutes: 9 * 60 + 30 });
+  assert.deepEqual(exchangeClock(Date.UTC(2024, 6, 2, 13, 30)), { day: '2024-07-02', minutes: 9 * 60 + 30 });
+  // 2024-03-10 07:00 UTC is 03:00 EDT, an hour after 06:00 UTC (01:00 EST)
+  assert.equal(exchangeClock('2024-03-10T06:59:00Z').minutes, 60 + 59);
+  assert.equal(exchangeClock('2024-03-10T07:00:00Z').minutes, 3 * 60);
+  assert.deepEqual(exchangeClock('2024-11-03T04:30:00Z'), { day: '2024-11-03', minutes: 30 });
+  assert.equal(exchangeClock('not a date'), null);
+  assert.equal(exchangeClock(null), null);
+});
+
+test('sessionOf splits the trading day into pre, regular and post', () => {
+  assert.equal(sessionOf(Date.UTC(2024, 0, 2, 13, 0)), 'pre');
+  assert.equal(sessionOf(Date.UTC(2024, 0, 2, 14, 30)), 'regular');
+  assert.equal(sessionOf(Date.UTC(2024, 0, 2, 21, 0)), 'post');
+  assert.equal(sessionOf(Date.UTC(2024, 0, 6, 15, 0)), null);
+});
+
+test('the exchange calendar knows NYSE holidays, including observed and moveable ones', () => {
+  assert.deepEqual([...exchangeCalendar(2024).holidays].sort(), [
+    '2024-01-01', '2024-01-15', '2024-02-19', '2024-03-29', '2024-05-27',
+    '2024-06-19', '2024-07-04', '2024-09-02', '2024-11-28', '2024-12-25'
+  ]);
+  // Independence Day on a Saturday closes the Friday; New Year's Day on a Saturday closes nothing
+  assert.equal(isTradingDay('2026-07-03'), false);
+  assert.equal(isTradingDay('2021-12-31'), true);
+  assert.equal(isTradingDay('2025-01-09'), false);
+  assert.equal(isTradingDay('2024-03-28'), true);
+  assert.equal(isTradingDay('2024-03-30'), false);
+});
+
+test('early closes end the regular session at 13:00 ET', () => {
+  assert.deepEqual([...exchangeCalendar(2024).earlyCloses], ['2024-07-03', '2024-11-29', '2024-12-24']);
+  assert.deepEqual([...exchangeCalendar(2026).earlyCloses], ['2026-11-27', '2026-12-24']);
+  assert.deepEqual(sessionHours('2024-11-29'), { open: 9 * 60 + 30, close: 13 * 60, postClose: 17 * 60 });
+  assert.equal(sessionHours('2024-11-28'), null);
+
+  // 2024-11-29 is EST: 17:30 UTC is 12:30 ET, 18:30 UTC is 13:30 ET
+  assert.equal(sessionOf(Date.UTC(2024, 10, 29, 17, 30)), 'regular');
+  assert.equal(sessionOf(Date.UTC(2024, 10, 29, 18, 30)), 'post');
+  assert.equal(sessionOf(Date.UTC(2024, 10, 28, 15, 0)), null);
+});
+
+test('bucketCandles lines intraday buckets up with the open', () => {
+  const times = [0, 15, 30, 45, 60].map(m => Date.UTC(2024, 0, 2, 14, 30 + m));
+  assert.deepEqual(bucketCandles(times, AGGREGATION_PERIODS.THIRTY_MIN), [0, 0, 1, 1, 2]);
+});
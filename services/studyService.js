@@ -0,0 +1,88 @@
+// backend/services/studyService.js
+// Study library lookups shared by the study endpoints and Stage 4 scans
+const mongoose = require('mongoose');
+const Study = require('../models/Study');
+
+/**
+ * Lookup failure carrying the HTTP status to answer with
+ */
+class StudyAccessError extends Error {
+  constructor(message, status = 404) {
+    super(message);
+    this.name = 'StudyAccessError';
+    this.status = status;
+  }
+}
+
+const sameId = (a, b) => String(a) === String(b);
+
+const isOwner = (study, userId) => sameId(study.owner, userId);
+const canRead = (study, userId) => isOwner(study, userId) || study.sharedWith.some(id => sameId(id, userId));
+
+/**
+ * Load a study the user owns or has been shared; write access is owner-only
+ * Studies the user can't see are reported as not found
+ */
+async function findStudy(id, userId, { write = false } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new StudyAccessError('Study not found');
+
+  const study = await Study.findById(id);
+  if (!study || !canRead(study, userId)) throw new StudyAccessError('Study not found');
+  if (write && !isOwner(study, userId)) {
+    throw new StudyAccessError('Only the owner can change this study', 403);
+  }
+  return study;
+}
+
+/**
+ * A specific version, or the latest when version is missing or 'latest'
+ */
+function findVersion(study, version) {
+  const wanted = version === undefined || version === null || version === 'latest'
+    ? study.latestVersion
+    : Number(version);
+  const found = study.versions.find(v => v.version === wanted);
+  if (!found) throw new StudyAccessError(`Study '${study.name}' has no version ${version}`);
+  return found;
+}
+
+/**
+ * Turn scan/preview study configs into inline { formula, inputs, thresholds }
+ * { studyId, version } loads a saved script: a version number pins it, otherwise latest is used
+ * Inputs and thresholds sent with the request override the saved ones
+ */
+async function resolveStudyConfigs(studies = {}, user) {
+  const resolved = {};
+
+  for (const key of Object.keys(studies)) {
+    const cfg = studies[key] || {};
+    if (!cfg.studyId) {
+      resolved[key] = cfg;
+      continue;
+    }
+    if (!user) throw new StudyAccessError('Sign in to use saved studies', 401);
+
+    const study = await findStudy(cfg.studyId, user.id);
+    const version = findVersion(study, cfg.version);
+    resolved[key] = {
+      ...cfg,
+      formula: version.script,
+      inputs: { ...(version.inputs || {}), ...(cfg.inputs || {}) },
+      thresholds: Array.isArray(cfg.thresholds)
+        ? cfg.thresholds
+        : version.thresholds.map(t => ({ min: t.min, max: t.max })),
+      studyName: study.name,
+      version: version.version
+    };
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  StudyAccessError,
+  isOwner,
+  findStudy,
+  findVersion,
+  resolveStudyConfigs
+};
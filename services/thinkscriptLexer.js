@@ -0,0 +1,161 @@
+// backend/services/thinkscriptLexer.js
+// ThinkScript tokenizer - turns pasted thinkorswim study text into positioned tokens
+
+/**
+ * Syntax error carrying the 1-based line/column where the problem was found
+ */
+class ThinkScriptSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'ThinkScriptSyntaxError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Keywords are case-insensitive in ThinkScript (AND, And, and are all the same)
+const KEYWORDS = new Set(['input', 'def', 'rec', 'plot', 'declare', 'and', 'or', 'not', 'if', 'then', 'else']);
+
+// Longest operators first so "<=" wins over "<"
+const OPERATORS = ['==', '!=', '<>', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '<', '>', '=', '!'];
+const PUNCTUATION = new Set(['(', ')', '[', ']', ',', ';', '.']);
+
+const isDigit = (ch) => ch >= '0' && ch <= '9';
+const isIdentStart = (ch) => /[A-Za-z_]/.test(ch);
+const isIdentPart = (ch) => /[A-Za-z0-9_]/.test(ch);
+
+/**
+ * Tokenize a ThinkScript source string
+ * Each token: { type, value, line, column, start, end }
+ * type is one of: number, string, identifier, keyword, operator, punct, eof
+ */
+function tokenize(source) {
+  const text = String(source || '').replace(/\r\n?/g, '\n');
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = (count = 1) => {
+    for (let k = 0; k < count; k++) {
+      if (text[pos] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      pos++;
+    }
+  };
+
+  const push = (type, value, startPos, startLine, startColumn) => {
+    tokens.push({ type, value, line: startLine, column: startColumn, start: startPos, end: pos });
+  };
+
+  while (pos < text.length) {
+    const ch = text[pos];
+    const next = text[pos + 1];
+
+    // Whitespace
+    if (/\s/.test(ch)) {
+      advance();
+      continue;
+    }
+
+    // Comments: # and // to end of line, /* */ blocks
+    if (ch === '#' || (ch === '/' && next === '/')) {
+      while (pos < text.length && text[pos] !== '\n') advance();
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const startLine = line;
+      const startColumn = column;
+      advance(2);
+      while (pos < text.length && !(text[pos] === '*' && text[pos + 1] === '/')) advance();
+      if (pos >= text.length) {
+        throw new ThinkScriptSyntaxError('Unterminated block comment', startLine, startColumn);
+      }
+      advance(2);
+      continue;
+    }
+
+    const startPos = pos;
+    const startLine = line;
+    const startColumn = column;
+
+    // Numbers: 12, 1.5, .5, 1e-3
+    if (isDigit(ch) || (ch === '.' && isDigit(next))) {
+      while (isDigit(text[pos])) advance();
+      if (text[pos] === '.' && isDigit(text[pos + 1])) {
+        advance();
+        while (isDigit(text[pos])) advance();
+      }
+      if (/[eE]/.test(text[pos] || '') && (isDigit(text[pos + 1]) || (/[+-]/.test(text[pos + 1] || '') && isDigit(text[pos + 2])))) {
+        advance(2);
+        while (isDigit(text[pos])) advance();
+      }
+      push('number', Number(text.slice(startPos, pos)), startPos, startLine, startColumn);
+      continue;
+    }
+
+    // Strings: "text" with backslash escapes
+    if (ch === '"') {
+      advance();
+      let value = '';
+      while (pos < text.length && text[pos] !== '"') {
+        if (text[pos] === '\n') {
+          throw new ThinkScriptSyntaxError('Unterminated string literal', startLine, startColumn);
+        }
+        if (text[pos] === '\\' && pos + 1 < text.length) {
+          advance();
+        }
+        value += text[pos];
+        advance();
+      }
+      if (pos >= text.length) {
+        throw new ThinkScriptSyntaxError('Unterminated string literal', startLine, startColumn);
+      }
+      advance();
+      push('string', value, startPos, startLine, startColumn);
+      continue;
+    }
+
+    // Identifiers and keywords
+    if (isIdentStart(ch)) {
+      while (pos < text.length && isIdentPart(text[pos])) advance();
+      const word = text.slice(startPos, pos);
+      const lower = word.toLowerCase();
+      if (KEYWORDS.has(lower)) {
+        push('keyword', lower, startPos, startLine, startColumn);
+      } else {
+        push('identifier', word, startPos, startLine, startColumn);
+      }
+      continue;
+    }
+
+    const op = OPERATORS.find(o => text.startsWith(o, pos));
+    if (op) {
+      advance(op.length);
+      push('operator', op, startPos, startLine, startColumn);
+      continue;
+    }
+
+    if (PUNCTUATION.has(ch)) {
+      advance();
+      push('punct', ch, startPos, startLine, startColumn);
+      continue;
+    }
+
+    throw new ThinkScriptSyntaxError(`Unexpected character '${ch}'`, startLine, startColumn);
+  }
+
+  tokens.push({ type: 'eof', value: null, line, column, start: pos, end: pos });
+  return tokens;
+}
+
+module.exports = {
+  ThinkScriptSyntaxError,
+  KEYWORDS,
+  tokenize
+};
@@ -0,0 +1,390 @@
+// backend/services/thinkscriptParser.js
+// Recursive-descent ThinkScript parser producing a positioned AST
+const { tokenize, ThinkScriptSyntaxError } = require('./thinkscriptLexer');
+
+// Operator spellings collapsed to one canonical form in the AST
+const CANONICAL_OPERATORS = {
+  and: '&&',
+  '&&': '&&',
+  or: '||',
+  '||': '||',
+  '=': '==',
+  '==': '==',
+  '<>': '!=',
+  '!=': '!=',
+  not: '!',
+  '!': '!'
+};
+
+// Binary precedence levels, lowest first
+const BINARY_LEVELS = [
+  ['or', '||'],
+  ['and', '&&'],
+  ['=', '==', '!=', '<>'],
+  ['<', '>', '<=', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+// "crosses" sits with the relational operators: close crosses above Average(close, 10)
+const CROSSES_LEVEL = 3;
+const isCrossesToken = (token) => token.type === 'identifier' && token.value.toLowerCase() === 'crosses';
+
+// Hard cap on nesting so a pathological script can't exhaust the stack while parsing
+const MAX_NESTING = 200;
+
+class Parser {
+  constructor(source) {
+    this.source = String(source || '').replace(/\r\n?/g, '\n');
+    this.tokens = tokenize(this.source);
+    this.pos = 0;
+    this.depth = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.pos++;
+    return token;
+  }
+
+  check(type, value) {
+    const token = this.peek();
+    if (token.type !== type) return false;
+    return value === undefined || token.value === value;
+  }
+
+  match(type, value) {
+    if (this.check(type, value)) return this.next();
+    return null;
+  }
+
+  expect(type, value, what) {
+    const token = this.peek();
+    if (this.check(type, value)) return this.next();
+    throw this.error(`Expected ${what || `'${value}'`} but found ${describe(token)}`, token);
+  }
+
+  error(message, token = this.peek()) {
+    return new ThinkScriptSyntaxError(message, token.line, token.column);
+  }
+
+  node(type, startToken, props) {
+    const last = this.tokens[this.pos - 1] || startToken;
+    return {
+      type,
+      ...props,
+      loc: { line: startToken.line, column: startToken.column },
+      start: startToken.start,
+      end: Math.max(last.end, startToken.end)
+    };
+  }
+
+  // program := statement* EOF
+  parseProgram() {
+    const body = [];
+    while (!this.check('eof')) {
+      if (this.match('punct', ';')) continue; // stray semicolons are harmless
+      body.push(this.parseStatement());
+    }
+    return { type: 'Program', body, source: this.source };
+  }
+
+  parseStatement() {
+    const start = this.peek();
+
+    if (this.match('keyword', 'declare')) {
+      const value = this.expect('identifier', undefined, 'a declaration name');
+      this.expectSemicolon('declare');
+      return this.node('DeclareStatement', start, { value: value.value });
+    }
+
+    if (this.match('keyword', 'input')) {
+      const name = this.expect('identifier', undefined, 'an input name');
+      this.expect('operator', '=', "'=' after input name");
+      const value = this.parseExpression();
+      this.expectSemicolon('input');
+      return this.node('InputStatement', start, { name: name.value, value });
+    }
+
+    if (this.check('keyword', 'def') || this.check('keyword', 'rec') || this.check('keyword', 'plot')) {
+      const keyword = this.next().value;
+      const name = this.expect('identifier', undefined, `a ${keyword} name`);
+      let value = null;
+      if (this.match('operator', '=')) {
+        value = this.parseExpression();
+      }
+      this.expectSemicolon(keyword);
+      const type = keyword === 'plot' ? 'PlotStatement' : 'DefStatement';
+      return this.node(type, start, { name: name.value, value });
+    }
+
+    // name = expr;  (assigns a def or plot declared without a value)
+    if (this.check('identifier') && this.peek(1).type === 'operator' && this.peek(1).value === '=') {
+      const name = this.next();
+      this.next();
+      const value = this.parseExpression();
+      this.expectSemicolon('assignment');
+      return this.node('AssignmentStatement', start, { name: name.value, value });
+    }
+
+    // Anything else is an expression statement, e.g. LL.SetDefaultColor(Color.RED);
+    const expression = this.parseExpression();
+    this.expectSemicolon('statement');
+    return this.node('ExpressionStatement', start, { expression });
+  }
+
+  expectSemicolon(what) {
+    const token = this.peek();
+    if (this.match('punct', ';')) return;
+    throw this.error(`Expected ';' after ${what} but found ${describe(token)}`, token);
+  }
+
+  parseExpression() {
+    return this.parseBinary(0);
+  }
+
+  parseBinary(level) {
+    if (level >= BINARY_LEVELS.length) return this.parseUnary();
+
+    const start = this.peek();
+    let left = this.parseBinary(level + 1);
+
+    for (;;) {
+      const token = this.peek();
+      if (level === CROSSES_LEVEL && isCrossesToken(token)) {
+        left = this.parseCrosses(start, left);
+        continue;
+      }
+
+      const isOperator = (token.type === 'operator' || token.type === 'keyword') &&
+        BINARY_LEVELS[level].includes(token.value);
+      if (!isOperator) break;
+      this.next();
+      const right = this.parseBinary(level + 1);
+      left = this.node('BinaryExpression', start, {
+        operator: CANONICAL_OPERATORS[token.value] || token.value,
+        left,
+        right
+      });
+    }
+
+    return left;
+  }
+
+  // a crosses above b  ->  Crosses(a, b, CrossingDirection.ABOVE)
+  parseCrosses(start, left) {
+    const op = this.next();
+    let direction = 'ANY';
+    const word = this.peek();
+    if (word.type === 'identifier' && /^(above|below)$/i.test(word.value)) {
+      this.next();
+      direction = word.value.toUpperCase();
+    }
+
+    const right = this.parseBinary(CROSSES_LEVEL + 1);
+    const at = (type, props) => ({ type, ...props, loc: { line: op.line, column: op.column }, start: op.start, end: op.end });
+    const directionNode = at('MemberExpression', {
+      object: at('Identifier', { name: 'CrossingDirection' }),
+      property: direction
+    });
+
+    return this.node('CallExpression', start, {
+      callee: at('Identifier', { name: 'Crosses' }),
+      args: [left, right, directionNode],
+      namedArgs: {}
+    });
+  }
+
+  parseUnary() {
+    if (this.depth >= MAX_NESTING) {
+      throw this.error(`Expression is nested more than ${MAX_NESTING} levels deep`);
+    }
+    this.depth++;
+    try {
+      return this.parseUnaryInner();
+    } finally {
+      this.depth--;
+    }
+  }
+
+  parseUnaryInner() {
+    const start = this.peek();
+    if (this.check('operator', '-') || this.check('operator', '+') ||
+        this.check('operator', '!') || this.check('keyword', 'not')) {
+      const op = this.next().value;
+      const argument = this.parseUnary();
+      return this.node('UnaryExpression', start, {
+        operator: CANONICAL_OPERATORS[op] || op,
+        argument
+      });
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    const start = this.peek();
+    let expr = this.parsePrimary();
+
+    for (;;) {
+      if (this.match('punct', '[')) {
+        const offset = this.parseExpression();
+        this.expect('punct', ']');
+        expr = this.node('IndexExpression', start, { object: expr, offset });
+      } else if (this.match('punct', '.')) {
+        const property = this.expect('identifier', undefined, 'a member name after "."');
+        expr = this.node('MemberExpression', start, { object: expr, property: property.value });
+      } else if (this.check('punct', '(')) {
+        if (expr.type !== 'Identifier' && expr.type !== 'MemberExpression') {
+          throw this.error('Only named functions can be called');
+        }
+        this.next();
+        const { args, namedArgs } = this.parseArguments();
+        expr = this.node('CallExpression', start, { callee: expr, args, namedArgs });
+      } else {
+        break;
+      }
+    }
+
+    return expr;
+  }
+
+  // args := (expr | name '=' expr) (',' ...)*
+  parseArguments() {
+    const args = [];
+    const namedArgs = {};
+
+    if (this.match('punct', ')')) return { args, namedArgs };
+
+    for (;;) {
+      if (this.check('identifier') && this.peek(1).type === 'operator' && this.peek(1).value === '=') {
+        const name = this.next();
+        this.next();
+        const key = name.value.toLowerCase();
+        if (namedArgs[key]) throw this.error(`Duplicate argument '${name.value}'`, name);
+        namedArgs[key] = this.parseExpression();
+      } else {
+        if (Object.keys(namedArgs).length > 0) {
+          throw this.error('Positional arguments cannot follow named arguments');
+        }
+        args.push(this.parseExpression());
+      }
+
+      if (this.match('punct', ')')) break;
+      this.expect('punct', ',', "',' or ')' in argument list");
+    }
+
+    return { args, namedArgs };
+  }
+
+  // conditional := 'if' expr 'then' expr 'else' expr  |  'If' '(' expr ',' expr ',' expr ')'
+  // "else if" chains fall out naturally because the else branch is itself an expression
+  parseConditional() {
+    const start = this.expect('keyword', 'if');
+
+    if (this.check('punct', '(') && this.hasTopLevelComma()) {
+      return this.parseIfFunction(start);
+    }
+
+    const test = this.parseExpression();
+    this.expect('keyword', 'then', "'then' after if condition");
+    const consequent = this.parseExpression();
+    this.expect('keyword', 'else', "'else' branch (if expressions must have one)");
+    const alternate = this.parseExpression();
+    return this.node('ConditionalExpression', start, { test, consequent, alternate });
+  }
+
+  // If(cond, a, b) looks like "if (cond) then ..." until the first comma, so look ahead
+  // for a comma inside the parentheses instead of parsing twice
+  hasTopLevelComma() {
+    let depth = 0;
+    for (let k = this.pos; k < this.tokens.length; k++) {
+      const token = this.tokens[k];
+      if (token.type === 'eof') return false;
+      if (token.type !== 'punct') continue;
+      if (token.value === '(' || token.value === '[') depth++;
+      else if (token.value === ')' || token.value === ']') depth--;
+      else if (token.value === ',' && depth === 1) return true;
+      if (depth === 0) return false;
+    }
+    return false;
+  }
+
+  parseIfFunction(start) {
+    this.next();
+    const { args, namedArgs } = this.parseArguments();
+    if (args.length !== 3 || Object.keys(namedArgs).length > 0) {
+      throw this.error('If() takes exactly 3 arguments: condition, true value, false value', start);
+    }
+
+    const [test, consequent, alternate] = args;
+    return this.node('ConditionalExpression', start, { test, consequent, alternate });
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === 'number') {
+      this.next();
+      return this.node('NumberLiteral', token, { value: token.value });
+    }
+
+    if (token.type === 'string') {
+      this.next();
+      return this.node('StringLiteral', token, { value: token.value });
+    }
+
+    if (token.type === 'identifier') {
+      this.next();
+      return this.node('Identifier', token, { name: token.value });
+    }
+
+    if (token.type === 'keyword' && token.value === 'if') {
+      return this.parseConditional();
+    }
+
+    if (this.match('punct', '(')) {
+      const expr = this.parseExpression();
+      this.expect('punct', ')');
+      // Keep the parenthesised span so exprRaw slices stay readable
+      return { ...expr, start: token.start, end: this.tokens[this.pos - 1].end };
+    }
+
+    throw this.error(`Unexpected ${describe(token)}`, token);
+  }
+}
+
+const describe = (token) => {
+  if (token.type === 'eof') return 'end of script';
+  if (token.type === 'string') return `string "${token.value}"`;
+  return `'${token.value}'`;
+};
+
+/**
+ * Parse a full study script into a Program AST
+ */
+function parse(source) {
+  return new Parser(source).parseProgram();
+}
+
+/**
+ * Parse a single expression (e.g. a bare plot formula)
+ */
+function parseExpression(source) {
+  const parser = new Parser(source);
+  const expr = parser.parseExpression();
+  parser.match('punct', ';');
+  if (!parser.check('eof')) {
+    throw parser.error(`Unexpected ${describe(parser.peek())} after expression`);
+  }
+  return expr;
+}
+
+module.exports = {
+  ThinkScriptSyntaxError,
+  parse,
+  parseExpression
+};
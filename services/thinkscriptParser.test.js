@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize } = require('./thinkscriptLexer');
+const { ThinkScriptSyntaxError, parse, parseExpression } = require('./thinkscriptParser');
+
+test('tokenize keeps positions and skips comments', () => {
+  const tokens = tokenize('# header\nplot x = close; // note\n/* block */ def y = 1.5;');
+  const values = tokens.map(t => t.value);
+  assert.deepEqual(values.slice(0, 5), ['plot', 'x', '=', 'close', ';']);
+  assert.equal(tokens[0].type, 'keyword');
+  assert.equal(tokens[0].line, 2);
+  assert.equal(tokens[0].column, 1);
+  assert.ok(values.includes(1.5));
+  assert.equal(tokens[tokens.length - 1].type, 'eof');
+});
+
+test('tokenize treats keywords case-insensitively', () => {
+  const [first] = tokenize('PLOT x = 1;');
+  assert.equal(first.type, 'keyword');
+  assert.equal(first.value, 'plot');
+});
+
+test('tokenize reports unterminated block comments with their position', () => {
+  assert.throws(() => tokenize('plot x = 1;\n  /* open'), (err) =>
+    err instanceof ThinkScriptSyntaxError && err.line === 2 && err.column === 3);
+});
+
+test('parse builds statements for inputs, defs and plots', () => {
+  const program = parse('input length = 14; def avg = Average(close, length); plot p = avg;');
+  assert.deepEqual(program.body.map(s => s.type), ['InputStatement', 'DefStatement', 'PlotStatement']);
+  const call = program.body[1].value;
+  assert.equal(call.type, 'CallExpression');
+  assert.equal(call.callee.name, 'Average');
+  assert.equal(call.args.length, 2);
+});
+
+test('parseExpression follows operator precedence', () => {
+  const expr = parseExpression('1 + 2 * 3');
+  assert.equal(expr.operator, '+');
+  assert.equal(expr.right.operator, '*');
+});
+
+test('parseExpression reads offsets, named arguments and if expressions', () => {
+  const indexed = parseExpression('close[1]');
+  assert.equal(indexed.type, 'IndexExpression');
+  assert.equal(indexed.offset.value, 1);
+
+  const call = parseExpression('Average(data = close, length = 9)');
+  assert.deepEqual(Object.keys(call.namedArgs), ['data', 'length']);
+
+  const conditional = parseExpression('if close > open then 1 else if close < open then -1 else 0');
+  assert.equal(conditional.type, 'ConditionalExpression');
+  assert.equal(conditional.alternate.type, 'ConditionalExpression');
+
+  const ifFunction = parseExpression('If(close > open, 1, 0)');
+  assert.equal(ifFunction.type, 'ConditionalExpression');
+});
+
+test('parseExpression rewrites crosses into a Crosses() call', () => {
+  const expr = parseExpression('close crosses above open');
+  assert.equal(expr.type, 'CallExpression');
+  assert.equal(expr.callee.name, 'Crosses');
+  assert.equal(expr.args[2].property, 'ABOVE');
+});
+
+test('parse reports the line and column of syntax errors', () => {
+  assert.throws(() => parse('def x = 1;\nplot y = x +;'), (err) =>
+    err instanceof ThinkScriptSyntaxError && err.line === 2);
+  assert.throws(() => parse('plot y = close'), /Expected ';' after plot/);
+  assert.throws(() => parseExpression('Average(length = 3, close)'), /Positional arguments cannot follow/);
+});
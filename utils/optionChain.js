@@ -0,0 +1,214 @@
+// utils/optionChain.js
+// Flatten an option-chain response (Schwab's shape, live or recorded) into one row per contract
+const { enrichOptionRow } = require('./optionSymbol');
+
+// Helper function to get nested values
+const getNestedValue = (obj, path) => {
+  return path.split('.').reduce((current, key) => current?.[key], obj);
+};
+
+// ✅ NEW: Alternative extraction methods for different response formats
+const tryAlternativeExtraction = (data, symbol) => {
+  console.log(`🔄 [${symbol}] Trying alternative extraction methods...`);
+  
+  const alternatives = [];
+  
+  try {
+    // Check for nested options in various locations
+    const possiblePaths = [
+      'options',
+      'optionChain',
+      'chains',
+      'contracts',
+      'data.options',
+      'result.options'
+    ];
+    
+    for (const path of possiblePaths) {
+      const value = getNestedValue(data, path);
+      if (Array.isArray(value) && value.length > 0) {
+        console.log(`✅ [${symbol}] Found options at path: ${path} (${value.length} items)`);
+        return value.map(opt => ({ 
+          ...opt, 
+          sourceSymbol: symbol,
+          extractionMethod: `alternative:${path}`
+        }));
+      }
+    }
+    
+    // Check for any arrays in the response that might contain options
+    const findArraysInObject = (obj, parentKey = '') => {
+      for (const [key, value] of Object.entries(obj || {})) {
+        const fullKey = parentKey ? `${parentKey}.${key}` : key;
+        
+        if (Array.isArray(value) && value.length > 0) {
+          // Check if this looks like options data
+          const firstItem = value[0];
+          if (firstItem && typeof firstItem === 'object' && 
+              (firstItem.strikePrice || firstItem.strike || firstItem.symbol)) {
+            console.log(`🎯 [${symbol}] Found potential options array at: ${fullKey}`);
+            alternatives.push(...value);
+          }
+        } else if (value && typeof value === 'object') {
+          findArraysInObject(value, fullKey);
+        }
+      }
+    };
+    
+    findArraysInObject(data);
+    
+  } catch (error) {
+    console.error(`❌ [${symbol}] Error in alternative extraction:`, error);
+  }
+  
+  return alternatives;
+};
+
+// ✅ ENHANCED: Improved flattening function
+const flattenOptionsChain = (chainData, symbol) => {
+  let options = [];
+  
+  console.log(`🔧 [${symbol}] Starting flattening process...`);
+  
+  try {
+    // Method 1: Check for optionPairs array (newer API format)
+    if (Array.isArray(chainData.optionPairs)) {
+      console.log(`📋 [${symbol}] Found optionPairs array with ${chainData.optionPairs.length} items`);
+      options = chainData.optionPairs.map(pair => ({ 
+        ...pair, 
+        sourceSymbol: symbol,
+        extractionMethod: 'optionPairs'
+      }));
+    }
+    // Method 2: Check for callExpDateMap/putExpDateMap (traditional format)
+    else if (chainData.callExpDateMap || chainData.putExpDateMap) {
+      console.log(`📋 [${symbol}] Found exp date maps - calls: ${!!chainData.callExpDateMap}, puts: ${!!chainData.putExpDateMap}`);
+      
+      const extractFromMap = (expDateMap, type) => {
+        let arr = [];
+        let totalExtracted = 0;
+        
+        for (const expDate in expDateMap) {
+          console.log(`📅 [${symbol}] Processing expiration: ${expDate} for ${type}`);
+          const strikeMap = expDateMap[expDate];
+          
+          for (const strike in strikeMap) {
+            const contracts = strikeMap[strike];
+            if (Array.isArray(contracts)) {
+              console.log(`💰 [${symbol}] Strike ${strike}: ${contracts.length} ${type} contracts`);
+              for (const contract of contracts) {
+                arr.push({ 
+                  ...contract, 
+                  optionType: type, 
+                  sourceSymbol: symbol,
+                  extractionMethod: 'expDateMap',
+                  expirationDate: expDate,
+                  strikePrice: parseFloat(strike)
+                });
+                totalExtracted++;
+              }
+            }
+          }
+        }
+        
+        console.log(`✅ [${symbol}] Extracted ${totalExtracted} ${type} options`);
+        return arr;
+      };
+      
+      if (chainData.callExpDateMap) {
+        const calls = extractFromMap(chainData.callExpDateMap, 'CALL');
+        options = options.concat(calls);
+      }
+      if (chainData.putExpDateMap) {
+        const puts = extractFromMap(chainData.putExpDateMap, 'PUT');
+        options = options.concat(puts);
+      }
+    }
+    // Method 3: Check if the response IS the options array
+    else if (Array.isArray(chainData)) {
+      console.log(`📋 [${symbol}] Response is direct options array with ${chainData.length} items`);
+      options = chainData.map(opt => ({ 
+        ...opt, 
+        sourceSymbol: symbol,
+        extractionMethod: 'directArray'
+      }));
+    }
+    
+    console.log(`🎯 [${symbol}] Flattening complete: ${options.length} options extracted`);
+    
+    // ✅ ADDED: Log sample of extracted options for debugging
+    if (options.length > 0) {
+      console.log(`🔍 [${symbol}] Sample option:`, {
+        symbol: options[0].symbol,
+        strikePrice: options[0].strikePrice,
+        optionType: options[0].optionType,
+        expirationDate: options[0].expirationDate,
+        bid: options[0].bid,
+        ask: options[0].ask,
+        volume: options[0].totalVolume || options[0].volume,
+        openInterest: options[0].openInterest,
+        availableFields: Object.keys(options[0])
+      });
+    }
+    
+  } catch (error) {
+    console.error(`❌ [${symbol}] Error during flattening:`, error);
+  }
+  
+  return options;
+};
+
+// ✅ Fill underlying/root/expiration/type/strike from each contract's OCC symbol, dropping malformed ones
+const withParsedSymbols = (options, symbol) => {
+  const parsed = [];
+  const rejected = [];
+  options.forEach(opt => {
+    try {
+      parsed.push(enrichOptionRow(opt));
+    } catch (err) {
+      rejected.push(opt.symbol);
+    }
+  });
+  if (rejected.length > 0) {
+    console.warn(`⚠️ [${symbol}] Dropped ${rejected.length} contracts with malformed symbols:`, rejected.slice(0, 5));
+  }
+  return parsed;
+};
+
+/**
+ * Contracts of a chain response, each with the fields parsed from its OCC symbol
+ */
+const normalizeChain = (data, symbol) => {
+  // Log detailed response info
+  if (data) {
+    if (data.symbol) console.log(`📍 [${symbol}] Response symbol: ${data.symbol}`);
+    if (data.numberOfContracts) console.log(`📈 [${symbol}] Number of contracts: ${data.numberOfContracts}`);
+    if (data.underlying) {
+      console.log(`🏢 [${symbol}] Underlying info:`, {
+        symbol: data.underlying.symbol,
+        description: data.underlying.description,
+        change: data.underlying.change,
+        percentChange: data.underlying.percentChange,
+        close: data.underlying.close
+      });
+    }
+  }
+
+  // Enhanced flattening with better error handling
+  const flattened = flattenOptionsChain(data, symbol);
+  console.log(`🎯 [${symbol}] Flattened options count: ${flattened.length}`);
+
+  if (flattened.length === 0) {
+    console.warn(`⚠️ [${symbol}] No options found after flattening. Trying alternative extraction...`);
+
+    const alternatives = tryAlternativeExtraction(data, symbol);
+    if (alternatives.length > 0) {
+      console.log(`✅ [${symbol}] Alternative extraction found ${alternatives.length} options`);
+      return withParsedSymbols(alternatives, symbol);
+    }
+  }
+
+  return withParsedSymbols(flattened, symbol);
+};
+
+module.exports = { normalizeChain };
@@ -0,0 +1,111 @@
+// utils/optionSymbol.js
+// OCC option symbols: root padded to 6, YYMMDD expiration, C/P, strike x 1000 in 8 digits
+//   "SPY   250117C00500000"  -> SPY 2025-01-17 500 call
+// The compact form without padding ("SPY250117C00500000") is accepted as well
+
+const OCC_PATTERN = /^\.?([A-Z][A-Z0-9]{0,5})\s*(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/;
+
+// Roots that trade under a different symbol than the underlying (weeklies, PM-settled)
+const ROOT_UNDERLYINGS = {
+  SPXW: 'SPX',
+  SPXPM: 'SPX',
+  NDXP: 'NDX',
+  RUTW: 'RUT',
+  VIXW: 'VIX',
+  XSPW: 'XSP'
+};
+
+// Cash indexes are quoted with a $ prefix in market data
+const INDEX_UNDERLYINGS = ['SPX', 'NDX', 'RUT', 'VIX', 'DJX', 'XSP', 'OEX', 'XEO'];
+
+class OptionSymbolError extends Error {
+  constructor(message, symbol) {
+    super(message);
+    this.name = 'OptionSymbolError';
+    this.symbol = symbol;
+  }
+}
+
+/**
+ * Market-data symbol for an option root: SPXW -> $SPX, AAPL1 (adjusted) -> AAPL
+ */
+function underlyingForRoot(root) {
+  const base = ROOT_UNDERLYINGS[root] || root.replace(/(?<=[A-Z])\d+$/, '');
+  return INDEX_UNDERLYINGS.includes(base) ? `$${base}` : base;
+}
+
+/**
+ * Parse an OCC symbol into { symbol, root, underlying, expiration, optionType, strike }
+ * symbol is the padded 21-character form; throws OptionSymbolError when malformed
+ */
+function parseOptionSymbol(text) {
+  if (typeof text !== 'string' || !text.trim()) throw new OptionSymbolError('Option symbol is empty', text);
+
+  const match = OCC_PATTERN.exec(text.trim().toUpperCase());
+  if (!match) {
+    throw new OptionSymbolError(`'${text}' is not an OCC option symbol (expected e.g. "SPY   250117C00500000")`, text);
+  }
+
+  const [, root, yy, mm, dd, cp, strikeDigits] = match;
+  const expiration = `20${yy}-${mm}-${dd}`;
+  const date = new Date(`${expiration}T00:00:00Z`);
+  if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== expiration) {
+    throw new OptionSymbolError(`'${text}' has an invalid expiration date ${expiration}`, text);
+  }
+  const strike = Number(strikeDigits) / 1000;
+  if (strike <= 0) throw new OptionSymbolError(`'${text}' has a zero strike`, text);
+
+  return {
+    symbol: `${root.padEnd(6)}${yy}${mm}${dd}${cp}${strikeDigits}`,
+    root,
+    underlying: underlyingForRoot(root),
+    expiration,
+    optionType: cp === 'C' ? 'CALL' : 'PUT',
+    strike
+  };
+}
+
+/**
+ * Build the padded OCC symbol from { root (or underlying), expiration, optionType, strike }
+ * expiration is a Date or "YYYY-MM-DD"; optionType is CALL/PUT or C/P
+ */
+function formatOptionSymbol({ root, underlying, expiration, optionType, strike }) {
+  const base = String(root || underlying || '').replace(/^\$/, '').toUpperCase();
+  if (!/^[A-Z][A-Z0-9]{0,5}$/.test(base)) throw new OptionSymbolError(`Invalid option root '${root || underlying}'`);
+
+  const date = expiration instanceof Date ? expiration : new Date(`${String(expiration).slice(0, 10)}T00:00:00Z`);
+  if (isNaN(date.getTime())) throw new OptionSymbolError(`Invalid expiration '${expiration}'`);
+  const yymmdd = date.toISOString().slice(2, 10).replace(/-/g, '');
+
+  const type = String(optionType || '').toUpperCase();
+  const cp = type === 'CALL' || type === 'C' ? 'C' : type === 'PUT' || type === 'P' ? 'P' : null;
+  if (!cp) throw new OptionSymbolError(`Invalid option type '${optionType}'`);
+
+  const thousandths = Math.round(Number(strike) * 1000);
+  if (!(thousandths > 0) || thousandths > 99999999) throw new OptionSymbolError(`Invalid strike '${strike}'`);
+
+  return `${base.padEnd(6)}${yymmdd}${cp}${String(thousandths).padStart(8, '0')}`;
+}
+
+/**
+ * Row with the fields parsed from its symbol filled in; fields the row already has win
+ * Throws OptionSymbolError when the symbol is malformed
+ */
+function enrichOptionRow(row) {
+  const parsed = parseOptionSymbol(row?.symbol);
+  return {
+    ...row,
+    underlying: row.underlying || parsed.underlying,
+    root: row.root || parsed.root,
+    expiration: row.expiration || parsed.expiration,
+    optionType: row.optionType || parsed.optionType,
+    strikePrice: row.strikePrice ?? parsed.strike
+  };
+}
+
+module.exports = {
+  OptionSymbolError,
+  parseOptionSymbol,
+  formatOptionSymbol,
+  enrichOptionRow
+};
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OptionSymbolError, parseOptionSymbol, formatOptionSymbol, enrichOptionRow } = require('./optionSymbol');
+
+test('padded, compact and dot-prefixed OCC symbols parse to the same contract', () => {
+  const expected = {
+    symbol: 'SPY   250117C00500000',
+    root: 'SPY',
+    underlying: 'SPY',
+    expiration: '2025-01-17',
+    optionType: 'CALL',
+    strike: 500
+  };
+  assert.deepEqual(parseOptionSymbol('SPY   250117C00500000'), expected);
+  assert.deepEqual(parseOptionSymbol('SPY250117C00500000'), expected);
+  assert.deepEqual(parseOptionSymbol(' .spy250117c00500000 '), expected);
+
+  const put = parseOptionSymbol('AAPL  240419P00172500');
+  assert.equal(put.optionType, 'PUT');
+  assert.equal(put.strike, 172.5);
+});
+
+test('index roots map to their $-prefixed underlying, adjusted roots to the plain one', () => {
+  const underlying = (symbol) => parseOptionSymbol(symbol).underlying;
+  assert.equal(underlying('SPXW  240315C05100000'), '$SPX');
+  assert.equal(underlying('SPX   240315C05100000'), '$SPX');
+  assert.equal(underlying('NDXP  240315P18000000'), '$NDX');
+  assert.equal(underlying('VIX   240320C00015000'), '$VIX');
+  assert.equal(underlying('AAPL1 240419C00170000'), 'AAPL');
+  assert.equal(parseOptionSymbol('SPXW  240315C05100000').root, 'SPXW');
+});
+
+test('malformed symbols, impossible dates and zero strikes are refused', () => {
+  const refused = (symbol, reason) => assert.throws(() => parseOptionSymbol(symbol),
+    (err) => err instanceof OptionSymbolError && err.symbol === symbol && reason.test(err.message));
+  refused('', /empty/);
+  refused(null, /empty/);
+  refused('SPY', /not an OCC option symbol/);
+  refused('SPY   250117X00500000', /not an OCC option symbol/);
+  refused('SPY   250230C00500000', /invalid expiration date 2025-02-30/);
+  refused('SPY   250117C00000000', /zero strike/);
+});
+
+test('formatOptionSymbol builds the padded symbol and round-trips through the parser', () => {
+  const symbol = formatOptionSymbol({ underlying: '$SPX', expiration: '2024-03-15', optionType: 'C', strike: 5100 });
+  assert.equal(symbol, 'SPX   240315C05100000');
+  assert.equal(parseOptionSymbol(symbol).underlying, '$SPX');
+
+  assert.equal(formatOptionSymbol({ root: 'aapl', expiration: new Date(Date.UTC(2024, 3, 19)), optionType: 'PUT', strike: 172.5 }),
+    'AAPL  240419P00172500');
+  assert.throws(() => formatOptionSymbol({ root: 'SPY', expiration: '2024-03-15', optionType: 'X', strike: 1 }), OptionSymbolError);
+  assert.throws(() => formatOptionSymbol({ root: 'SPY', expiration: 'soon', optionType: 'C', strike: 1 }), /Invalid expiration/);
+  assert.throws(() => formatOptionSymbol({ root: 'SPY', expiration: '2024-03-15', optionType: 'C', strike: 0 }), /Invalid strike/);
+});
+
+test('enrichOptionRow fills missing fields from the symbol and keeps the ones present', () => {
+  const row = enrichOptionRow({ symbol: 'SPXW  240315C05100000', strikePrice: 5100, underlying: 'SPX' });
+  assert.deepEqual(row, {
+    symbol: 'SPXW  240315C05100000',
+    underlying: 'SPX',
+    root: 'SPXW',
+    expiration: '2024-03-15',
+    optionType: 'CALL',
+    strikePrice: 5100
+  });
+  assert.throws(() => enrichOptionRow({ symbol: 'nope' }), OptionSymbolError);
+});
@@ -0,0 +1,148 @@
+// utils/rateLimiter.js
+// Token-bucket rate limiter with a priority queue, for APIs with a per-minute request budget.
+// Interactive calls (a user waiting on a response) go ahead of background work; code paths that
+// run in the background mark themselves once with withPriority('background', fn)
+const { AsyncLocalStorage } = require('async_hooks');
+
+const PRIORITIES = ['interactive', 'background'];
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60 * 1000;
+
+const priorityContext = new AsyncLocalStorage();
+
+const checkPriority = (priority) => {
+  if (!PRIORITIES.includes(priority)) throw new Error(`Unknown priority '${priority}' (${PRIORITIES.join(', ')})`);
+};
+
+/**
+ * Run fn with every limited call it makes (including ones it awaits) queued at this priority
+ */
+const withPriority = (priority, fn) => {
+  checkPriority(priority);
+  return priorityContext.run(priority, fn);
+};
+
+const currentPriority = () => priorityContext.getStore() || 'interactive';
+
+/**
+ * How long to wait before retry number `attempt` (0-based): the server's Retry-After
+ * (seconds or an HTTP date) when it sent one, else exponential backoff with a little jitter
+ */
+function retryDelay(retryAfter, attempt) {
+  if (retryAfter !== undefined && retryAfter !== null && retryAfter !== '') {
+    const seconds = Number(retryAfter);
+    const ms = isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+    if (isFinite(ms)) return Math.min(BACKOFF_MAX_MS, Math.max(0, ms));
+  }
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt + Math.floor(Math.random() * 250));
+}
+
+/**
+ * Limiter allowing requestsPerMinute on average, bursts of up to `burst`, and at most
+ * maxConcurrent calls in flight. schedule(task) runs task when allowed and returns its promise;
+ * { first: true } puts it at the head of its queue (a retry that already waited its turn)
+ */
+function createRateLimiter({ name, requestsPerMinute, burst, maxConcurrent }) {
+  const perMs = requestsPerMinute / 60000;
+  const queues = {};
+  PRIORITIES.forEach(p => { queues[p] = []; });
+
+  const state = { tokens: burst, refilledAt: Date.now(), pausedUntil: 0, running: 0, timer: null };
+  const stats = { dispatched: 0, completed: 0, failed: 0, pauses: 0, totalWaitMs: 0, maxWaitMs: 0 };
+
+  const refill = (now) => {
+    state.tokens = Math.min(burst, state.tokens + (now - state.refilledAt) * perMs);
+    state.refilledAt = now;
+  };
+
+  const nextQueue = () => PRIORITIES.map(p => queues[p]).find(q => q.length > 0);
+
+  function drain() {
+    if (state.timer) return;
+    const now = Date.now();
+    refill(now);
+
+    while (nextQueue() && state.running < maxConcurrent && now >= state.pausedUntil && state.tokens >= 1) {
+      const entry = nextQueue().shift();
+      state.tokens -= 1;
+      state.running++;
+      stats.dispatched++;
+      const waited = now - entry.queuedAt;
+      stats.totalWaitMs += waited;
+      stats.maxWaitMs = Math.max(stats.maxWaitMs, waited);
+
+      Promise.resolve()
+        .then(entry.task)
+        .then(
+          (value) => { stats.completed++; entry.resolve(value); },
+          (err) => { stats.failed++; entry.reject(err); }
+        )
+        .finally(() => {
+          state.running--;
+          drain();
+        });
+    }
+
+    // Out of tokens or paused: wake up when the next call may go (a finishing call wakes us otherwise)
+    if (nextQueue() && state.running < maxConcurrent) {
+      const wait = Math.max(state.pausedUntil - now, (1 - state.tokens) / perMs, 1);
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        drain();
+      }, Math.ceil(wait));
+    }
+  }
+
+  const schedule = (task, priority = currentPriority(), { first = false } = {}) => {
+    checkPriority(priority);
+    return new Promise((resolve, reject) => {
+      const entry = { task, resolve, reject, queuedAt: Date.now() };
+      if (first) queues[priority].unshift(entry);
+      else queues[priority].push(entry);
+      drain();
+    });
+  };
+
+  /**
+   * Hold every queued call for ms (the server said to slow down); calls already in flight finish
+   */
+  const pause = (ms) => {
+    state.pausedUntil = Math.max(state.pausedUntil, Date.now() + ms);
+    state.tokens = 0;
+    state.refilledAt = state.pausedUntil;
+    stats.pauses++;
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+    drain();
+  };
+
+  const metrics = () => {
+    refill(Date.now());
+    const queued = {};
+    PRIORITIES.forEach(p => { queued[p] = queues[p].length; });
+    return {
+      name,
+      requestsPerMinute,
+      burst,
+      maxConcurrent,
+      tokens: Math.floor(state.tokens * 100) / 100,
+      running: state.running,
+      queued,
+      pausedForMs: Math.max(0, state.pausedUntil - Date.now()),
+      ...stats,
+      averageWaitMs: stats.dispatched > 0 ? Math.round(stats.totalWaitMs / stats.dispatched) : 0
+    };
+  };
+
+  return { schedule, pause, metrics };
+}
+
+module.exports = {
+  PRIORITIES,
+  withPriority,
+  currentPriority,
+  retryDelay,
+  createRateLimiter
+};
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const Token = require('../models/Token');
+const { withPriority, retryDelay, createRateLimiter } = require('./rateLimiter');
+const { silenceConsole } = require('./testHelpers');
+
+// One Schwab call at a time, so the order calls reach the server is the order they were queued in
+process.env.SCHWAB_MAX_CONCURRENT = '1';
+const { makeAuthorizedRequest, getRateLimitMetrics } = require('./schwab');
+
+const limiter = (options) => createRateLimiter({ name: 'test', requestsPerMinute: 600, burst: 1, maxConcurrent: 1, ...options });
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('unknown priorities are refused by schedule as well as withPriority', async () => {
+  const { schedule } = limiter();
+  assert.throws(() => schedule(async () => 1, 'urgent'), /Unknown priority 'urgent'/);
+  assert.throws(() => withPriority('urgent', () => {}), /Unknown priority 'urgent'/);
+  assert.equal(await schedule(async () => 1, 'background'), 1);
+});
+
+test('interactive calls go ahead of background ones, and first puts a call at the head of its queue', async () => {
+  const { schedule } = limiter({ burst: 10 });
+  const order = [];
+  const task = (label) => async () => { order.push(label); await sleep(1); };
+
+  const calls = [
+    schedule(task('running'), 'interactive'),
+    withPriority('background', () => schedule(task('background'))),
+    schedule(task('interactive'), 'interactive'),
+    schedule(task('retry'), 'interactive', { first: true })
+  ];
+  await Promise.all(calls);
+  assert.deepEqual(order, ['running', 'retry', 'interactive', 'background']);
+});
+
+test('pause holds queued calls until the pause is over', async () => {
+  const { schedule, pause, metrics } = limiter({ burst: 10 });
+  const started = Date.now();
+  pause(60);
+  await schedule(async () => {});
+  assert.ok(Date.now() - started >= 55);
+  assert.equal(metrics().pauses, 1);
+});
+
+test('retryDelay follows Retry-After in seconds or as a date, else backs off exponentially', () => {
+  assert.equal(retryDelay('3', 0), 3000);
+  assert.equal(retryDelay('0', 2), 0);
+  const date = retryDelay(new Date(Date.now() + 5000).toUTCString(), 0);
+  assert.ok(date > 3000 && date <= 5000);
+  assert.equal(retryDelay('600', 0), 60 * 1000);
+
+  const backoff = retryDelay(undefined, 2);
+  assert.ok(backoff >= 4000 && backoff < 4250);
+  assert.equal(retryDelay('', 10), 60 * 1000);
+});
+
+test('a Schwab 429 holds the queue for Retry-After and the retried call goes first', async (t) => {
+  silenceConsole(t);
+  t.mock.method(Token, 'findOne', () => ({ lean: async () => ({ access_token: 'token', expires_at: Date.now() / 1000 + 3600 }) }));
+
+  const calls = [];
+  let throttled = false;
+  const adapter = axios.defaults.adapter;
+  t.after(() => { axios.defaults.adapter = adapter; });
+  axios.defaults.adapter = async (config) => {
+    const path = new URL(config.url).pathname;
+    calls.push({ path, at: Date.now() });
+    if (path === '/a' && !throttled) {
+      throttled = true;
+      throw Object.assign(new Error('Too Many Requests'), { response: { status: 429, headers: { 'retry-after': '0.2' } } });
+    }
+    return { data: { path }, status: 200, statusText: 'OK', headers: {}, config };
+  };
+
+  const [a, b] = await Promise.all([
+    makeAuthorizedRequest('https://api.example.com/a'),
+    makeAuthorizedRequest('https://api.example.com/b')
+  ]);
+  assert.deepEqual([a.data.path, b.data.path], ['/a', '/b']);
+  assert.deepEqual(calls.map(c => c.path), ['/a', '/a', '/b']);
+  assert.ok(calls[1].at - calls[0].at >= 190);
+
+  const metrics = getRateLimitMetrics();
+  assert.equal(metrics.backoffs[429], 1);
+  assert.equal(metrics.pauses, 1);
+
+  await assert.rejects(makeAuthorizedRequest('https://api.example.com/a', { priority: 'urgent' }), /Unknown priority/);
+});
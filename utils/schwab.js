@@ -1,6 +1,7 @@
 const axios = require('axios');
 const qs = require('querystring');
 const Token = require('../models/Token');
+const { createRateLimiter, currentPriority, retryDelay } = require('./rateLimiter');
 
 const {
   SCHWAB_CLIENT_ID,
@@ -117,205 +118,81 @@ const getAccessToken = async () => {
   return token.access_token;
 };
 
+// One limiter shared by every market-data call, sized to Schwab's 120 requests per minute
+const limiter = createRateLimiter({
+  name: 'schwab',
+  requestsPerMinute: Number(process.env.SCHWAB_REQUESTS_PER_MINUTE) || 120,
+  burst: Number(process.env.SCHWAB_RATE_BURST) || 10,
+  maxConcurrent: Number(process.env.SCHWAB_MAX_CONCURRENT) || 8
+});
+const MAX_BACKOFF_RETRIES = Number(process.env.SCHWAB_MAX_RETRIES) || 4;
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const backoffCounts = { 429: 0, 502: 0, 503: 0, 504: 0 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 // Enhanced error handling for API calls
+// Every call waits its turn in the shared limiter; options.priority ('interactive' or
+// 'background') overrides the priority of the calling context. A call retried after a 429
+// goes back in at the head of its queue rather than behind everything queued since
 const makeAuthorizedRequest = async (url, options = {}) => {
+  const { priority, ...request } = options;
   let retries = 0;
   const maxRetries = 2;
+  let backoffs = 0;
+  let retryFirst = false;
 
-  while (retries <= maxRetries) {
+  while (true) {
     try {
-      const accessToken = await getAccessToken();
-      
-      const response = await axios({
-        ...options,
-        url,
-        headers: {
-          ...options.headers,
-          Authorization: `Bearer ${accessToken}`
-        }
-      });
+      const response = await limiter.schedule(async () => {
+        const accessToken = await getAccessToken();
+
+        return axios({
+          ...request,
+          url,
+          headers: {
+            ...request.headers,
+            Authorization: `Bearer ${accessToken}`
+          }
+        });
+      }, priority || currentPriority(), { first: retryFirst });
 
       return response;
     } catch (error) {
-      if (error.response?.status === 401 && retries < maxRetries) {
+      const status = error.response?.status;
+      if (status === 401 && retries < maxRetries) {
         console.log("🔄 Token expired, forcing refresh and retrying...");
         // Force refresh instead of wiping DB
         await refreshToken();
         retries++;
         continue;
       }
+      if (RETRYABLE_STATUSES.includes(status) && backoffs < MAX_BACKOFF_RETRIES) {
+        const delay = retryDelay(error.response.headers?.['retry-after'], backoffs);
+        backoffCounts[status]++;
+        backoffs++;
+        console.warn(`⏳ Schwab returned ${status}, retrying in ${delay}ms (${backoffs}/${MAX_BACKOFF_RETRIES})`);
+        // A 429 holds the whole queue, not just this call; other errors only delay this call
+        retryFirst = status === 429;
+        if (status === 429) limiter.pause(delay);
+        else await sleep(delay);
+        continue;
+      }
       throw error;
     }
   }
 };
 
+const getRateLimitMetrics = () => ({ ...limiter.metrics(), backoffs: { ...backoffCounts } });
+
 const getQuote = async (symbol = 'AAPL') => {
   const response = await makeAuthorizedRequest(
     `https://api.schwabapi.com/marketdata/v1/quotes?symbols=${symbol}`
   );
   return response.data;
 };
-
-// Helper function to get nested values
-const getNestedValue = (obj, path) => {
-  return path.split('.').reduce((current, key) => current?.[key], obj);
-};
-
-// ✅ NEW: Alternative extraction methods for different response formats
-const tryAlternativeExtraction = (data, symbol) => {
-  console.log(`🔄 [${symbol}] Trying alternative extraction methods...`);
-  
-  const alternatives = [];
-  
-  try {
-    // Check for nested options in various locations
-    const possiblePaths = [
-      'options',
-      'optionChain',
-      'chains',
-      'contracts',
-      'data.options',
-      'result.options'
-    ];
-    
-    for (const path of possiblePaths) {
-      const value = getNestedValue(data, path);
-      if (Array.isArray(value) && value.length > 0) {
-        console.log(`✅ [${symbol}] Found options at path: ${path} (${value.length} items)`);
-        return value.map(opt => ({ 
-          ...opt, 
-          sourceSymbol: symbol,
-          extractionMethod: `alternative:${path}`
-        }));
-      }
-    }
-    
-    // Check for any arrays in the response that might contain options
-    const findArraysInObject = (obj, parentKey = '') => {
-      for (const [key, value] of Object.entries(obj || {})) {
-        const fullKey = parentKey ? `${parentKey}.${key}` : key;
-        
-        if (Array.isArray(value) && value.length > 0) {
-          // Check if this looks like options data
-          const firstItem = value[0];
-          if (firstItem && typeof firstItem === 'object' && 
-              (firstItem.strikePrice || firstItem.strike || firstItem.symbol)) {
-            console.log(`🎯 [${symbol}] Found potential options array at: ${fullKey}`);
-            alternatives.push(...value);
-          }
-        } else if (value && typeof value === 'object') {
-          findArraysInObject(value, fullKey);
-        }
-      }
-    };
-    
-    findArraysInObject(data);
-    
-  } catch (error) {
-    console.error(`❌ [${symbol}] Error in alternative extraction:`, error);
-  }
-  
-  return alternatives;
-};
-
-// ✅ ENHANCED: Improved flattening function
-const flattenOptionsChain = (chainData, symbol) => {
-  let options = [];
-  
-  console.log(`🔧 [${symbol}] Starting flattening process...`);
-  
-  try {
-    // Method 1: Check for optionPairs array (newer API format)
-    if (Array.isArray(chainData.optionPairs)) {
-      console.log(`📋 [${symbol}] Found optionPairs array with ${chainData.optionPairs.length} items`);
-      options = chainData.optionPairs.map(pair => ({ 
-        ...pair, 
-        sourceSymbol: symbol,
-        extractionMethod: 'optionPairs'
-      }));
-    }
-    // Method 2: Check for callExpDateMap/putExpDateMap (traditional format)
-    else if (chainData.callExpDateMap || chainData.putExpDateMap) {
-      console.log(`📋 [${symbol}] Found exp date maps - calls: ${!!chainData.callExpDateMap}, puts: ${!!chainData.putExpDateMap}`);
-      
-      const extractFromMap = (expDateMap, type) => {
-        let arr = [];
-        let totalExtracted = 0;
-        
-        for (const expDate in expDateMap) {
-          console.log(`📅 [${symbol}] Processing expiration: ${expDate} for ${type}`);
-          const strikeMap = expDateMap[expDate];
-          
-          for (const strike in strikeMap) {
-            const contracts = strikeMap[strike];
-            if (Array.isArray(contracts)) {
-              console.log(`💰 [${symbol}] Strike ${strike}: ${contracts.length} ${type} contracts`);
-              for (const contract of contracts) {
-                arr.push({ 
-                  ...contract, 
-                  optionType: type, 
-                  sourceSymbol: symbol,
-                  extractionMethod: 'expDateMap',
-                  expirationDate: expDate,
-                  strikePrice: parseFloat(strike)
-                });
-                totalExtracted++;
-              }
-            }
-          }
-        }
-        
-        console.log(`✅ [${symbol}] Extracted ${totalExtracted} ${type} options`);
-        return arr;
-      };
-      
-      if (chainData.callExpDateMap) {
-        const calls = extractFromMap(chainData.callExpDateMap, 'CALL');
-        options = options.concat(calls);
-      }
-      if (chainData.putExpDateMap) {
-        const puts = extractFromMap(chainData.putExpDateMap, 'PUT');
-        options = options.concat(puts);
-      }
-    }
-    // Method 3: Check if the response IS the options array
-    else if (Array.isArray(chainData)) {
-      console.log(`📋 [${symbol}] Response is direct options array with ${chainData.length} items`);
-      options = chainData.map(opt => ({ 
-        ...opt, 
-        sourceSymbol: symbol,
-        extractionMethod: 'directArray'
-      }));
-    }
-    
-    console.log(`🎯 [${symbol}] Flattening complete: ${options.length} options extracted`);
-    
-    // ✅ ADDED: Log sample of extracted options for debugging
-    if (options.length > 0) {
-      console.log(`🔍 [${symbol}] Sample option:`, {
-        symbol: options[0].symbol,
-        strikePrice: options[0].strikePrice,
-        optionType: options[0].optionType,
-        expirationDate: options[0].expirationDate,
-        bid: options[0].bid,
-        ask: options[0].ask,
-        volume: options[0].totalVolume || options[0].volume,
-        openInterest: options[0].openInterest,
-        availableFields: Object.keys(options[0])
-      });
-    }
-    
-  } catch (error) {
-    console.error(`❌ [${symbol}] Error during flattening:`, error);
-  }
-  
-  return options;
-};
-
-// Enhanced getOptionsChain function with comprehensive debugging
-const getOptionsChain = async (symbol) => {
-  console.log(`🔍 [${symbol}] Starting options chain request`);
-  
+// Raw chain response for one underlying; flattening happens in utils/optionChain
+const getChain = async (symbol) => {
   const params = {
     symbol: symbol.toUpperCase(),
     contractType: 'ALL',
@@ -334,78 +211,50 @@ const getOptionsChain = async (symbol) => {
 
   console.log(`📋 [${symbol}] Request parameters:`, params);
 
-  try {
-    const response = await makeAuthorizedRequest(
-      'https://api.schwabapi.com/marketdata/v1/chains',
-      {
-        method: 'GET',
-        params,
-        timeout: 30000,
-        headers: {
-          Accept: 'application/json',
-          'User-Agent': 'OptionsScanner/1.0'
-        }
-      }
-    );
-
-    console.log(`✅ [${symbol}] API Response Status: ${response.status}`);
-    console.log(`📦 [${symbol}] Raw response data structure:`, {
-      keys: Object.keys(response.data || {}),
-      hasCallExpDateMap: !!(response.data?.callExpDateMap),
-      hasPutExpDateMap: !!(response.data?.putExpDateMap),
-      hasOptionPairs: !!(response.data?.optionPairs),
-      dataType: typeof response.data,
-      dataLength: Array.isArray(response.data) ? response.data.length : 'N/A'
-    });
-
-    // Log detailed response info
-    if (response.data) {
-      if (response.data.symbol) console.log(`📍 [${symbol}] Response symbol: ${response.data.symbol}`);
-      if (response.data.numberOfContracts) console.log(`📈 [${symbol}] Number of contracts: ${response.data.numberOfContracts}`);
-      if (response.data.underlying) {
-        console.log(`🏢 [${symbol}] Underlying info:`, {
-          symbol: response.data.underlying.symbol,
-          description: response.data.underlying.description,
-          change: response.data.underlying.change,
-          percentChange: response.data.underlying.percentChange,
-          close: response.data.underlying.close
-        });
+  const response = await makeAuthorizedRequest(
+    'https://api.schwabapi.com/marketdata/v1/chains',
+    {
+      method: 'GET',
+      params,
+      timeout: 30000,
+      headers: {
+        Accept: 'application/json',
+        'User-Agent': 'OptionsScanner/1.0'
       }
     }
+  );
 
-    // Enhanced flattening with better error handling
-    const flattened = flattenOptionsChain(response.data, symbol);
-    console.log(`🎯 [${symbol}] Flattened options count: ${flattened.length}`);
-
-    if (flattened.length === 0) {
-      console.warn(`⚠️ [${symbol}] No options found after flattening. Trying alternative extraction...`);
-      
-      const alternatives = tryAlternativeExtraction(response.data, symbol);
-      if (alternatives.length > 0) {
-        console.log(`✅ [${symbol}] Alternative extraction found ${alternatives.length} options`);
-        return alternatives;
-      }
-    }
+  console.log(`✅ [${symbol}] API Response Status: ${response.status}`);
+  console.log(`📦 [${symbol}] Raw response data structure:`, {
+    keys: Object.keys(response.data || {}),
+    hasCallExpDateMap: !!(response.data?.callExpDateMap),
+    hasPutExpDateMap: !!(response.data?.putExpDateMap),
+    hasOptionPairs: !!(response.data?.optionPairs),
+    dataType: typeof response.data,
+    dataLength: Array.isArray(response.data) ? response.data.length : 'N/A'
+  });
 
-    return flattened;
+  return response.data;
+};
 
-  } catch (error) {
-    console.error(`🛑 [${symbol}] Options Chain Error:`, {
-      message: error.message,
-      status: error.response?.status,
-      statusText: error.response?.statusText
-    });
-
-    if (error.response?.status === 404) {
-      console.error(`🔍 [${symbol}] Symbol not found or no options available`);
-      return []; // Return empty array instead of throwing
-    } else if (error.response?.status === 429) {
-      console.error(`⏳ [${symbol}] Rate limit exceeded`);
-      throw new Error(`Rate limit exceeded for ${symbol}`);
-    }
+// Raw pricehistory response: { symbol, empty, candles }; params as Schwab takes them
+// (periodType, period, frequencyType, frequency, startDate, endDate, needExtendedHoursData)
+const getPriceHistory = async (params) => {
+  const response = await makeAuthorizedRequest(
+    'https://api.schwabapi.com/marketdata/v1/pricehistory',
+    { method: 'GET', params: { ...params, symbol: params.symbol.toUpperCase() } }
+  );
+  return response.data;
+};
 
-    throw error;
-  }
+// Whether market-data calls can be made: a stored token (an expired one is refreshed on use)
+const checkReady = async () => {
+  const token = await getToken();
+  if (!token || !token.access_token) return { ready: false, error: 'No valid token' };
+
+  const now = Math.floor(Date.now() / 1000);
+  console.log(`🔑 Token status: expires_at=${token.expires_at}, current=${now}, is_expired=${token.expires_at < now}`);
+  return { ready: true };
 };
 
 module.exports = {
@@ -414,6 +263,9 @@ module.exports = {
   refreshToken,
   getAccessToken,
   getQuote,
-  getOptionsChain,
+  getChain,
+  getPriceHistory,
+  checkReady,
+  getRateLimitMetrics,
   makeAuthorizedRequest // Export for other modules
-};
\ No newline at end of file
+};
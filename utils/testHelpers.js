@@ -0,0 +1,46 @@
+// utils/testHelpers.js
+// Stand-ins shared by the node:test suites (*.test.js next to the code they cover)
+
+/**
+ * Express response stub: status(), set() and json() record what a controller answered
+ */
+const mockResponse = () => {
+  const res = { statusCode: 200, headers: {}, headersSent: false };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const LEVELS = ['log', 'warn', 'error'];
+
+/**
+ * Run fn (sync or async) with console output dropped, restoring the console afterwards
+ */
+function quietly(fn) {
+  const saved = LEVELS.map(level => console[level]);
+  const restore = () => LEVELS.forEach((level, i) => { console[level] = saved[i]; });
+  LEVELS.forEach(level => { console[level] = () => {}; });
+
+  let result;
+  try {
+    result = fn();
+  } catch (err) {
+    restore();
+    throw err;
+  }
+  if (result && typeof result.then === 'function') return result.finally(restore);
+  restore();
+  return result;
+}
+
+/**
+ * Drop console output for the rest of a test, including work it leaves running in the background
+ */
+const silenceConsole = (t) => LEVELS.forEach(level => t.mock.method(console, level, () => {}));
+
+module.exports = {
+  mockResponse,
+  quietly,
+  silenceConsole
+};